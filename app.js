@@ -8,9 +8,37 @@ const PORT = process.env.PORT || 3000;
 // Connect to MongoDB
 connectDB();
 
+// Seed the built-in admin roles and permissions
+require('./services/roleService').ensureDefaults();
+
+// Deliver notifications for domain events emitted by controllers
+require('./services/eventNotifier').register();
+
+// Email calendar invites when sessions and interviews are set or change
+require('./services/calendarService').registerInvites();
+
+// Build queued exports in the background
+require('./services/exportJobService').start();
+
+// Send session reminders and expire or close out past bookings
+require('./services/bookingSchedulerService').start();
+
+// Behind a load balancer, set TRUST_PROXY (e.g. "1" for one hop) so req.ip
+// is the client's address, which the OTP rate limits key on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
-app.use(express.json());
+// Keep the raw body for verifying payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(require('./middleware/maintenance').maintenanceMode);
 
 // Routes
 app.use('/api/v1/auth', require('./routes/authRoutes'));
@@ -23,11 +51,18 @@ app.use('/api/v1/certifications', require('./routes/certificationRoutes'));
 app.use('/api/v1/jobs', require('./routes/jobRoutes'));
 app.use('/api/v1/badges', require('./routes/badgeRoutes'));
 app.use('/api/v1/bookings', require('./routes/bookingRoutes'));
+app.use('/api/v1/availability', require('./routes/availabilityRoutes'));
+app.use('/api/v1/payments', require('./routes/paymentRoutes'));
+app.use('/api/v1/earnings', require('./routes/earningsRoutes'));
+app.use('/api/v1/calendar', require('./routes/calendarRoutes'));
+app.use('/api/v1/sms', require('./routes/smsRoutes'));
+app.use('/api/v1/uploads', require('./routes/uploadRoutes'));
 app.use('/api/v1/job-applications', require('./routes/jobApplicationRoutes'));
 app.use('/api/v1/courses', require('./routes/courseRoutes'));
 app.use('/api/v1/course-creations', require('./routes/courseCreationRoutes'));
 app.use('/api/v1/lesson-creations', require('./routes/lessonCreationRoutes'));
 app.use('/api/v1/mentor-applications', require('./routes/mentorApplicationRoutes'));
+app.use('/api/v1/reports', require('./routes/contentReportRoutes'));
 
 // Basic route
 app.get('/', (req, res) => {
@@ -6,6 +6,29 @@ const Admin = require('../models/Admin');
 const Course = require('../models/Course');
 const Company = require('../models/Company');
 const JobApplication = require('../models/JobApplication');
+const AuditLog = require('../models/AuditLog');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const ContentReport = require('../models/ContentReport');
+const ExportJob = require('../models/ExportJob');
+const { ReportStatuses } = require('../models/ContentReport');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+const settingsService = require('../services/settingsService');
+const backupService = require('../services/backupService');
+const roleService = require('../services/roleService');
+const moderationService = require('../services/moderationService');
+const exportService = require('../services/exportService');
+const reportService = require('../services/reportService');
+const exportJobService = require('../services/exportJobService');
+const paymentService = require('../services/paymentService');
+const cancellationService = require('../services/cancellationService');
+const ledgerService = require('../services/ledgerService');
+const smsService = require('../services/smsService');
+const emailService = require('../services/emailService');
+const Payment = require('../models/Payment');
+const eventBus = require('../services/eventBus');
+const { Events } = require('../services/eventBus');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
@@ -421,6 +444,8 @@ class AdminController {
       
       await application.approve(req.admin.id);
       
+      eventBus.publish(Events.MENTOR_APPLICATION_APPROVED, { application });
+      
       res.json({
         success: true,
         message: 'Mentor application approved successfully'
@@ -450,6 +475,8 @@ class AdminController {
       
       await application.reject(req.admin.id, reason);
       
+      eventBus.publish(Events.MENTOR_APPLICATION_REJECTED, { application });
+      
       res.json({
         success: true,
         message: 'Mentor application rejected successfully'
@@ -569,25 +596,7 @@ class AdminController {
   // System Settings
   static async getSystemSettings(req, res) {
     try {
-      // This would typically come from a settings collection
-      // For now, returning mock data
-      const settings = {
-        siteName: 'Empedia',
-        maintenanceMode: false,
-        registrationEnabled: true,
-        emailNotifications: true,
-        smsNotifications: true,
-        maxFileSize: '10MB',
-        allowedFileTypes: ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx'],
-        sessionTimeout: '1h',
-        passwordPolicy: {
-          minLength: 8,
-          requireUppercase: true,
-          requireLowercase: true,
-          requireNumbers: true,
-          requireSpecialChars: false
-        }
-      };
+      const settings = await settingsService.get();
       
       res.json({
         success: true,
@@ -606,16 +615,27 @@ class AdminController {
   // Update system settings
   static async updateSystemSettings(req, res) {
     try {
-      // This would typically update a settings collection
-      // For now, just returning success
+      const { note, ...changes } = req.body;
+      
+      const { settings, changed } = await settingsService.update(changes, {
+        updatedBy: req.admin.id,
+        note
+      });
       
       res.json({
         success: true,
-        message: 'System settings updated successfully',
-        data: req.body
+        message: changed ? 'System settings updated successfully' : 'No settings were changed',
+        data: settings
       });
       
     } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error updating system settings',
@@ -624,6 +644,36 @@ class AdminController {
     }
   }
   
+  // Get saved versions of the system settings
+  static async getSettingsHistory(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      
+      const [versions, total] = await settingsService.getHistory({ page, limit });
+      
+      res.json({
+        success: true,
+        data: {
+          versions,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching settings history',
+        error: error.message
+      });
+    }
+  }
+  
   // Admin Management (for superadmin)
   static async getAllAdmins(req, res) {
     try {
@@ -648,7 +698,14 @@ class AdminController {
   // Create new admin
   static async createAdmin(req, res) {
     try {
-      const { name, email, password, role, permissions } = req.body;
+      const { name, email, password, role, roles } = req.body;
+      
+      if (role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can create superadmins'
+        });
+      }
       
       // Check if admin already exists
       const existingAdmin = await Admin.findByEmail(email);
@@ -659,12 +716,18 @@ class AdminController {
         });
       }
       
+      const assignedRoles = await roleService.assertCanSetRoles(req.admin, {
+        role: role || 'admin',
+        roles,
+        roleChanged: !!role
+      });
+      
       const admin = new Admin({
         name,
         email,
         password,
         role: role || 'admin',
-        permissions: permissions || {}
+        roles: assignedRoles.map(assignedRole => assignedRole._id)
       });
       
       await admin.save();
@@ -679,6 +742,13 @@ class AdminController {
       });
       
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error creating admin',
@@ -690,7 +760,7 @@ class AdminController {
   // Update admin
   static async updateAdmin(req, res) {
     try {
-      const allowedUpdates = ['name', 'role', 'permissions', 'isActive'];
+      const allowedUpdates = ['name', 'role', 'roles', 'isActive'];
       const updates = {};
       
       Object.keys(req.body).forEach(key => {
@@ -699,6 +769,47 @@ class AdminController {
         }
       });
       
+      if (updates.role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can grant the superadmin role'
+        });
+      }
+      
+      const target = await Admin.findById(req.params.id).select('role roles');
+      
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+      
+      if (target.role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can modify a superadmin'
+        });
+      }
+      
+      if (updates.role !== undefined || updates.roles !== undefined) {
+        if (String(target._id) === String(req.admin._id)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You cannot change your own roles'
+          });
+        }
+        
+        const assignedRoles = await roleService.assertCanSetRoles(req.admin, {
+          role: updates.role !== undefined ? updates.role : target.role,
+          roles: updates.roles !== undefined ? updates.roles : target.roles,
+          roleChanged: updates.role !== undefined && updates.role !== target.role
+        });
+        if (updates.roles !== undefined) {
+          updates.roles = assignedRoles.map(role => role._id);
+        }
+      }
+      
       const admin = await Admin.findByIdAndUpdate(
         req.params.id,
         updates,
@@ -719,6 +830,13 @@ class AdminController {
       });
       
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error updating admin',
@@ -730,7 +848,7 @@ class AdminController {
   // Delete admin
   static async deleteAdmin(req, res) {
     try {
-      const admin = await Admin.findByIdAndDelete(req.params.id);
+      const admin = await Admin.findById(req.params.id).select('role');
       
       if (!admin) {
         return res.status(404).json({
@@ -739,6 +857,15 @@ class AdminController {
         });
       }
       
+      if (admin.role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can delete a superadmin'
+        });
+      }
+      
+      await Admin.deleteOne({ _id: admin._id });
+      
       res.json({
         success: true,
         message: 'Admin deleted successfully'
@@ -789,10 +916,14 @@ class AdminController {
       `;
       
       try {
-        // Here you would send the email using your email service
-        // For now, we'll just log it (replace with actual email service)
-        console.log('Password reset email would be sent to:', email);
-        console.log('Reset URL:', resetUrl);
+        const result = await emailService.sendEmail({
+          to: admin.email,
+          subject: 'Reset your admin password',
+          text: message
+        });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
         
         res.json({
           success: true,
@@ -2463,20 +2594,9 @@ class AdminController {
   static async cancelBooking(req, res) {
     try {
       const { id } = req.params;
-      const { reason } = req.body;
+      const reason = req.body.reason || req.body.cancellationReason;
 
-      const booking = await Booking.findByIdAndUpdate(
-        id,
-        {
-          status: 'cancelled',
-          cancellationReason: reason || 'Cancelled by admin',
-          cancelledBy: req.admin.id,
-          cancelledAt: new Date(),
-          updatedAt: new Date()
-        },
-        { new: true }
-      ).populate('userId', 'firstName lastName email')
-       .populate('mentorId', 'firstName lastName email');
+      const booking = await Booking.findById(id);
 
       if (!booking) {
         return res.status(404).json({
@@ -2485,12 +2605,30 @@ class AdminController {
         });
       }
 
+      // Admin cancellations refund the mentee in full
+      const { refund } = await cancellationService.cancel(booking, {
+        cancelledBy: 'admin',
+        reason: reason || 'Cancelled by admin'
+      });
+      await booking.populate([
+        { path: 'userId', select: 'firstName lastName email' },
+        { path: 'mentorId', select: 'firstName lastName email' }
+      ]);
+      eventBus.publish(Events.BOOKING_CANCELLED, { booking, refund });
+
       res.status(200).json({
         success: true,
         message: 'Booking cancelled successfully',
-        data: booking
+        data: booking,
+        refund
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
       console.error('Cancel booking error:', error);
       res.status(500).json({
         success: false,
@@ -2500,671 +2638,1393 @@ class AdminController {
     }
   }
 
-  // Content Moderation Methods
-  
-  // Get content reports (placeholder - requires ContentReport model)
-  static async getContentReports(req, res) {
+  // Payment Management Methods
+
+  // Get all payments with filters
+  static async getAllPayments(req, res) {
     try {
-      const { page = 1, limit = 10, status = 'pending', type } = req.query;
-      const skip = (page - 1) * limit;
+      const { page = 1, limit = 20 } = req.query;
+      const [payments, total] = await paymentService.getPayments(req.query);
 
-      // This is a placeholder implementation
-      // You'll need to create a ContentReport model
-      const reports = {
-        data: [],
+      res.status(200).json({
+        success: true,
+        data: payments,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
           itemsPerPage: parseInt(limit)
         }
-      };
+      });
+    } catch (error) {
+      console.error('Get payments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get payments',
+        error: error.message
+      });
+    }
+  }
+
+  // Get payment by ID
+  static async getPaymentById(req, res) {
+    try {
+      const payment = await Payment.findById(req.params.id)
+        .populate('userId', 'name email phone')
+        .populate('mentorId', 'name email phone')
+        .populate('bookingId', 'sessionType date time timezone status');
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
 
       res.status(200).json({
         success: true,
-        message: 'Content reports feature requires ContentReport model implementation',
-        ...reports
+        data: payment
       });
     } catch (error) {
-      console.error('Get content reports error:', error);
+      console.error('Get payment by ID error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get content reports',
+        message: 'Failed to get payment',
         error: error.message
       });
     }
   }
 
-  // Resolve content report (placeholder)
-  static async resolveContentReport(req, res) {
+  // Get all refunds with filters
+  static async getAllRefunds(req, res) {
     try {
-      const { id } = req.params;
-      const { action, reason } = req.body;
+      const { page = 1, limit = 20 } = req.query;
+      const [refunds, total] = await paymentService.getRefunds(req.query);
 
       res.status(200).json({
         success: true,
-        message: 'Content report resolution requires ContentReport model implementation'
+        data: refunds,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Resolve content report error:', error);
+      console.error('Get refunds error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to resolve content report',
+        message: 'Failed to get refunds',
         error: error.message
       });
     }
   }
 
-  // Delete content (placeholder)
-  static async deleteContent(req, res) {
+  // Send a failed refund to the payment provider again
+  static async retryRefund(req, res) {
     try {
-      const { contentType, contentId } = req.params;
-      const { reason } = req.body;
+      const refund = await paymentService.retryRefund(req.params.id);
 
       res.status(200).json({
         success: true,
-        message: 'Content deletion requires specific content model implementation'
+        message: `Refund ${refund.status}`,
+        data: refund
       });
     } catch (error) {
-      console.error('Delete content error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Retry refund error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete content',
+        message: 'Failed to retry refund',
         error: error.message
       });
     }
   }
 
-  // System Management Methods
-  
-  // Create backup (placeholder)
-  static async createBackup(req, res) {
+  // Payable mentor balances that the next payout batch would include
+  static async getPayableBalances(req, res) {
     try {
-      const { type = 'full', description } = req.body;
-
-      const backup = {
-        id: new Date().getTime().toString(),
-        type,
-        description: description || `${type} backup created by admin`,
-        createdBy: req.admin.id,
-        createdAt: new Date(),
-        status: 'completed',
-        size: '0 MB' // Placeholder
-      };
+      const { currency, minimumAmount } = req.query;
+      const balances = await ledgerService.getPayableBalances({
+        ...(currency && { currency }),
+        ...(minimumAmount !== undefined && { minimumAmount })
+      });
 
       res.status(200).json({
         success: true,
-        message: 'Backup creation requires database backup service implementation',
-        data: backup
+        data: {
+          balances,
+          totalAmount: Math.round(balances.reduce((sum, balance) => sum + balance.amount, 0) * 100) / 100,
+          mentorCount: balances.length
+        }
       });
     } catch (error) {
-      console.error('Create backup error:', error);
+      console.error('Get payable balances error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create backup',
+        message: 'Failed to get payable balances',
         error: error.message
       });
     }
   }
 
-  // Get backups (placeholder)
-  static async getBackups(req, res) {
+  static async getAllPayouts(req, res) {
     try {
-      const { page = 1, limit = 10 } = req.query;
+      const { page = 1, limit = 20 } = req.query;
+      const [payouts, total] = await ledgerService.getPayouts(req.query);
 
       res.status(200).json({
         success: true,
-        message: 'Backup listing requires backup storage service implementation',
-        data: [],
+        data: payouts,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
           itemsPerPage: parseInt(limit)
         }
       });
     } catch (error) {
-      console.error('Get backups error:', error);
+      console.error('Get payouts error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get backups',
+        message: 'Failed to get payouts',
         error: error.message
       });
     }
   }
 
-  // Restore backup (placeholder)
-  static async restoreBackup(req, res) {
+  // Batch every payable mentor balance into a new payout
+  static async createPayout(req, res) {
     try {
-      const { id } = req.params;
+      const { currency, minimumAmount } = req.body;
+      const payout = await ledgerService.createPayoutBatch({
+        ...(currency && { currency }),
+        ...(minimumAmount !== undefined && { minimumAmount }),
+        createdBy: req.admin._id
+      });
 
-      res.status(200).json({
+      res.status(201).json({
         success: true,
-        message: 'Backup restoration requires backup service implementation'
+        message: `Payout ${payout.reference} generated for ${payout.mentorCount} mentor(s)`,
+        data: payout
       });
     } catch (error) {
-      console.error('Restore backup error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Create payout error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to restore backup',
+        message: 'Failed to generate payout',
         error: error.message
       });
     }
   }
 
-  // Get audit logs (placeholder)
-  static async getAuditLogs(req, res) {
+  static async getPayoutById(req, res) {
     try {
-      const { page = 1, limit = 10, action, userId, startDate, endDate } = req.query;
+      const payout = await ledgerService.getPayout(req.params.id);
 
       res.status(200).json({
         success: true,
-        message: 'Audit logs require AuditLog model implementation',
-        data: [],
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
-          itemsPerPage: parseInt(limit)
-        }
+        data: payout
       });
     } catch (error) {
-      console.error('Get audit logs error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Get payout error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get audit logs',
+        message: 'Failed to get payout',
         error: error.message
       });
     }
   }
 
-  // Get user audit logs (placeholder)
-  static async getUserAuditLogs(req, res) {
+  // CSV of the batch for the bank transfer
+  static async exportPayout(req, res) {
     try {
-      const { userId } = req.params;
-      const { page = 1, limit = 10 } = req.query;
+      const { fileName, csv } = await ledgerService.exportPayoutCSV(req.params.id);
 
-      res.status(200).json({
-        success: true,
-        message: 'User audit logs require AuditLog model implementation',
-        data: [],
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
-          itemsPerPage: parseInt(limit)
-        }
-      });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+      res.send(csv);
     } catch (error) {
-      console.error('Get user audit logs error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Export payout error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get user audit logs',
+        message: 'Failed to export payout',
         error: error.message
       });
     }
   }
 
-  // Get admin audit logs (placeholder)
-  static async getAdminAuditLogs(req, res) {
+  static async markPayoutPaid(req, res) {
     try {
-      const { page = 1, limit = 10 } = req.query;
+      const { paymentReference, notes } = req.body;
+      const payout = await ledgerService.markPaid(req.params.id, {
+        paidBy: req.admin._id,
+        paymentReference,
+        notes
+      });
 
       res.status(200).json({
         success: true,
-        message: 'Admin audit logs require AuditLog model implementation',
-        data: [],
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
-          itemsPerPage: parseInt(limit)
-        }
+        message: `Payout ${payout.reference} marked as paid`,
+        data: payout
       });
     } catch (error) {
-      console.error('Get admin audit logs error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Mark payout paid error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get admin audit logs',
+        message: 'Failed to mark payout as paid',
         error: error.message
       });
     }
   }
 
-  // Notification Management Methods
+  // Content Moderation Methods
   
-  // Get notifications (placeholder)
-  static async getNotifications(req, res) {
+  // Get content reports queue
+  static async getContentReports(req, res) {
     try {
-      const { page = 1, limit = 10, isRead } = req.query;
+      const { page = 1, limit = 10, status, contentType, reason, assignedTo } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      } else {
+        filter.status = { $in: [ReportStatuses.OPEN, ReportStatuses.IN_REVIEW] };
+      }
+      if (contentType) filter.contentType = contentType;
+      if (reason) filter.reason = reason;
+      if (assignedTo === 'me') {
+        filter.assignedTo = req.admin._id;
+      } else if (assignedTo === 'unassigned') {
+        filter.assignedTo = null;
+      } else if (assignedTo) {
+        filter.assignedTo = assignedTo;
+      }
+
+      const [reports, total] = await Promise.all([
+        ContentReport.find(filter)
+          .populate('reporterId', 'name email')
+          .populate('contentOwnerId', 'name email')
+          .populate('assignedTo', 'name email')
+          .sort({ createdAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ContentReport.countDocuments(filter)
+      ]);
 
       res.status(200).json({
         success: true,
-        message: 'Notifications require Notification model implementation',
-        data: [],
+        data: reports,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
           itemsPerPage: parseInt(limit)
         }
       });
     } catch (error) {
-      console.error('Get notifications error:', error);
+      console.error('Get content reports error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get notifications',
+        message: 'Failed to get content reports',
         error: error.message
       });
     }
   }
 
-  // Send notification (placeholder)
-  static async sendNotification(req, res) {
+  // Get a content report with the other reports on the same content
+  static async getContentReportById(req, res) {
     try {
-      const { recipients, title, message, type = 'info' } = req.body;
+      const report = await ContentReport.findById(req.params.id)
+        .populate('reporterId', 'name email')
+        .populate('contentOwnerId', 'name email')
+        .populate('assignedTo', 'name email')
+        .populate('resolution.resolvedBy', 'name email');
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content report not found'
+        });
+      }
+
+      const [relatedReports, content] = await Promise.all([
+        ContentReport.find({
+          contentType: report.contentType,
+          contentId: report.contentId,
+          _id: { $ne: report._id }
+        })
+          .select('reporterId reason description status createdAt')
+          .populate('reporterId', 'name email')
+          .sort({ createdAt: -1 }),
+        moderationService.findContent(report.contentType, report.contentId)
+      ]);
 
       res.status(200).json({
         success: true,
-        message: 'Notification sending requires notification service implementation'
+        data: {
+          report,
+          relatedReports,
+          content: content ? { exists: true, isHidden: content.isHidden } : { exists: false }
+        }
       });
     } catch (error) {
-      console.error('Send notification error:', error);
+      console.error('Get content report error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to send notification',
+        message: 'Failed to get content report',
         error: error.message
       });
     }
   }
 
-  // Mark notification as read (placeholder)
-  static async markNotificationAsRead(req, res) {
+  // Assign a content report to an admin (defaults to the current admin)
+  static async assignContentReport(req, res) {
     try {
-      const { id } = req.params;
+      const adminId = req.body.adminId || req.admin._id;
+
+      const report = await ContentReport.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content report not found'
+        });
+      }
+
+      if (!report.isPending) {
+        return res.status(400).json({
+          success: false,
+          message: 'Resolved reports cannot be reassigned'
+        });
+      }
+
+      const assignee = await Admin.findById(adminId);
+      if (!assignee || !assignee.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active admin'
+        });
+      }
+
+      await report.assign(assignee._id);
+      await report.populate('assignedTo', 'name email');
 
       res.status(200).json({
         success: true,
-        message: 'Notification marking requires Notification model implementation'
+        message: 'Content report assigned successfully',
+        data: report
       });
     } catch (error) {
-      console.error('Mark notification as read error:', error);
+      console.error('Assign content report error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to mark notification as read',
+        message: 'Failed to assign content report',
         error: error.message
       });
     }
   }
 
-  // Delete notification (placeholder)
-  static async deleteNotification(req, res) {
+  // Resolve content report, applying the chosen action to the content
+  static async resolveContentReport(req, res) {
     try {
       const { id } = req.params;
+      const { status, action, notes } = req.body;
+
+      const report = await ContentReport.findById(id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content report not found'
+        });
+      }
+
+      const resolved = await moderationService.resolveReport(report, {
+        status,
+        action,
+        notes,
+        resolvedBy: req.admin._id
+      });
 
       res.status(200).json({
         success: true,
-        message: 'Notification deletion requires Notification model implementation'
+        message: 'Content report resolved successfully',
+        data: resolved
       });
     } catch (error) {
-      console.error('Delete notification error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Resolve content report error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete notification',
+        message: 'Failed to resolve content report',
         error: error.message
       });
     }
   }
 
-  // Permissions & Roles Management Methods
-  
-  // Get all permissions (placeholder)
-  static async getAllPermissions(req, res) {
+  // Delete reported content and close its pending reports
+  static async deleteContent(req, res) {
     try {
-      const permissions = [
-        { id: '1', name: 'user.read', description: 'Read user data' },
-        { id: '2', name: 'user.write', description: 'Write user data' },
-        { id: '3', name: 'admin.read', description: 'Read admin data' },
-        { id: '4', name: 'admin.write', description: 'Write admin data' },
-        { id: '5', name: 'course.read', description: 'Read course data' },
-        { id: '6', name: 'course.write', description: 'Write course data' },
-        { id: '7', name: 'job.read', description: 'Read job data' },
-        { id: '8', name: 'job.write', description: 'Write job data' }
-      ];
+      const { type, id } = req.params;
+      const { reason } = req.body;
+
+      const result = await moderationService.deleteContent(type, id, {
+        reason,
+        deletedBy: req.admin._id
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
 
       res.status(200).json({
         success: true,
-        message: 'Permissions require Permission model implementation',
-        data: permissions
+        message: 'Content deleted successfully',
+        data: result
       });
     } catch (error) {
-      console.error('Get all permissions error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Delete content error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get permissions',
+        message: 'Failed to delete content',
         error: error.message
       });
     }
   }
 
-  // Create permission (placeholder)
-  static async createPermission(req, res) {
+  // System Management Methods
+  
+  // Create backup
+  static async createBackup(req, res) {
     try {
-      const { name, description } = req.body;
+      const { collections, description } = req.body;
 
-      const permission = {
-        id: new Date().getTime().toString(),
-        name,
+      const backup = await backupService.createBackup({
+        collections,
         description,
-        createdBy: req.admin.id,
-        createdAt: new Date()
-      };
+        createdBy: req.admin.id
+      });
 
       res.status(201).json({
         success: true,
-        message: 'Permission creation requires Permission model implementation',
-        data: permission
+        message: 'Backup created successfully',
+        data: backup
       });
     } catch (error) {
-      console.error('Create permission error:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Create backup error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create permission',
+        message: 'Failed to create backup',
         error: error.message
       });
     }
   }
 
-  // Update permission (placeholder)
-  static async updatePermission(req, res) {
+  // Get backups
+  static async getBackups(req, res) {
     try {
-      const { id } = req.params;
-      const { name, description } = req.body;
+      const { page = 1, limit = 10, status } = req.query;
+
+      const [backups, total] = await backupService.getBackups({ page, limit, status });
 
       res.status(200).json({
         success: true,
-        message: 'Permission update requires Permission model implementation'
+        data: backups,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Update permission error:', error);
+      console.error('Get backups error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update permission',
+        message: 'Failed to get backups',
         error: error.message
       });
     }
   }
 
-  // Delete permission (placeholder)
-  static async deletePermission(req, res) {
+  // Restore backup, optionally limited to some collections or as a dry run
+  static async restoreBackup(req, res) {
     try {
-      const { id } = req.params;
+      const { backupId } = req.params;
+      const { collections, dryRun = false } = req.body;
+
+      const result = await backupService.restoreBackup(backupId, {
+        collections,
+        dryRun,
+        restoredBy: req.admin.id,
+        req
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Backup not found'
+        });
+      }
 
       res.status(200).json({
         success: true,
-        message: 'Permission deletion requires Permission model implementation'
+        message: dryRun ? 'Dry run completed; no data was changed' : 'Backup restored successfully',
+        data: result
       });
     } catch (error) {
-      console.error('Delete permission error:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Restore backup error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete permission',
+        message: 'Failed to restore backup',
         error: error.message
       });
     }
   }
 
-  // Get all roles (placeholder)
-  static async getAllRoles(req, res) {
+  // Get audit logs
+  static async getAuditLogs(req, res) {
     try {
-      const roles = [
-        { id: '1', name: 'admin', description: 'Full system access', permissions: ['user.read', 'user.write', 'admin.read', 'admin.write'] },
-        { id: '2', name: 'mentor', description: 'Mentor access', permissions: ['user.read', 'course.read', 'course.write'] },
-        { id: '3', name: 'user', description: 'Basic user access', permissions: ['user.read'] }
-      ];
+      const { page = 1, limit = 10, actorId, actorType, action, resourceType, resourceId, startDate, endDate } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = AuditLog.buildFilter({ actorId, actorType, action, resourceType, resourceId, startDate, endDate });
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuditLog.countDocuments(filter)
+      ]);
 
       res.status(200).json({
         success: true,
-        message: 'Roles require Role model implementation',
-        data: roles
+        data: logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Get all roles error:', error);
+      console.error('Get audit logs error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get roles',
+        message: 'Failed to get audit logs',
         error: error.message
       });
     }
   }
 
-  // Create role (placeholder)
-  static async createRole(req, res) {
+  // Get audit logs for changes made to a user
+  static async getUserAuditLogs(req, res) {
     try {
-      const { name, description, permissions } = req.body;
+      const { userId } = req.params;
+      const { page = 1, limit = 10, action, startDate, endDate } = req.query;
+      const skip = (page - 1) * limit;
 
-      const role = {
-        id: new Date().getTime().toString(),
-        name,
-        description,
-        permissions: permissions || [],
-        createdBy: req.admin.id,
-        createdAt: new Date()
-      };
+      const filter = AuditLog.buildFilter({ action, startDate, endDate });
+      filter.$or = [
+        { resourceType: 'user', resourceId: userId },
+        { actorType: 'user', actorId: userId }
+      ];
 
-      res.status(201).json({
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
         success: true,
-        message: 'Role creation requires Role model implementation',
-        data: role
+        data: logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Create role error:', error);
+      console.error('Get user audit logs error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create role',
+        message: 'Failed to get user audit logs',
         error: error.message
       });
     }
   }
 
-  // Update role (placeholder)
-  static async updateRole(req, res) {
+  // Get audit logs for actions performed by an admin
+  static async getAdminAuditLogs(req, res) {
     try {
-      const { id } = req.params;
-      const { name, description, permissions } = req.body;
+      const { adminId } = req.params;
+      const { page = 1, limit = 10, action, resourceType, startDate, endDate } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = AuditLog.buildFilter({
+        actorId: adminId,
+        actorType: 'admin',
+        action,
+        resourceType,
+        startDate,
+        endDate
+      });
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuditLog.countDocuments(filter)
+      ]);
 
       res.status(200).json({
         success: true,
-        message: 'Role update requires Role model implementation'
+        data: logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Update role error:', error);
+      console.error('Get admin audit logs error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update role',
+        message: 'Failed to get admin audit logs',
         error: error.message
       });
     }
   }
 
-  // Delete role (placeholder)
-  static async deleteRole(req, res) {
+  // Notification Management Methods
+  
+  // Get notifications
+  static async getNotifications(req, res) {
     try {
-      const { id } = req.params;
+      const { page = 1, limit = 10, isRead, userId, type, batchId } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (isRead !== undefined) filter.isRead = isRead === 'true';
+      if (userId) filter.userId = userId;
+      if (type) filter.type = type;
+      if (batchId) filter.batchId = batchId;
+
+      const [notifications, total] = await Promise.all([
+        Notification.find(filter)
+          .populate('userId', 'name email phone')
+          .populate('sentBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(filter)
+      ]);
 
       res.status(200).json({
         success: true,
-        message: 'Role deletion requires Role model implementation'
+        data: notifications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       });
     } catch (error) {
-      console.error('Delete role error:', error);
+      console.error('Get notifications error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete role',
+        message: 'Failed to get notifications',
         error: error.message
       });
     }
   }
 
-  // Admin activation/deactivation (for admin management)
-  static async activateAdmin(req, res) {
+  // Outgoing SMS with the provider that took each one and its delivery status
+  static async getSmsMessages(req, res) {
     try {
-      const { id } = req.params;
-      
-      const admin = await Admin.findById(id);
-      if (!admin) {
-        return res.status(404).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-      
-      admin.isActive = true;
-      admin.deactivatedAt = null;
-      await admin.save();
-      
-      res.json({
+      const { page = 1, limit = 20 } = req.query;
+      const [messages, total] = await smsService.getMessages(req.query);
+
+      res.status(200).json({
         success: true,
-        message: 'Admin activated successfully',
-        data: {
-          id: admin._id,
-          email: admin.email,
-          isActive: admin.isActive
+        data: messages,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
         }
       });
     } catch (error) {
-      console.error('Error activating admin:', error);
+      console.error('Get SMS messages error:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error'
+        message: 'Failed to get SMS messages',
+        error: error.message
       });
     }
   }
 
-  static async deactivateAdmin(req, res) {
+  static async getSmsMessageById(req, res) {
     try {
-      const { id } = req.params;
-      
-      // Prevent self-deactivation
-      if (req.admin.id === id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot deactivate your own account'
-        });
-      }
-      
-      const admin = await Admin.findById(id);
-      if (!admin) {
-        return res.status(404).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-      
-      admin.isActive = false;
-      admin.deactivatedAt = new Date();
-      // Clear refresh tokens to force logout
-      admin.refreshTokens = [];
-      await admin.save();
-      
-      res.json({
+      const message = await smsService.getMessage(req.params.id);
+
+      res.status(200).json({
         success: true,
-        message: 'Admin deactivated successfully',
-        data: {
-          id: admin._id,
-          email: admin.email,
-          isActive: admin.isActive
-        }
+        data: message
       });
     } catch (error) {
-      console.error('Error deactivating admin:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Get SMS message error:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error'
+        message: 'Failed to get SMS message',
+        error: error.message
       });
     }
   }
 
-  // Report generation methods
-  static async generateUserReport(req, res) {
+  // Send notification to users and/or role-wide targets
+  static async sendNotification(req, res) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      // Build date filter
-      const dateFilter = {};
-      if (startDate || endDate) {
-        dateFilter.createdAt = {};
-        if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-        if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+      const { recipients, title, message, type = 'info', link, data } = req.body;
+
+      const validTypes = Object.values(Notification.getTypes());
+      if (!validTypes.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid type. Valid types: ${validTypes.join(', ')}`
+        });
       }
-      
-      // Get user statistics
-      const totalUsers = await User.countDocuments(dateFilter);
-      const activeUsers = await User.countDocuments({ ...dateFilter, isActive: true });
-      const inactiveUsers = await User.countDocuments({ ...dateFilter, isActive: false });
-      const verifiedUsers = await User.countDocuments({ ...dateFilter, isVerified: true });
-      
-      // Get users by role
-      const usersByRole = await User.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: '$role', count: { $sum: 1 } } }
+
+      const result = await notificationService.send({
+        recipients,
+        title,
+        message,
+        type,
+        link,
+        data,
+        sentBy: req.admin.id
+      });
+
+      if (result.delivered === 0 && result.skipped === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No matching recipients found',
+          data: result
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Notification sent to ${result.delivered} recipient(s)`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Send notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send notification',
+        error: error.message
+      });
+    }
+  }
+
+  // Mark notification as read
+  static async markNotificationAsRead(req, res) {
+    try {
+      const { id } = req.params;
+
+      const notification = await Notification.findById(id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      await notification.markAsRead();
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+      });
+    } catch (error) {
+      console.error('Mark notification as read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notification as read',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete notification
+  static async deleteNotification(req, res) {
+    try {
+      const { id } = req.params;
+
+      const notification = await Notification.findByIdAndDelete(id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete notification',
+        error: error.message
+      });
+    }
+  }
+
+  // Permissions & Roles Management Methods
+  
+  // Get all permissions
+  static async getAllPermissions(req, res) {
+    try {
+      const { resource } = req.query;
+
+      const filter = {};
+      if (resource) filter.resource = resource.toLowerCase();
+
+      const permissions = await Permission.find(filter).sort({ resource: 1, action: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: permissions
+      });
+    } catch (error) {
+      console.error('Get all permissions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get permissions',
+        error: error.message
+      });
+    }
+  }
+
+  // Create permission
+  static async createPermission(req, res) {
+    try {
+      const { name, description, resource, action } = req.body;
+
+      const existingPermission = await Permission.findOne({
+        $or: [
+          { name: name.toLowerCase() },
+          { resource: resource.toLowerCase(), action: action.toLowerCase() }
+        ]
+      });
+      if (existingPermission) {
+        return res.status(400).json({
+          success: false,
+          message: 'A permission with this name or resource and action already exists'
+        });
+      }
+
+      const permission = await Permission.create({
+        name,
+        description,
+        resource,
+        action,
+        createdBy: req.admin.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Permission created successfully',
+        data: permission
+      });
+    } catch (error) {
+      console.error('Create permission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create permission',
+        error: error.message
+      });
+    }
+  }
+
+  // Update permission
+  static async updatePermission(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, description } = req.body;
+
+      const permission = await Permission.findById(id);
+      if (!permission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Permission not found'
+        });
+      }
+
+      // The resource and action of a permission are fixed once created
+      if (name !== undefined) {
+        if (permission.isSystem) {
+          return res.status(400).json({
+            success: false,
+            message: 'Built-in permissions cannot be renamed'
+          });
+        }
+        permission.name = name;
+      }
+      if (description !== undefined) permission.description = description;
+
+      await permission.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Permission updated successfully',
+        data: permission
+      });
+    } catch (error) {
+      console.error('Update permission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update permission',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete permission and remove it from every role
+  static async deletePermission(req, res) {
+    try {
+      const { id } = req.params;
+
+      const permission = await Permission.findById(id);
+      if (!permission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Permission not found'
+        });
+      }
+
+      if (permission.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Built-in permissions cannot be deleted'
+        });
+      }
+
+      await Role.updateMany({ permissions: permission._id }, { $pull: { permissions: permission._id } });
+      await permission.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: 'Permission deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete permission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete permission',
+        error: error.message
+      });
+    }
+  }
+
+  // Get all roles
+  static async getAllRoles(req, res) {
+    try {
+      const roles = await Role.find({})
+        .populate('permissions', 'name resource action')
+        .sort({ isSystem: -1, name: 1 })
+        .lean();
+
+      const adminCounts = await Admin.aggregate([
+        { $unwind: '$roles' },
+        { $group: { _id: '$roles', count: { $sum: 1 } } }
       ]);
+      const countsByRole = new Map(adminCounts.map(entry => [entry._id.toString(), entry.count]));
+
+      res.status(200).json({
+        success: true,
+        data: roles.map(role => ({ ...role, adminCount: countsByRole.get(role._id.toString()) || 0 }))
+      });
+    } catch (error) {
+      console.error('Get all roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get roles',
+        error: error.message
+      });
+    }
+  }
+
+  // Create role
+  static async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+
+      const existingRole = await Role.findOne({ name: name.toLowerCase() });
+      if (existingRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+
+      const rolePermissions = await roleService.findPermissions(permissions);
+      await roleService.assertCanGrant(req.admin, rolePermissions);
+
+      const role = await Role.create({
+        name,
+        description,
+        permissions: rolePermissions.map(permission => permission._id),
+        createdBy: req.admin.id
+      });
+      await role.populate('permissions', 'name resource action');
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create role',
+        error: error.message
+      });
+    }
+  }
+
+  // Update role
+  static async updateRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, description, permissions } = req.body;
+
+      const role = await Role.findById(id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (name !== undefined && name.toLowerCase() !== role.name) {
+        if (role.isSystem) {
+          return res.status(400).json({
+            success: false,
+            message: 'Built-in roles cannot be renamed'
+          });
+        }
+
+        const existingRole = await Role.findOne({ name: name.toLowerCase() });
+        if (existingRole) {
+          return res.status(400).json({
+            success: false,
+            message: 'A role with this name already exists'
+          });
+        }
+        role.name = name;
+      }
+
+      if (description !== undefined) role.description = description;
+
+      if (permissions !== undefined) {
+        const rolePermissions = await roleService.findPermissions(permissions);
+        await roleService.assertCanGrant(req.admin, rolePermissions);
+        role.permissions = rolePermissions.map(permission => permission._id);
+      }
+
+      await role.save();
+      await role.populate('permissions', 'name resource action');
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete role
+  static async deleteRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      const role = await Role.findById(id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      const assignedCount = await Admin.countDocuments({ roles: role._id });
+      if (assignedCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Role is assigned to ${assignedCount} admin(s); reassign them before deleting it`
+        });
+      }
+
+      await role.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete role',
+        error: error.message
+      });
+    }
+  }
+
+  // Assign roles to an admin
+  static async assignAdminRoles(req, res) {
+    try {
+      const { roles } = req.body;
+
+      const admin = await Admin.findById(req.params.id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      if (admin.role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can modify a superadmin'
+        });
+      }
+
+      if (String(admin._id) === String(req.admin._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot change your own roles'
+        });
+      }
+
+      const assignedRoles = await roleService.assertCanSetRoles(req.admin, { role: admin.role, roles });
+      admin.roles = assignedRoles.map(role => role._id);
+      await admin.save();
+      await admin.populate('roles', 'name description');
+
+      admin.refreshTokens = undefined;
+
+      res.status(200).json({
+        success: true,
+        message: 'Admin roles updated successfully',
+        data: admin
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Assign admin roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign admin roles',
+        error: error.message
+      });
+    }
+  }
+
+  // Admin activation/deactivation (for admin management)
+  static async activateAdmin(req, res) {
+    try {
+      const { id } = req.params;
       
-      // Get registration trends (last 30 days)
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
       
-      const registrationTrends = await User.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: thirtyDaysAgo }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' },
-              day: { $dayOfMonth: '$createdAt' }
-            },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
-      ]);
+      admin.isActive = true;
+      admin.deactivatedAt = null;
+      await admin.save();
       
-      const report = {
-        summary: {
-          totalUsers,
-          activeUsers,
-          inactiveUsers,
-          verifiedUsers,
-          activationRate: totalUsers > 0 ? ((activeUsers / totalUsers) * 100).toFixed(2) : 0,
-          verificationRate: totalUsers > 0 ? ((verifiedUsers / totalUsers) * 100).toFixed(2) : 0
-        },
-        usersByRole: usersByRole.reduce((acc, item) => {
-          acc[item._id] = item.count;
-          return acc;
-        }, {}),
-        registrationTrends,
-        generatedAt: new Date(),
-        dateRange: { startDate, endDate }
-      };
+      res.json({
+        success: true,
+        message: 'Admin activated successfully',
+        data: {
+          id: admin._id,
+          email: admin.email,
+          isActive: admin.isActive
+        }
+      });
+    } catch (error) {
+      console.error('Error activating admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  static async deactivateAdmin(req, res) {
+    try {
+      const { id } = req.params;
       
-      if (format === 'csv') {
-        // Convert to CSV format
-        const csv = this.convertToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=user-report.csv');
-        return res.send(csv);
+      // Prevent self-deactivation
+      if (req.admin.id === id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate your own account'
+        });
+      }
+      
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+      
+      if (admin.role === 'superadmin' && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only superadmins can deactivate a superadmin'
+        });
       }
       
+      admin.isActive = false;
+      admin.deactivatedAt = new Date();
+      // Clear refresh tokens to force logout
+      admin.refreshTokens = [];
+      await admin.save();
+      
       res.json({
         success: true,
-        data: report
+        message: 'Admin deactivated successfully',
+        data: {
+          id: admin._id,
+          email: admin.email,
+          isActive: admin.isActive
+        }
       });
     } catch (error) {
-      console.error('Error generating user report:', error);
+      console.error('Error deactivating admin:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3172,75 +4032,55 @@ class AdminController {
     }
   }
 
+  // Report generation methods
+  static async generateUserReport(req, res) {
+    return AdminController.sendReport(req, res, 'users');
+  }
+
   static async generateMentorReport(req, res) {
+    return AdminController.sendReport(req, res, 'mentors');
+  }
+
+  static async generateJobReport(req, res) {
+    return AdminController.sendReport(req, res, 'jobs');
+  }
+
+  static async generateBookingReport(req, res) {
+    return AdminController.sendReport(req, res, 'bookings');
+  }
+
+  static async generateRevenueReport(req, res) {
+    return AdminController.sendReport(req, res, 'revenue');
+  }
+
+  // Build a report inline, or queue it as an export job with ?async=true
+  static async sendReport(req, res, type) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      // Build date filter
-      const dateFilter = {};
-      if (startDate || endDate) {
-        dateFilter.createdAt = {};
-        if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-        if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-      }
-      
-      // Get mentor application statistics
-      const totalApplications = await MentorApplication.countDocuments(dateFilter);
-      const pendingApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'pending' });
-      const approvedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'approved' });
-      const rejectedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'rejected' });
-      const waitlistedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'waitlisted' });
-      
-      // Get applications by expertise area
-      const applicationsByExpertise = await MentorApplication.aggregate([
-        { $match: dateFilter },
-        { $unwind: '$expertiseAreas' },
-        { $group: { _id: '$expertiseAreas', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ]);
-      
-      // Get approval trends
-      const approvalTrends = await MentorApplication.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: { $in: ['approved', 'rejected'] }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$updatedAt' },
-              month: { $month: '$updatedAt' },
-              status: '$status'
-            },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1 } }
-      ]);
+      const { startDate, endDate, granularity, format = 'json' } = req.query;
+      
+      if (req.query.async === true || req.query.async === 'true') {
+        const job = await exportJobService.queueReport({
+          type,
+          format,
+          startDate,
+          endDate,
+          granularity,
+          requestedBy: req.admin._id
+        });
+        
+        return res.status(202).json({
+          success: true,
+          message: 'Report queued',
+          data: job
+        });
+      }
       
-      const report = {
-        summary: {
-          totalApplications,
-          pendingApplications,
-          approvedApplications,
-          rejectedApplications,
-          waitlistedApplications,
-          approvalRate: totalApplications > 0 ? ((approvedApplications / totalApplications) * 100).toFixed(2) : 0,
-          rejectionRate: totalApplications > 0 ? ((rejectedApplications / totalApplications) * 100).toFixed(2) : 0
-        },
-        applicationsByExpertise,
-        approvalTrends,
-        generatedAt: new Date(),
-        dateRange: { startDate, endDate }
-      };
+      const report = await reportService.generate(type, { startDate, endDate, granularity });
       
       if (format === 'csv') {
-        const csv = this.convertToCSV(report);
         res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=mentor-report.csv');
-        return res.send(csv);
+        res.setHeader('Content-Disposition', `attachment; filename=${reportService.getFileName(type, format)}`);
+        return res.send(reportService.reportToCSV(report));
       }
       
       res.json({
@@ -3248,7 +4088,14 @@ class AdminController {
         data: report
       });
     } catch (error) {
-      console.error('Error generating mentor report:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      console.error(`Error generating ${type} report:`, error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3256,113 +4103,34 @@ class AdminController {
     }
   }
 
-  static async generateJobReport(req, res) {
+  // Queue an export of records; the file is built by the export worker
+  static async exportData(req, res) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      // Build date filter
-      const dateFilter = {};
-      if (startDate || endDate) {
-        dateFilter.createdAt = {};
-        if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-        if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-      }
-      
-      // Get job statistics
-      const totalJobs = await Job.countDocuments(dateFilter);
-      const activeJobs = await Job.countDocuments({ ...dateFilter, status: 'active' });
-      const pendingJobs = await Job.countDocuments({ ...dateFilter, status: 'pending' });
-      const rejectedJobs = await Job.countDocuments({ ...dateFilter, status: 'rejected' });
-      const expiredJobs = await Job.countDocuments({ ...dateFilter, status: 'expired' });
-      const featuredJobs = await Job.countDocuments({ ...dateFilter, isFeatured: true });
-      
-      // Get jobs by category
-      const jobsByCategory = await Job.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: '$category', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ]);
-      
-      // Get jobs by employment type
-      const jobsByType = await Job.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: '$employmentType', count: { $sum: 1 } } }
-      ]);
-      
-      // Get jobs by salary range
-      const jobsBySalaryRange = await Job.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: {
-              $switch: {
-                branches: [
-                  { case: { $lt: ['$salary.min', 30000] }, then: 'Under 30k' },
-                  { case: { $lt: ['$salary.min', 50000] }, then: '30k-50k' },
-                  { case: { $lt: ['$salary.min', 80000] }, then: '50k-80k' },
-                  { case: { $lt: ['$salary.min', 120000] }, then: '80k-120k' }
-                ],
-                default: '120k+'
-              }
-            },
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Get application statistics
-      const applicationStats = await JobApplication.aggregate([
-        {
-          $lookup: {
-            from: 'jobs',
-            localField: 'jobId',
-            foreignField: '_id',
-            as: 'job'
-          }
-        },
-        { $unwind: '$job' },
-        { $match: { 'job.createdAt': dateFilter.createdAt || { $exists: true } } },
-        {
-          $group: {
-            _id: null,
-            totalApplications: { $sum: 1 },
-            avgApplicationsPerJob: { $avg: 1 }
-          }
-        }
-      ]);
-      
-      const report = {
-        summary: {
-          totalJobs,
-          activeJobs,
-          pendingJobs,
-          rejectedJobs,
-          expiredJobs,
-          featuredJobs,
-          approvalRate: totalJobs > 0 ? ((activeJobs / totalJobs) * 100).toFixed(2) : 0,
-          featuredRate: totalJobs > 0 ? ((featuredJobs / totalJobs) * 100).toFixed(2) : 0
-        },
-        jobsByCategory,
-        jobsByType,
-        jobsBySalaryRange,
-        applicationStats: applicationStats[0] || { totalApplications: 0, avgApplicationsPerJob: 0 },
-        generatedAt: new Date(),
-        dateRange: { startDate, endDate }
-      };
+      const { type } = req.params;
+      const { format = 'csv', dateRange, filters = {} } = req.body;
       
-      if (format === 'csv') {
-        const csv = this.convertToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=job-report.csv');
-        return res.send(csv);
-      }
+      const job = await exportJobService.queueDataExport({
+        type,
+        format,
+        dateRange,
+        filters,
+        requestedBy: req.admin._id
+      });
       
-      res.json({
+      res.status(202).json({
         success: true,
-        data: report
+        message: 'Export queued',
+        data: job
       });
     } catch (error) {
-      console.error('Error generating job report:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      console.error('Error queueing export:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3370,103 +4138,38 @@ class AdminController {
     }
   }
 
-  static async generateBookingReport(req, res) {
+  // Admins without reports.manage only see their own export jobs
+  static async canManageExports(admin) {
+    return admin.hasPermission('reports', 'manage');
+  }
+
+  static async getExportJobs(req, res) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      // Build date filter
-      const dateFilter = {};
-      if (startDate || endDate) {
-        dateFilter.createdAt = {};
-        if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-        if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-      }
-      
-      // Get booking statistics
-      const totalBookings = await Booking.countDocuments(dateFilter);
-      const confirmedBookings = await Booking.countDocuments({ ...dateFilter, status: 'confirmed' });
-      const pendingBookings = await Booking.countDocuments({ ...dateFilter, status: 'pending' });
-      const cancelledBookings = await Booking.countDocuments({ ...dateFilter, status: 'cancelled' });
-      const completedBookings = await Booking.countDocuments({ ...dateFilter, status: 'completed' });
-      
-      // Get bookings by session type
-      const bookingsByType = await Booking.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: '$sessionType', count: { $sum: 1 } } }
-      ]);
-      
-      // Get booking trends (daily for last 30 days)
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      const bookingTrends = await Booking.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: thirtyDaysAgo }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' },
-              day: { $dayOfMonth: '$createdAt' }
-            },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
-      ]);
-      
-      // Get average session duration and rating
-      const sessionStats = await Booking.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: 'completed'
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            avgDuration: { $avg: '$duration' },
-            avgRating: { $avg: '$rating' },
-            totalRevenue: { $sum: '$amount' }
-          }
-        }
-      ]);
-      
-      const report = {
-        summary: {
-          totalBookings,
-          confirmedBookings,
-          pendingBookings,
-          cancelledBookings,
-          completedBookings,
-          confirmationRate: totalBookings > 0 ? ((confirmedBookings / totalBookings) * 100).toFixed(2) : 0,
-          completionRate: confirmedBookings > 0 ? ((completedBookings / confirmedBookings) * 100).toFixed(2) : 0,
-          cancellationRate: totalBookings > 0 ? ((cancelledBookings / totalBookings) * 100).toFixed(2) : 0
-        },
-        bookingsByType,
-        bookingTrends,
-        sessionStats: sessionStats[0] || { avgDuration: 0, avgRating: 0, totalRevenue: 0 },
-        generatedAt: new Date(),
-        dateRange: { startDate, endDate }
-      };
+      const { page = 1, limit = 20, status, kind } = req.query;
+      const canManage = await AdminController.canManageExports(req.admin);
       
-      if (format === 'csv') {
-        const csv = this.convertToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=booking-report.csv');
-        return res.send(csv);
-      }
+      const [jobs, total] = await exportJobService.getJobs({
+        page,
+        limit,
+        status,
+        kind,
+        requestedBy: canManage ? req.query.requestedBy : req.admin._id
+      });
       
       res.json({
         success: true,
-        data: report
+        data: {
+          jobs,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
       });
     } catch (error) {
-      console.error('Error generating booking report:', error);
+      console.error('Error fetching export jobs:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3474,145 +4177,25 @@ class AdminController {
     }
   }
 
-  static async generateRevenueReport(req, res) {
+  static async getExportJob(req, res) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      // Build date filter
-      const dateFilter = {};
-      if (startDate || endDate) {
-        dateFilter.createdAt = {};
-        if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-        if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-      }
-      
-      // Get revenue from bookings
-      const bookingRevenue = await Booking.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: { $in: ['completed', 'confirmed'] },
-            amount: { $exists: true }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalRevenue: { $sum: '$amount' },
-            totalBookings: { $sum: 1 },
-            avgBookingValue: { $avg: '$amount' }
-          }
-        }
-      ]);
-      
-      // Get revenue trends (monthly)
-      const revenueTrends = await Booking.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: { $in: ['completed', 'confirmed'] },
-            amount: { $exists: true }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' }
-            },
-            revenue: { $sum: '$amount' },
-            bookings: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1 } }
-      ]);
-      
-      // Get revenue by session type
-      const revenueByType = await Booking.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: { $in: ['completed', 'confirmed'] },
-            amount: { $exists: true }
-          }
-        },
-        {
-          $group: {
-            _id: '$sessionType',
-            revenue: { $sum: '$amount' },
-            bookings: { $sum: 1 },
-            avgValue: { $avg: '$amount' }
-          }
-        },
-        { $sort: { revenue: -1 } }
-      ]);
-      
-      // Get top performing mentors by revenue
-      const topMentors = await Booking.aggregate([
-        {
-          $match: {
-            ...dateFilter,
-            status: { $in: ['completed', 'confirmed'] },
-            amount: { $exists: true }
-          }
-        },
-        {
-          $group: {
-            _id: '$mentorId',
-            revenue: { $sum: '$amount' },
-            bookings: { $sum: 1 }
-          }
-        },
-        { $sort: { revenue: -1 } },
-        { $limit: 10 },
-        {
-          $lookup: {
-            from: 'users',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'mentor'
-          }
-        },
-        { $unwind: '$mentor' },
-        {
-          $project: {
-            mentorName: '$mentor.name',
-            mentorEmail: '$mentor.email',
-            revenue: 1,
-            bookings: 1
-          }
-        }
-      ]);
-      
-      const bookingRevenueData = bookingRevenue[0] || { totalRevenue: 0, totalBookings: 0, avgBookingValue: 0 };
-      
-      const report = {
-        summary: {
-          totalRevenue: bookingRevenueData.totalRevenue,
-          totalTransactions: bookingRevenueData.totalBookings,
-          avgTransactionValue: bookingRevenueData.avgBookingValue,
-          revenueGrowth: 0 // Would need historical data to calculate
-        },
-        revenueTrends,
-        revenueByType,
-        topMentors,
-        generatedAt: new Date(),
-        dateRange: { startDate, endDate }
-      };
+      const job = await ExportJob.findById(req.params.jobId)
+        .populate('requestedBy', 'name email')
+        .populate('downloads.downloadedBy', 'name email');
       
-      if (format === 'csv') {
-        const csv = this.convertToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=revenue-report.csv');
-        return res.send(csv);
+      if (!job || (!job.requestedBy?._id.equals(req.admin._id) && !(await AdminController.canManageExports(req.admin)))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export job not found'
+        });
       }
       
       res.json({
         success: true,
-        data: report
+        data: job
       });
     } catch (error) {
-      console.error('Error generating revenue report:', error);
+      console.error('Error fetching export job:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3620,188 +4203,39 @@ class AdminController {
     }
   }
 
-  // Export data in various formats
-  static async exportData(req, res) {
+  static async downloadExportJob(req, res) {
     try {
-      const { type } = req.params;
-      const { format = 'csv', dateRange, filters = {} } = req.body;
-      
-      // Validate export type
-      const validTypes = ['users', 'mentors', 'jobs', 'bookings', 'companies', 'courses', 'applications'];
-      if (!validTypes.includes(type)) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid export type. Valid types: ${validTypes.join(', ')}`
-        });
-      }
-      
-      // Validate format
-      const validFormats = ['csv', 'excel', 'pdf'];
-      if (!validFormats.includes(format)) {
-        return res.status(400).json({
+      const job = await ExportJob.findById(req.params.jobId).select('requestedBy');
+      if (!job || (!job.requestedBy.equals(req.admin._id) && !(await AdminController.canManageExports(req.admin)))) {
+        return res.status(404).json({
           success: false,
-          message: `Invalid format. Valid formats: ${validFormats.join(', ')}`
+          message: 'Export job not found'
         });
       }
       
-      // Build date filter
-      const dateFilter = {};
-      if (dateRange && dateRange.startDate) {
-        dateFilter.createdAt = { $gte: new Date(dateRange.startDate) };
-      }
-      if (dateRange && dateRange.endDate) {
-        if (!dateFilter.createdAt) dateFilter.createdAt = {};
-        dateFilter.createdAt.$lte = new Date(dateRange.endDate);
-      }
-      
-      // Combine filters
-      const query = { ...dateFilter, ...filters };
-      
-      let data = [];
-      let filename = '';
+      const download = await exportJobService.openDownload(job._id, {
+        downloadedBy: req.admin._id,
+        ipAddress: req.ip
+      });
       
-      switch (type) {
-        case 'users':
-          data = await User.find(query)
-            .select('name email role isActive isVerified createdAt lastLoginAt')
-            .lean();
-          filename = `users-export-${Date.now()}`;
-          break;
-          
-        case 'mentors':
-          data = await MentorApplication.find(query)
-            .populate('userId', 'name email')
-            .select('userId status expertiseAreas experience hourlyRate createdAt approvedAt')
-            .lean();
-          filename = `mentors-export-${Date.now()}`;
-          break;
-          
-        case 'jobs':
-          data = await Job.find(query)
-            .populate('companyId', 'name')
-            .select('title companyId category employmentType location salary status isFeatured createdAt')
-            .lean();
-          filename = `jobs-export-${Date.now()}`;
-          break;
-          
-        case 'bookings':
-          try {
-            data = await Booking.find(query)
-              .populate('userId', 'name email')
-              .populate('mentorId', 'name email')
-              .select('userId mentorId sessionType status amount duration scheduledAt createdAt')
-              .lean();
-          } catch (error) {
-            return res.status(400).json({
-              success: false,
-              message: 'Booking data not available'
-            });
-          }
-          filename = `bookings-export-${Date.now()}`;
-          break;
-          
-        case 'companies':
-          try {
-            data = await Company.find(query)
-              .select('name email industry size location isVerified status createdAt')
-              .lean();
-          } catch (error) {
-            return res.status(400).json({
-              success: false,
-              message: 'Company data not available'
-            });
-          }
-          filename = `companies-export-${Date.now()}`;
-          break;
-          
-        case 'courses':
-          try {
-            data = await Course.find(query)
-              .populate('instructorId', 'name email')
-              .select('title instructorId category level price status isFeatured enrollmentCount createdAt')
-              .lean();
-          } catch (error) {
-            return res.status(400).json({
-              success: false,
-              message: 'Course data not available'
-            });
-          }
-          filename = `courses-export-${Date.now()}`;
-          break;
-          
-        case 'applications':
-          try {
-            data = await JobApplication.find(query)
-              .populate('userId', 'name email')
-              .populate('jobId', 'title')
-              .select('userId jobId status appliedAt')
-              .lean();
-          } catch (error) {
-            return res.status(400).json({
-              success: false,
-              message: 'Job application data not available'
-            });
-          }
-          filename = `job-applications-export-${Date.now()}`;
-          break;
-          
-        default:
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid export type'
-          });
-      }
+      res.setHeader('Content-Type', download.job.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename=${download.job.fileName}`);
+      res.setHeader('Content-Length', download.job.size);
       
-      if (!data || data.length === 0) {
-        return res.status(404).json({
+      download.stream.on('error', (error) => {
+        console.error('Error streaming export file:', error);
+        res.destroy(error);
+      });
+      download.stream.pipe(res);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'No data found for export'
+          message: error.message
         });
       }
       
-      // Process data based on format
-      switch (format) {
-        case 'csv':
-          const csv = this.convertToCSV(data);
-          res.setHeader('Content-Type', 'text/csv');
-          res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
-          return res.send(csv);
-          
-        case 'excel':
-          // For Excel format, you might want to use a library like 'xlsx'
-          // For now, we'll return CSV with Excel MIME type
-          const excelData = this.convertToCSV(data);
-          res.setHeader('Content-Type', 'application/vnd.ms-excel');
-          res.setHeader('Content-Disposition', `attachment; filename=${filename}.xls`);
-          return res.send(excelData);
-          
-        case 'pdf':
-          // For PDF format, you might want to use a library like 'pdfkit' or 'puppeteer'
-          // For now, we'll return JSON with instructions
-          return res.json({
-            success: true,
-            message: 'PDF export not yet implemented. Use CSV or Excel format.',
-            data: {
-              totalRecords: data.length,
-              exportType: type,
-              generatedAt: new Date()
-            }
-          });
-          
-        default:
-          return res.json({
-            success: true,
-            data: {
-              records: data,
-              totalRecords: data.length,
-              exportType: type,
-              format,
-              generatedAt: new Date()
-            }
-          });
-      }
-    } catch (error) {
-      console.error('Error exporting data:', error);
+      console.error('Error downloading export:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -3809,53 +4243,6 @@ class AdminController {
     }
   }
 
-  // Enhanced CSV conversion helper method
-  static convertToCSV(data) {
-    if (!data || data.length === 0) {
-      return '';
-    }
-    
-    // Flatten nested objects and get all possible keys
-    const flattenObject = (obj, prefix = '') => {
-      let result = {};
-      for (let key in obj) {
-        if (obj[key] === null || obj[key] === undefined) {
-          result[prefix + key] = '';
-        } else if (typeof obj[key] === 'object' && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
-          Object.assign(result, flattenObject(obj[key], prefix + key + '.'));
-        } else if (Array.isArray(obj[key])) {
-          result[prefix + key] = obj[key].join('; ');
-        } else if (obj[key] instanceof Date) {
-          result[prefix + key] = obj[key].toISOString();
-        } else {
-          result[prefix + key] = obj[key];
-        }
-      }
-      return result;
-    };
-    
-    // Flatten all objects and collect all unique keys
-    const flattenedData = data.map(item => flattenObject(item));
-    const allKeys = [...new Set(flattenedData.flatMap(item => Object.keys(item)))];
-    
-    // Create CSV header
-    const header = allKeys.join(',');
-    
-    // Create CSV rows
-    const rows = flattenedData.map(item => {
-      return allKeys.map(key => {
-        const value = item[key] || '';
-        // Escape quotes and wrap in quotes if contains comma, quote, or newline
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',');
-    });
-    
-    return [header, ...rows].join('\n');
-  }
-
   // Dashboard analytics
   static async getAnalytics(req, res) {
     try {
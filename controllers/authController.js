@@ -2,12 +2,82 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const smsService = require('../services/smsService');
+const settingsService = require('../services/settingsService');
+const rateLimitService = require('../services/rateLimitService');
+const phoneService = require('../services/phoneService');
+const userAuthService = require('../services/userAuthService');
+const oauthService = require('../services/oauthService');
+const oauthProviders = require('../services/oauthProviders');
+const { OAuthIntents } = require('../models/OAuthState');
+
+// Errors thrown by services carry their own status; rate limits also say when to retry
+const sendServiceError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    ...(error.requiresEmailVerification && { requiresEmailVerification: true })
+  });
+};
+
+// Look a user up by E.164 number. Accounts created before numbers were
+// normalized may hold a legacy form; they are moved to the E.164 form,
+// which the caller's next save stores.
+const findUserByPhone = async (phone, fields) => {
+  const user = await User.findByPhone(phone).select(fields);
+  if (user) return user;
+
+  const legacyForms = phoneService.legacyFormsOf(phone);
+  if (!legacyForms.length) return null;
+
+  const legacyUser = await User.findOne({ phone: { $in: legacyForms } }).select(fields);
+  if (legacyUser) {
+    legacyUser.phone = phone;
+  }
+  return legacyUser;
+};
+
+// Sign the user in: a new access token and a stored refresh token. Every
+// login flow ends here so they all hand out the same tokens.
+const issueTokens = async (user) => {
+  const authToken = user.generateAuthToken();
+  const refreshToken = user.generateRefreshToken();
+  
+  user.refreshTokens.push({ token: refreshToken });
+  user.lastLogin = Date.now();
+  await user.save();
+  
+  // Remove sensitive data
+  user.password = undefined;
+  user.refreshTokens = undefined;
+  
+  return {
+    accessToken: authToken,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRE || '1h'
+  };
+};
+
+// Successful login response, as returned by OTP verification
+const sendLogin = async (res, user, { message = 'Login successful', isNewUser = false } = {}) => {
+  const tokens = await issueTokens(user);
+  res.json({
+    success: true,
+    message,
+    isNewUser,
+    user,
+    tokens
+  });
+};
 
 class AuthController {
   // Send OTP for login/registration
   static async sendOTP(req, res) {
     try {
-      const { phone } = req.body;
+      const { phone, country } = req.body;
       
       if (!phone) {
         return res.status(400).json({
@@ -16,11 +86,14 @@ class AuthController {
         });
       }
       
-      // Normalize phone number
-      const normalizedPhone = phone.startsWith('+91') ? phone : `+91${phone}`;
+      // Normalize to E.164; numbers without a calling code are read as `country`'s
+      const { e164: normalizedPhone } = await phoneService.parseForSignIn(phone, country);
+      
+      // Throttle by phone, IP and device across all instances
+      await rateLimitService.consume('otp-send', rateLimitService.subjectsFor(req, { phone: normalizedPhone }));
       
       // Check if user exists
-      let user = await User.findByPhone(normalizedPhone).select('+otp +otpExpires +lastOtpSent +otpAttempts');
+      let user = await findUserByPhone(normalizedPhone, '+otp +otpExpires +lastOtpSent +otpAttempts');
       
       // Rate limiting - prevent spam
       if (user && user.lastOtpSent) {
@@ -36,6 +109,14 @@ class AuthController {
       
       // Create user if doesn't exist
       if (!user) {
+        const allowRegistration = await settingsService.getValue('allowRegistration');
+        if (allowRegistration === false) {
+          return res.status(403).json({
+            success: false,
+            message: 'New registrations are currently disabled'
+          });
+        }
+        
         user = new User({
           phone: normalizedPhone,
           name: '', // Will be updated after OTP verification
@@ -48,7 +129,7 @@ class AuthController {
       const otp = user.generateOTP();
       await user.save();
       
-      // Send OTP via Fast2SMS
+      // Send OTP through the configured SMS providers
       const smsResult = await smsService.sendOTP(normalizedPhone, otp);
       
       if (!smsResult.success) {
@@ -68,6 +149,9 @@ class AuthController {
       });
       
     } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
       console.error('Send OTP Error:', error);
       res.status(500).json({
         success: false,
@@ -77,10 +161,30 @@ class AuthController {
     }
   }
   
+  // Countries phone sign-in is open to, for the client's country picker
+  static async getPhoneCountries(req, res) {
+    try {
+      const allowed = await phoneService.getAllowedCountries();
+      const countries = phoneService.getCountries().filter(country => allowed.includes(country.code));
+
+      res.json({
+        success: true,
+        data: countries
+      });
+    } catch (error) {
+      console.error('Get phone countries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching phone countries',
+        error: error.message
+      });
+    }
+  }
+  
   // Verify OTP and login/register
   static async verifyOTP(req, res) {
     try {
-      const { phone, otp } = req.body; // Remove name and email from here
+      const { phone, country, otp } = req.body; // Remove name and email from here
       
       if (!phone || !otp) {
         return res.status(400).json({
@@ -89,11 +193,14 @@ class AuthController {
         });
       }
       
-      // Normalize phone number
-      const normalizedPhone = phone.startsWith('+91') ? phone : `+91${phone}`;
+      // Normalize to E.164; numbers without a calling code are read as `country`'s
+      const { e164: normalizedPhone } = await phoneService.parseForSignIn(phone, country);
+      
+      // Throttle guesses by phone, IP and device across all instances
+      await rateLimitService.consume('otp-verify', rateLimitService.subjectsFor(req, { phone: normalizedPhone }));
       
       // Find user
-      const user = await User.findByPhone(normalizedPhone).select('+otp +otpExpires +otpAttempts');
+      const user = await findUserByPhone(normalizedPhone, '+otp +otpExpires +otpAttempts');
       
       if (!user) {
         return res.status(404).json({
@@ -128,6 +235,7 @@ class AuthController {
       // Mark phone as verified and clear OTP
       user.phoneVerified = true;
       user.clearOTP();
+      await rateLimitService.reset('otp-verify', { phone: normalizedPhone });
       user.lastLogin = Date.now();
       user.isActive = true;
       
@@ -145,30 +253,12 @@ class AuthController {
       }
       
       // For existing users, generate tokens and login
-      const authToken = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
-      
-      // Save refresh token
-      user.refreshTokens.push({ token: refreshToken });
-      await user.save();
-      
-      // Remove sensitive data
-      user.password = undefined;
-      user.refreshTokens = undefined;
-      
-      res.json({
-        success: true,
-        message: 'Login successful',
-        isNewUser: false,
-        user,
-        tokens: {
-          accessToken: authToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRE || '1h'
-        }
-      });
+      await sendLogin(res, user);
       
     } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
       console.error('Verify OTP Error:', error);
       res.status(500).json({
         success: false,
@@ -305,12 +395,19 @@ class AuthController {
         }
       }
       
+      const emailChanged = !!updates.email && updates.email.toLowerCase() !== req.user.email;
+      
       const user = await User.findByIdAndUpdate(
         req.user.id,
         updates,
         { new: true, runValidators: true }
       );
       
+      // A new address has to be confirmed before it can be used to sign in
+      if (emailChanged) {
+        await userAuthService.restartEmailVerification(user);
+      }
+      
       res.json({
         success: true,
         message: 'Profile updated successfully',
@@ -423,26 +520,13 @@ class AuthController {
       await user.save();
       
       // Generate tokens
-      const authToken = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
-      
-      // Save refresh token
-      user.refreshTokens.push({ token: refreshToken });
-      await user.save();
-      
-      // Remove sensitive data
-      user.password = undefined;
-      user.refreshTokens = undefined;
+      const tokens = await issueTokens(user);
       
       res.json({
         success: true,
         message: 'Registration completed successfully',
         user,
-        tokens: {
-          accessToken: authToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRE || '1h'
-        }
+        tokens
       });
       
     } catch (error) {
@@ -454,6 +538,337 @@ class AuthController {
       });
     }
   }
+  
+  // Register with email and password; sign-in opens once the emailed link is followed
+  static async register(req, res) {
+    try {
+      const { name, email, password } = req.body;
+      
+      await rateLimitService.consume('email-link', rateLimitService.subjectsFor(req, { email }));
+      const user = await userAuthService.register({ name, email, password });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your address.',
+        data: { userId: user._id, email: user.email }
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Register Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error registering user',
+        error: error.message
+      });
+    }
+  }
+  
+  // Sign in with email and password
+  static async login(req, res) {
+    try {
+      const { email, password } = req.body;
+      
+      // Throttle guesses by email, IP and device across all instances
+      await rateLimitService.consume('password-login', rateLimitService.subjectsFor(req, { email }));
+      const user = await userAuthService.login(email, password);
+      await rateLimitService.reset('password-login', { email });
+      
+      await sendLogin(res, user);
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Login Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error logging in',
+        error: error.message
+      });
+    }
+  }
+  
+  // Confirm an email address from the emailed link; signs the user in
+  static async verifyEmail(req, res) {
+    try {
+      const user = await userAuthService.verifyEmail(req.body.token);
+      await sendLogin(res, user, { message: 'Email verified successfully' });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Verify Email Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying email',
+        error: error.message
+      });
+    }
+  }
+  
+  static async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+      
+      await rateLimitService.consume('email-link', rateLimitService.subjectsFor(req, { email }));
+      await userAuthService.resendVerification(email);
+      
+      // Don't reveal if email exists or not for security
+      res.json({
+        success: true,
+        message: 'If that address is waiting for verification, a new link has been sent'
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Resend Verification Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sending verification email',
+        error: error.message
+      });
+    }
+  }
+  
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      
+      await rateLimitService.consume('email-link', rateLimitService.subjectsFor(req, { email }));
+      await userAuthService.requestPasswordReset(email);
+      
+      // Don't reveal if email exists or not for security
+      res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent'
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Forgot Password Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing forgot password request',
+        error: error.message
+      });
+    }
+  }
+  
+  // Choose a new password from the emailed link; signs out every other session
+  static async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+      
+      const user = await userAuthService.resetPassword(token, password);
+      await sendLogin(res, user, { message: 'Password reset successful' });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Reset Password Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting password',
+        error: error.message
+      });
+    }
+  }
+  
+  // Email a one-time sign-in link
+  static async sendMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+      
+      await rateLimitService.consume('email-link', rateLimitService.subjectsFor(req, { email }));
+      await userAuthService.requestMagicLink(email);
+      
+      // Don't reveal if email exists or not for security
+      res.json({
+        success: true,
+        message: 'If an account with that email exists, a sign-in link has been sent'
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Magic Link Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sending sign-in link',
+        error: error.message
+      });
+    }
+  }
+  
+  // Sign in with the token from a magic link
+  static async verifyMagicLink(req, res) {
+    try {
+      const user = await userAuthService.consumeMagicLink(req.body.token);
+      await sendLogin(res, user);
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Verify Magic Link Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error signing in with link',
+        error: error.message
+      });
+    }
+  }
+  
+  // Identity providers users can sign in with
+  static async getOAuthProviders(req, res) {
+    res.json({
+      success: true,
+      data: oauthService.getEnabledProviders()
+    });
+  }
+  
+  // Begin signing in with an identity provider; the client sends the user
+  // to the returned URL and posts the code it comes back with to the callback
+  static async startOAuth(req, res) {
+    try {
+      const data = await oauthService.start(req.params.provider);
+      
+      res.json({
+        success: true,
+        data
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Start OAuth Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error starting sign-in',
+        error: error.message
+      });
+    }
+  }
+  
+  // Finish signing in: creates the user, or links them by verified email, on first use
+  static async oauthCallback(req, res) {
+    try {
+      const { user, isNewUser } = await oauthService.login(req.params.provider, req.body);
+      await sendLogin(res, user, { isNewUser });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('OAuth Callback Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error signing in',
+        error: error.message
+      });
+    }
+  }
+  
+  // Consent page of the local mock provider (ENABLE_MOCK_OAUTH=true only)
+  static async mockOAuthAuthorize(req, res) {
+    const provider = oauthProviders.getProvider('mock');
+    if (!provider || !provider.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+    
+    res.redirect(provider.authorize(req.query));
+  }
+  
+  // Identity providers linked to the signed-in user
+  static async getSocialIdentities(req, res) {
+    res.json({
+      success: true,
+      data: req.user.socialIdentities
+    });
+  }
+  
+  // Begin linking an identity provider account to the signed-in user
+  static async startOAuthLink(req, res) {
+    try {
+      const data = await oauthService.start(req.params.provider, { intent: OAuthIntents.LINK, user: req.user });
+      
+      res.json({
+        success: true,
+        data
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Start OAuth Link Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error starting account link',
+        error: error.message
+      });
+    }
+  }
+  
+  static async completeOAuthLink(req, res) {
+    try {
+      const user = await oauthService.link(req.params.provider, req.body, req.user);
+      
+      res.json({
+        success: true,
+        message: 'Account linked successfully',
+        data: user.socialIdentities
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Complete OAuth Link Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error linking account',
+        error: error.message
+      });
+    }
+  }
+  
+  static async unlinkOAuth(req, res) {
+    try {
+      const user = await oauthService.unlink(req.params.provider, req.user);
+      
+      res.json({
+        success: true,
+        message: 'Account unlinked successfully',
+        data: user.socialIdentities
+      });
+      
+    } catch (error) {
+      if (error.statusCode) {
+        return sendServiceError(res, error);
+      }
+      console.error('Unlink OAuth Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error unlinking account',
+        error: error.message
+      });
+    }
+  }
 }
 
-module.exports = AuthController;
\ No newline at end of file
+module.exports = AuthController;
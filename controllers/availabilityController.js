@@ -0,0 +1,162 @@
+const availabilityService = require('../services/availabilityService');
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+class AvailabilityController {
+  // Get the signed-in mentor's schedule, overrides and blackout days
+  static async getMyAvailability(req, res) {
+    try {
+      const availability = await availabilityService.getAvailability(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          timezone: availabilityService.getMentorTimezone(req.user),
+          availability
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching availability');
+    }
+  }
+
+  // Replace the weekly schedule and booking settings
+  static async updateMyAvailability(req, res) {
+    try {
+      const availability = await availabilityService.updateAvailability(req.user, req.body);
+
+      res.json({
+        success: true,
+        message: 'Availability updated successfully',
+        data: {
+          timezone: req.body.timezone || availabilityService.getMentorTimezone(req.user),
+          availability
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error updating availability');
+    }
+  }
+
+  // Add or replace the windows for a single date
+  static async setOverride(req, res) {
+    try {
+      const { date, slots, note } = req.body;
+      const availability = await availabilityService.setOverride(req.user._id, { date, slots, note });
+
+      res.json({
+        success: true,
+        message: 'Date override saved successfully',
+        data: availability
+      });
+    } catch (error) {
+      sendError(res, error, 'Error saving date override');
+    }
+  }
+
+  static async removeOverride(req, res) {
+    try {
+      const availability = await availabilityService.removeOverride(req.user._id, req.params.date);
+
+      if (!availability) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Date override removed successfully',
+        data: availability
+      });
+    } catch (error) {
+      sendError(res, error, 'Error removing date override');
+    }
+  }
+
+  static async addBlackout(req, res) {
+    try {
+      const { startDate, endDate, reason } = req.body;
+      const availability = await availabilityService.addBlackout(req.user._id, { startDate, endDate, reason });
+
+      res.status(201).json({
+        success: true,
+        message: 'Blackout added successfully',
+        data: availability
+      });
+    } catch (error) {
+      sendError(res, error, 'Error adding blackout');
+    }
+  }
+
+  static async removeBlackout(req, res) {
+    try {
+      const availability = await availabilityService.removeBlackout(req.user._id, req.params.blackoutId);
+
+      if (!availability) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Blackout removed successfully',
+        data: availability
+      });
+    } catch (error) {
+      sendError(res, error, 'Error removing blackout');
+    }
+  }
+
+  // Public view of a mentor's recurring schedule; blackout reasons stay private
+  static async getMentorAvailability(req, res) {
+    try {
+      const mentor = await availabilityService.getMentor(req.params.mentorId);
+      const availability = await availabilityService.getAvailability(mentor._id);
+
+      res.json({
+        success: true,
+        data: {
+          timezone: availabilityService.getMentorTimezone(mentor),
+          isAvailable: mentor.mentorProfile.isAvailable,
+          weeklySlots: availability ? availability.weeklySlots : [],
+          minNoticeHours: availability ? availability.minNoticeHours : null,
+          maxAdvanceDays: availability ? availability.maxAdvanceDays : null
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching mentor availability');
+    }
+  }
+}
+
+module.exports = AvailabilityController;
@@ -1,6 +1,23 @@
 const Booking = require('../models/Booking');
+const { BookingPaymentStatuses } = require('../models/Booking');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const availabilityService = require('../services/availabilityService');
+const slotReservationService = require('../services/slotReservationService');
+const paymentService = require('../services/paymentService');
+const cancellationService = require('../services/cancellationService');
+const ledgerService = require('../services/ledgerService');
+const meetingService = require('../services/meetingService');
+const { durationToMinutes } = require('../services/availabilityService');
+const eventBus = require('../services/eventBus');
+const { Events } = require('../services/eventBus');
+
+// Fields a booking's participants may change with PUT /bookings/:id
+const PARTICIPANT_EDITABLE_FIELDS = ['topic', 'notes'];
+
+// Rating that counts towards averages: none once moderation has hidden it
+// ($avg skips nulls)
+const visibleRating = { $cond: [{ $eq: ['$feedbackHidden', true] }, null, '$rating'] };
 
 class BookingController {
   // Get all bookings
@@ -62,6 +79,43 @@ class BookingController {
     }
   }
 
+  // Bookings of the signed-in user, as mentee and as mentor
+  static async getMyBookings(req, res) {
+    try {
+      const { as, status, page = 1, limit = 10 } = req.query;
+      const query = { isActive: true };
+
+      if (as === 'mentor') query.mentorId = req.user._id;
+      else if (as === 'mentee') query.userId = req.user._id;
+      else query.$or = [{ mentorId: req.user._id }, { userId: req.user._id }];
+      if (status) query.status = status;
+
+      const bookings = await Booking.find(query)
+        .populate('mentorId', 'name email phone')
+        .populate('userId', 'name email phone')
+        .sort({ startAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Booking.countDocuments(query);
+
+      res.json({
+        success: true,
+        count: bookings.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: bookings
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching your bookings',
+        error: error.message
+      });
+    }
+  }
+
   // Get booking by ID
   static async getBookingById(req, res) {
     try {
@@ -113,32 +167,21 @@ class BookingController {
   // In createBooking method, add validation:
   static async createBooking(req, res) {
     try {
-      // Verify mentor and user exist
-      const [mentor, user] = await Promise.all([
-        Mentor.findById(req.body.mentorId),
+      // Users book for themselves; admins may book on someone's behalf
+      if (!req.user.hasRole('admin') || !req.body.userId) {
+        req.body.userId = req.user._id;
+      }
+
+      // Verify mentor, session and user exist
+      const [{ mentor, session }, user] = await Promise.all([
+        availabilityService.getBookableSession(req.body.mentorId, req.body.sessionId),
         User.findById(req.body.userId)
       ]);
   
-      if (!mentor) {
-        return res.status(404).json({
-          success: false,
-          message: 'Mentor not found'
-        });
-      }
-  
-      if (!mentor.isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: 'Mentor is not available for bookings'
-        });
-      }
-  
-      // Verify session exists in mentor's available sessions
-      const session = mentor.availableSessions.id(req.body.sessionId);
-      if (!session) {
+      if (!user) {
         return res.status(404).json({
           success: false,
-          message: 'Session not found in mentor\'s available sessions'
+          message: 'User not found'
         });
       }
   
@@ -147,8 +190,34 @@ class BookingController {
       req.body.duration = session.duration;
       req.body.price = session.price;
   
-      const booking = new Booking(req.body);
-      await booking.save();
+      // Bookings are stored on the mentor's clock and must fit their published availability
+      const durationMinutes = durationToMinutes(session.duration);
+      const slot = availabilityService.toMentorLocal(req.body.date, req.body.time, req.body.timezone, mentor);
+      const availability = await availabilityService.assertBookable(mentor, slot.start, durationMinutes);
+      req.body.startAt = slot.start.toJSDate();
+      req.body.timezone = slot.timezone;
+  
+      // Payment, cancellation and meeting state are never taken from the
+      // client; the mentor's current cancellation policy is fixed for this booking
+      const { paymentStatus, paymentId, cancelledBy, meetingLink, meetingProvider, meetingRoomId, ...fields } = req.body;
+      fields.cancellationPolicy = availability.cancellationPolicy;
+
+      // Claim the time before saving so concurrent requests cannot both succeed
+      const booking = new Booking(fields);
+      await slotReservationService.reserveBooking(booking, {
+        start: slot.start,
+        durationMinutes,
+        bufferMinutes: availability.bufferMinutes,
+        holdId: req.body.holdId
+      });
+  
+      try {
+        await booking.save();
+      } catch (error) {
+        await slotReservationService.releaseBooking(booking._id);
+        throw error;
+      }
+      await User.updateOne({ _id: mentor._id }, { $inc: { 'mentorProfile.totalBookings': 1 } });
       
       await booking.populate([
         { path: 'mentorId', select: 'name email phone' },
@@ -161,6 +230,13 @@ class BookingController {
         data: booking
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       if (error.name === 'ValidationError') {
         const errors = Object.values(error.errors).map(err => ({
           field: err.path,
@@ -185,14 +261,7 @@ class BookingController {
   // Update booking
   static async updateBooking(req, res) {
     try {
-      const booking = await Booking.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-      ).populate([
-        { path: 'mentorId', select: 'name email phone' },
-        { path: 'userId', select: 'name email phone' }
-      ]);
+      const booking = await Booking.findById(req.params.id);
       
       if (!booking) {
         return res.status(404).json({
@@ -201,6 +270,30 @@ class BookingController {
         });
       }
 
+      // Payment state only changes through the payment provider, cancellation
+      // details only by cancelling, and meeting rooms through meetingService
+      const {
+        paymentStatus, paymentId, cancelledBy, cancellationPolicy,
+        meetingLink, meetingProvider, meetingRoomId,
+        ...updates
+      } = req.body;
+
+      // Participants may only edit the session's details; everything else
+      // changes through confirm, cancel, reschedule or an admin
+      if (!req.user.hasRole('admin')) {
+        Object.keys(updates).forEach((field) => {
+          if (!PARTICIPANT_EDITABLE_FIELDS.includes(field)) delete updates[field];
+        });
+      }
+
+      // Saved through the document so startAt/endAt stay in step with the other fields
+      booking.set(updates);
+      await booking.save();
+      await booking.populate([
+        { path: 'mentorId', select: 'name email phone' },
+        { path: 'userId', select: 'name email phone' }
+      ]);
+
       res.json({
         success: true,
         message: 'Booking updated successfully',
@@ -251,6 +344,10 @@ class BookingController {
         });
       }
 
+      await slotReservationService.releaseBooking(booking._id);
+      await paymentService.cancelOpenIntents(booking._id);
+      await meetingService.revokeLink(booking);
+
       res.json({
         success: true,
         message: 'Booking deleted successfully'
@@ -282,7 +379,7 @@ class BookingController {
 
       const bookings = await Booking.find(query)
         .populate('userId', 'name email phone')
-        .sort({ date: 1, time: 1 })
+        .sort({ startAt: 1 })
         .limit(limit * 1)
         .skip((page - 1) * limit);
 
@@ -357,12 +454,23 @@ class BookingController {
         });
       }
 
+      // Paid bookings are confirmed by the payment webhook once payment is received
+      if (booking.paymentStatus === BookingPaymentStatuses.UNPAID) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking cannot be confirmed until it has been paid for'
+        });
+      }
+
       await booking.confirm();
+      await meetingService.createLink(booking);
       await booking.populate([
         { path: 'mentorId', select: 'name email phone' },
         { path: 'userId', select: 'name email phone' }
       ]);
 
+      eventBus.publish(Events.BOOKING_CONFIRMED, { booking });
+
       res.json({
         success: true,
         message: 'Booking confirmed successfully',
@@ -389,14 +497,27 @@ class BookingController {
         });
       }
 
-      if (booking.status !== 'confirmed') {
+      if (!['confirmed', 'rescheduled', 'awaiting_completion'].includes(booking.status)) {
         return res.status(400).json({
           success: false,
           message: 'Only confirmed bookings can be completed'
         });
       }
 
+      // Completing credits the mentor, so the session has to have happened
+      if (!booking.endAt || booking.endAt > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A booking can only be completed once its session has ended'
+        });
+      }
+
       await booking.complete();
+      await User.updateOne(
+        { _id: booking.populated('mentorId') || booking.mentorId },
+        { $inc: { 'mentorProfile.completedSessions': 1 } }
+      );
+      await ledgerService.creditBooking(booking);
       await booking.populate([
         { path: 'mentorId', select: 'name email phone' },
         { path: 'userId', select: 'name email phone' }
@@ -429,25 +550,37 @@ class BookingController {
         });
       }
 
-      if (['completed', 'cancelled'].includes(booking.status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot cancel completed or already cancelled bookings'
-        });
-      }
-
-      await booking.cancel(reason);
+      // Mentees are refunded under the booking's policy; mentors always refund in full
+      const { refund, quote } = await cancellationService.cancel(booking, {
+        cancelledBy: cancellationService.getInitiator(booking, req.user),
+        reason
+      });
       await booking.populate([
         { path: 'mentorId', select: 'name email phone' },
         { path: 'userId', select: 'name email phone' }
       ]);
 
+      eventBus.publish(Events.BOOKING_CANCELLED, { booking, refund });
+
       res.json({
         success: true,
         message: 'Booking cancelled successfully',
-        data: booking
+        data: booking,
+        refund: {
+          refundPercent: quote.refundPercent,
+          amount: refund ? refund.amount : 0,
+          currency: quote.currency,
+          status: refund ? refund.status : null
+        }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error cancelling booking',
@@ -456,10 +589,9 @@ class BookingController {
     }
   }
 
-  // Reschedule booking
-  static async rescheduleBooking(req, res) {
+  // Preview the refund the signed-in participant would get by cancelling now
+  static async getCancellationQuote(req, res) {
     try {
-      const { newDate, newTime } = req.body;
       const booking = await Booking.findById(req.params.id);
       
       if (!booking) {
@@ -469,42 +601,119 @@ class BookingController {
         });
       }
 
-      if (['completed', 'cancelled'].includes(booking.status)) {
+      if (['completed', 'cancelled', 'expired'].includes(booking.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot reschedule completed or cancelled bookings'
+          message: 'Cannot cancel completed, expired or already cancelled bookings'
+        });
+      }
+
+      const quote = await cancellationService.quote(booking, cancellationService.getInitiator(booking, req.user));
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error calculating cancellation refund',
+        error: error.message
+      });
+    }
+  }
+
+  // Video meeting link for the signed-in participant, shortly before the session
+  static async getMeetingLink(req, res) {
+    try {
+      const booking = await Booking.findOne({ _id: req.params.id, isActive: true });
+      
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      const meeting = await meetingService.getAccess(booking, req.user);
+
+      res.json({
+        success: true,
+        data: meeting
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
         });
       }
 
-      // Check for conflicts with new time slot
-      const conflictingBooking = await Booking.findOne({
-        mentorId: booking.mentorId,
-        date: newDate,
-        time: newTime,
-        status: { $in: ['pending', 'confirmed'] },
-        isActive: true,
-        _id: { $ne: booking._id }
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching meeting link',
+        error: error.message
       });
+    }
+  }
+
+  // Reschedule booking
+  static async rescheduleBooking(req, res) {
+    try {
+      const { newDate, newTime } = req.body;
+      const booking = await Booking.findById(req.params.id);
+      
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
 
-      if (conflictingBooking) {
-        return res.status(409).json({
+      if (['completed', 'cancelled', 'expired'].includes(booking.status)) {
+        return res.status(400).json({
           success: false,
-          message: 'Mentor is not available at the new time slot'
+          message: 'Cannot reschedule completed, expired or cancelled bookings'
         });
       }
 
-      await booking.reschedule(newDate, newTime);
+      // The new time must fit the mentor's availability and not clash with other bookings
+      const mentor = await availabilityService.getMentor(booking.populated('mentorId') || booking.mentorId);
+      const slot = availabilityService.toMentorLocal(newDate, newTime, req.body.timezone, mentor);
+      const availability = await availabilityService.assertBookable(mentor, slot.start, booking.durationInMinutes, {
+        excludeBookingId: booking._id
+      });
+      await slotReservationService.moveBooking(booking, {
+        start: slot.start,
+        durationMinutes: booking.durationInMinutes,
+        bufferMinutes: availability.bufferMinutes
+      });
+
+      const previousDate = booking.date;
+      const previousTime = booking.time;
+
+      await booking.reschedule(slot.start.toJSDate());
+      await meetingService.regenerateLink(booking);
       await booking.populate([
         { path: 'mentorId', select: 'name email phone' },
         { path: 'userId', select: 'name email phone' }
       ]);
 
+      eventBus.publish(Events.BOOKING_RESCHEDULED, { booking, previousDate, previousTime });
+
       res.json({
         success: true,
         message: 'Booking rescheduled successfully',
         data: booking
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error rescheduling booking',
@@ -553,14 +762,98 @@ class BookingController {
     }
   }
 
+  // Hold a slot for the signed-in user while they complete checkout
+  static async createHold(req, res) {
+    try {
+      const { mentorId, sessionId, date, time, timezone } = req.body;
+      const { mentor, session } = await availabilityService.getBookableSession(mentorId, sessionId);
+      
+      const durationMinutes = durationToMinutes(session.duration);
+      const slot = availabilityService.toMentorLocal(date, time, timezone, mentor);
+      const availability = await availabilityService.assertBookable(mentor, slot.start, durationMinutes);
+      
+      const hold = await slotReservationService.createHold({
+        mentorId: mentor._id,
+        userId: req.user._id,
+        start: slot.start,
+        durationMinutes,
+        bufferMinutes: availability.bufferMinutes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Slot held successfully',
+        data: {
+          holdId: hold.holdId,
+          expiresAt: hold.expiresAt,
+          mentorId: mentor._id,
+          sessionId: session._id,
+          start: slot.start.toISO({ suppressMilliseconds: true })
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Error holding slot',
+        error: error.message
+      });
+    }
+  }
+
+  // Give up a hold before it expires
+  static async releaseHold(req, res) {
+    try {
+      const released = await slotReservationService.releaseHold(req.params.holdId, req.user._id);
+      
+      if (!released) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hold not found or already expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Hold released successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error releasing hold',
+        error: error.message
+      });
+    }
+  }
+
   // Get booking statistics
   static async getBookingStatistics(req, res) {
     try {
       const { mentorId, userId, startDate, endDate } = req.query;
       const matchQuery = { isActive: true };
       
-      if (mentorId) matchQuery.mentorId = mongoose.Types.ObjectId(mentorId);
-      if (userId) matchQuery.userId = mongoose.Types.ObjectId(userId);
+      // Users only see statistics for their own bookings
+      if (!req.user.hasRole('admin')) {
+        const self = String(req.user._id);
+        if ((mentorId && mentorId !== self) || (userId && userId !== self)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view statistics for your own bookings.'
+          });
+        }
+        if (!mentorId && !userId) {
+          matchQuery.$or = [{ mentorId: req.user._id }, { userId: req.user._id }];
+        }
+      }
+
+      if (mentorId) matchQuery.mentorId = new mongoose.Types.ObjectId(mentorId);
+      if (userId) matchQuery.userId = new mongoose.Types.ObjectId(userId);
       if (startDate && endDate) {
         matchQuery.date = { $gte: startDate, $lte: endDate };
       }
@@ -583,7 +876,13 @@ class BookingController {
             cancelledBookings: {
               $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
             },
-            averageRating: { $avg: '$rating' },
+            awaitingCompletionBookings: {
+              $sum: { $cond: [{ $eq: ['$status', 'awaiting_completion'] }, 1, 0] }
+            },
+            expiredBookings: {
+              $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] }
+            },
+            averageRating: { $avg: visibleRating },
             totalRevenue: { $sum: '$price' }
           }
         }
@@ -595,7 +894,7 @@ class BookingController {
           $group: {
             _id: '$sessionType',
             count: { $sum: 1 },
-            averageRating: { $avg: '$rating' }
+            averageRating: { $avg: visibleRating }
           }
         }
       ]);
@@ -628,47 +927,28 @@ class BookingController {
   static async getAvailableTimeSlots(req, res) {
     try {
       const { mentorId, date } = req.params;
+      const { timezone, duration = '30min' } = req.query;
       
-      // Get all booked time slots for the mentor on the specified date
-      const bookedSlots = await Booking.find({
-        mentorId,
-        date,
-        status: { $in: ['pending', 'confirmed'] },
-        isActive: true
-      }).select('time duration');
-
-      // Define all possible time slots (you can customize this)
-      const allTimeSlots = [
-        '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-        '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-        '15:00', '15:30', '16:00', '16:30', '17:00', '17:30',
-        '18:00', '18:30', '19:00', '19:30', '20:00', '20:30'
-      ];
-
-      // Filter out booked slots
-      const availableSlots = allTimeSlots.filter(slot => {
-        return !bookedSlots.some(booking => {
-          const bookingStart = booking.time;
-          const durationMinutes = parseInt(booking.duration.replace('min', ''));
-          const [hours, minutes] = bookingStart.split(':').map(Number);
-          const endMinutes = minutes + durationMinutes;
-          const endHours = hours + Math.floor(endMinutes / 60);
-          const finalMinutes = endMinutes % 60;
-          const bookingEnd = `${String(endHours).padStart(2, '0')}:${String(finalMinutes).padStart(2, '0')}`;
-          
-          return slot >= bookingStart && slot < bookingEnd;
-        });
+      const result = await availabilityService.getAvailableSlots(mentorId, date, {
+        timezone,
+        durationMinutes: durationToMinutes(duration)
       });
 
       res.json({
         success: true,
         data: {
-          date,
-          availableSlots,
-          bookedSlots: bookedSlots.map(b => ({ time: b.time, duration: b.duration }))
+          ...result,
+          availableSlots: result.slots.map(slot => slot.time)
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Error fetching available time slots',
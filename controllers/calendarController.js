@@ -0,0 +1,96 @@
+const calendarService = require('../services/calendarService');
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const sendCalendar = (res, content, fileName) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `${fileName ? 'attachment' : 'inline'}; filename=${fileName || 'empedia.ics'}`);
+  res.send(content);
+};
+
+// Absolute URL of a user's feed; PUBLIC_API_URL wins over the request's host
+const feedUrlFor = (req, token) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/api/v1/calendar/feed/${token}.ics`;
+};
+
+class CalendarController {
+  // Private feed URL for calendar apps to subscribe to
+  static async getFeedUrl(req, res) {
+    try {
+      const token = await calendarService.getFeedToken(req.user._id);
+
+      res.json({
+        success: true,
+        data: { url: feedUrlFor(req, token) }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching calendar feed URL');
+    }
+  }
+
+  // Replace the feed URL, e.g. after it was shared by mistake
+  static async resetFeedUrl(req, res) {
+    try {
+      const token = await calendarService.resetFeedToken(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Calendar feed URL reset; the previous URL no longer works',
+        data: { url: feedUrlFor(req, token) }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error resetting calendar feed URL');
+    }
+  }
+
+  // Public feed, authorized by the secret in its URL
+  static async getFeed(req, res) {
+    try {
+      const content = await calendarService.getFeed(req.params.token);
+      sendCalendar(res, content);
+    } catch (error) {
+      sendError(res, error, 'Error building calendar feed');
+    }
+  }
+
+  static async getBookingInvite(req, res) {
+    try {
+      const content = await calendarService.getBookingInvite(req.params.id, req.user);
+      sendCalendar(res, content, `booking-${req.params.id}.ics`);
+    } catch (error) {
+      sendError(res, error, 'Error building booking invite');
+    }
+  }
+
+  static async getInterviewInvite(req, res) {
+    try {
+      const content = await calendarService.getInterviewInvite(req.params.id, req.user);
+      sendCalendar(res, content, `interview-${req.params.id}.ics`);
+    } catch (error) {
+      sendError(res, error, 'Error building interview invite');
+    }
+  }
+}
+
+module.exports = CalendarController;
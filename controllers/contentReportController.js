@@ -0,0 +1,93 @@
+const ContentReport = require('../models/ContentReport');
+const moderationService = require('../services/moderationService');
+
+class ContentReportController {
+  // Report a job, course, mentor profile, review or booking feedback
+  static async createReport(req, res) {
+    try {
+      const { contentType, contentId, reason, description, evidence } = req.body;
+
+      const { report } = await moderationService.createReport({
+        reporterId: req.user._id,
+        contentType,
+        contentId,
+        reason,
+        description,
+        evidence
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Report submitted successfully. Our moderators will review it.',
+        data: {
+          _id: report._id,
+          contentType: report.contentType,
+          contentId: report.contentId,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting report',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the reports filed by the current user
+  static async getMyReports(req, res) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+
+      const query = { reporterId: req.user._id };
+      if (status) query.status = status;
+
+      const [reports, total] = await Promise.all([
+        ContentReport.find(query)
+          .select('contentType contentId reason description status createdAt updatedAt')
+          .sort({ createdAt: -1 })
+          .limit(limit * 1)
+          .skip((page - 1) * limit),
+        ContentReport.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        count: reports.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: reports
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching reports',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the report categories for building a report form
+  static async getReportOptions(req, res) {
+    res.json({
+      success: true,
+      data: {
+        contentTypes: ContentReport.getContentTypes(),
+        reasons: ContentReport.getReasons()
+      }
+    });
+  }
+}
+
+module.exports = ContentReportController;
@@ -16,7 +16,7 @@ exports.getAllCourses = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    const filter = {};
+    const filter = { isHidden: { $ne: true } };
     
     if (category) filter.category = category;
     if (level) filter.level = level;
@@ -65,7 +65,8 @@ exports.getCourseById = async (req, res) => {
       .populate('mentorGuidance')
       .populate('enrolledUsers.user', 'name email');
 
-    if (!course) {
+    // Courses hidden by moderation are treated as missing
+    if (!course || course.isHidden) {
       return res.status(404).json({
         success: false,
         message: 'Course not found'
@@ -293,13 +294,13 @@ exports.getCoursesByCategory = async (req, res) => {
     const { category } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
-    const courses = await Course.find({ category })
+    const courses = await Course.find({ category, isHidden: { $ne: true } })
       .populate('createdBy', 'name email')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
 
-    const total = await Course.countDocuments({ category });
+    const total = await Course.countDocuments({ category, isHidden: { $ne: true } });
 
     res.status(200).json({
       success: true,
@@ -354,7 +355,8 @@ exports.searchCourses = async (req, res) => {
     }
 
     const courses = await Course.find({
-      $text: { $search: q }
+      $text: { $search: q },
+      isHidden: { $ne: true }
     }, {
       score: { $meta: 'textScore' }
     })
@@ -364,7 +366,8 @@ exports.searchCourses = async (req, res) => {
       .skip((page - 1) * limit);
 
     const total = await Course.countDocuments({
-      $text: { $search: q }
+      $text: { $search: q },
+      isHidden: { $ne: true }
     });
 
     res.status(200).json({
@@ -1,6 +1,8 @@
 const { CourseCreation, CourseCreationStatus } = require('../models/CourseCreation');
 const { Course } = require('../models/Course');
 const asyncHandler = require('express-async-handler');
+const eventBus = require('../services/eventBus');
+const { Events } = require('../services/eventBus');
 
 // @desc    Get all course creations
 // @route   GET /api/course-creations
@@ -201,6 +203,11 @@ const reviewCourseCreation = asyncHandler(async (req, res) => {
 
   await courseCreation.save();
 
+  eventBus.publish(
+    action === 'approve' ? Events.COURSE_CREATION_APPROVED : Events.COURSE_CREATION_REJECTED,
+    { courseCreation }
+  );
+
   res.status(200).json({
     success: true,
     data: courseCreation
@@ -0,0 +1,54 @@
+const ledgerService = require('../services/ledgerService');
+
+class EarningsController {
+  // The signed-in mentor's balances and per-session earnings
+  static async getMyEarnings(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const [balances, [entries, total]] = await Promise.all([
+        ledgerService.getBalances(req.user._id),
+        ledgerService.getEntries(req.user._id, req.query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          balances,
+          sessions: entries
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching earnings',
+        error: error.message
+      });
+    }
+  }
+
+  // Payout batches that included the signed-in mentor
+  static async getMyPayouts(req, res) {
+    try {
+      const payouts = await ledgerService.getMentorPayouts(req.user._id);
+
+      res.json({
+        success: true,
+        data: payouts
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching payouts',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = EarningsController;
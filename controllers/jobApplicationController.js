@@ -2,6 +2,8 @@ const JobApplication = require('../models/JobApplication');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const eventBus = require('../services/eventBus');
+const { Events } = require('../services/eventBus');
 
 // Get all job applications with filtering and pagination
 exports.getAllJobApplications = async (req, res) => {
@@ -99,7 +101,7 @@ exports.createJobApplication = async (req, res) => {
 
     // Check if job exists
     const job = await Job.findById(jobId);
-    if (!job) {
+    if (!job || job.isHidden) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
@@ -350,8 +352,16 @@ exports.updateApplicationStatus = async (req, res) => {
       });
     }
 
+    const previousStatus = application.status;
     await application.updateStatus(status, reviewerNotes);
 
+    if (previousStatus !== status) {
+      eventBus.publish(Events.JOB_APPLICATION_STATUS_CHANGED, { application, previousStatus });
+    }
+    if (application.$locals.interviewCancelled) {
+      eventBus.publish(Events.INTERVIEW_CANCELLED, { application });
+    }
+
     res.json({
       success: true,
       message: 'Application status updated successfully',
@@ -381,7 +391,7 @@ exports.scheduleInterview = async (req, res) => {
 
     // Check authorization
     const job = await Job.findById(application.jobId);
-    if (req.user.role !== 'admin' && req.user.id !== job.posterId.toString()) {
+    if (!req.user.roles.includes('admin') && (!job || req.user.id !== String(job.postedBy._id || job.postedBy))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -390,6 +400,8 @@ exports.scheduleInterview = async (req, res) => {
 
     await application.scheduleInterview(new Date(interviewDate), interviewNotes);
 
+    eventBus.publish(Events.INTERVIEW_SCHEDULED, { application });
+
     res.json({
       success: true,
       message: 'Interview scheduled successfully',
@@ -433,6 +445,10 @@ exports.withdrawApplication = async (req, res) => {
 
     await application.withdraw();
 
+    if (application.$locals.interviewCancelled) {
+      eventBus.publish(Events.INTERVIEW_CANCELLED, { application });
+    }
+
     res.json({
       success: true,
       message: 'Application withdrawn successfully',
@@ -27,7 +27,7 @@ class JobController {
       } = req.query;
 
       // Build filter object - Updated to use status instead of isActive
-      const filter = { status: status || 'active' };
+      const filter = { status: status || 'active', isHidden: { $ne: true } };
 
       // Text search
       if (search) {
@@ -154,7 +154,9 @@ class JobController {
         .populate('recommendedCourses')
         .populate('applicants.user', 'name email');
 
-      if (!job) {
+      // Jobs hidden by moderation stay visible to their poster only
+      const isPoster = job && req.user && job.postedBy && job.postedBy._id.toString() === req.user.id;
+      if (!job || (job.isHidden && !isPoster)) {
         return res.status(404).json({
           success: false,
           message: 'Job not found'
@@ -486,13 +488,13 @@ class JobController {
     try {
       const { page = 1, limit = 10 } = req.query;
 
-      const jobs = await Job.find({ isUrgent: true, status: 'active' })
+      const jobs = await Job.find({ isUrgent: true, status: 'active', isHidden: { $ne: true } })
         .populate('postedBy', 'name email')
         .sort({ postedDate: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit);
 
-      const total = await Job.countDocuments({ isUrgent: true, status: 'active' });
+      const total = await Job.countDocuments({ isUrgent: true, status: 'active', isHidden: { $ne: true } });
 
       res.json({
         success: true,
@@ -556,7 +558,8 @@ class JobController {
     try {
       const job = await Job.findById(req.params.id);
 
-      if (!job) {
+      // Hidden jobs are treated as gone
+      if (!job || job.isHidden) {
         return res.status(404).json({
           success: false,
           message: 'Job not found'
@@ -756,6 +759,7 @@ class JobController {
       const recommendedJobs = await Job.find({
         skills: { $in: userSkills },
         status: 'active', // Updated filter
+        isHidden: { $ne: true },
         postedBy: { $ne: req.user.id },
         'applicants.user': { $ne: req.user.id }
       })
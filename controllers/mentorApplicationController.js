@@ -1,6 +1,8 @@
 const MentorApplication = require('../models/MentorApplication');
 
 const User = require('../models/User');
+const eventBus = require('../services/eventBus');
+const { Events } = require('../services/eventBus');
 
 class MentorApplicationController {
   // Get all mentor applications with filtering, pagination, and sorting
@@ -283,6 +285,8 @@ class MentorApplicationController {
       
       await application.approve(reviewerId);
       
+      eventBus.publish(Events.MENTOR_APPLICATION_APPROVED, { application });
+      
       // Create mentor profile from approved application
       const mentorData = {
         userId: application.applicantId._id,
@@ -409,6 +413,8 @@ class MentorApplicationController {
       
       await application.reject(reviewerId, rejectionReason);
       
+      eventBus.publish(Events.MENTOR_APPLICATION_REJECTED, { application });
+      
       await application.populate('applicantId', 'name email');
       await application.populate('reviewedBy', 'name email');
 
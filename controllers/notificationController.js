@@ -0,0 +1,151 @@
+const Notification = require('../models/Notification');
+
+class NotificationController {
+  // Get the current user's notifications
+  static async getMyNotifications(req, res) {
+    try {
+      const { page = 1, limit = 10, isRead, type } = req.query;
+
+      const query = { userId: req.user._id };
+      if (isRead !== undefined) query.isRead = isRead === 'true';
+      if (type) query.type = type;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .limit(limit * 1)
+          .skip((page - 1) * limit),
+        Notification.countDocuments(query),
+        Notification.getUnreadCount(req.user._id)
+      ]);
+
+      res.json({
+        success: true,
+        count: notifications.length,
+        total,
+        unreadCount,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: notifications
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching notifications',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the current user's unread notification count
+  static async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+      res.json({
+        success: true,
+        data: { unreadCount }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching unread count',
+        error: error.message
+      });
+    }
+  }
+
+  // Mark one of the current user's notifications as read
+  static async markAsRead(req, res) {
+    try {
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      await notification.markAsRead();
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid notification ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error marking notification as read',
+        error: error.message
+      });
+    }
+  }
+
+  // Mark all of the current user's notifications as read
+  static async markAllAsRead(req, res) {
+    try {
+      const result = await Notification.markAllAsRead(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updated: result.modifiedCount }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error marking notifications as read',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete one of the current user's notifications
+  static async deleteNotification(req, res) {
+    try {
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid notification ID format'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting notification',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
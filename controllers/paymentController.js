@@ -0,0 +1,105 @@
+const paymentService = require('../services/paymentService');
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+class PaymentController {
+  // Start checkout for a pending booking; returns what the client needs to
+  // open the provider's checkout
+  static async createIntent(req, res) {
+    try {
+      const { payment, checkout } = await paymentService.createIntent(req.body.bookingId, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment intent created successfully',
+        data: { payment, checkout }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error creating payment intent');
+    }
+  }
+
+  // Get a payment made by or to the signed-in user
+  static async getPayment(req, res) {
+    try {
+      const payment = await paymentService.getPayment(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        data: payment
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching payment');
+    }
+  }
+
+  // All payment attempts for one of the user's bookings
+  static async getBookingPayments(req, res) {
+    try {
+      const payments = await paymentService.getBookingPayments(req.params.bookingId, req.user);
+
+      res.json({
+        success: true,
+        count: payments.length,
+        data: payments
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching booking payments');
+    }
+  }
+
+  // Provider webhook; authenticated by the provider's signature
+  static async handleWebhook(req, res) {
+    try {
+      const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+      res.json({
+        success: true,
+        message: result.applied ? 'Webhook processed' : 'Webhook acknowledged',
+        data: { applied: result.applied }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error processing webhook');
+    }
+  }
+
+  // Settle a fake-provider payment (ENABLE_FAKE_PAYMENTS=true only)
+  static async simulatePayment(req, res) {
+    try {
+      const payment = await paymentService.simulate(req.params.id, req.user, {
+        succeed: req.body.outcome !== 'failed',
+        failureReason: req.body.failureReason
+      });
+
+      res.json({
+        success: true,
+        message: `Payment ${payment.status}`,
+        data: payment
+      });
+    } catch (error) {
+      sendError(res, error, 'Error simulating payment');
+    }
+  }
+}
+
+module.exports = PaymentController;
@@ -0,0 +1,42 @@
+const smsService = require('../services/smsService');
+
+// URL the provider posted to, as it saw it; PUBLIC_API_URL wins over the
+// request's host when the API sits behind a proxy
+const publicUrlOf = (req) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}${req.originalUrl}`;
+};
+
+class SmsController {
+  // Provider delivery report; authenticated by the provider's signature
+  static async handleStatusWebhook(req, res) {
+    try {
+      const result = await smsService.handleStatusWebhook(req.params.provider, {
+        url: publicUrlOf(req),
+        params: req.body,
+        headers: req.headers
+      });
+
+      res.json({
+        success: true,
+        message: result.applied ? 'Status report processed' : 'Status report acknowledged',
+        data: { applied: result.applied }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('SMS status webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing status report',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = SmsController;
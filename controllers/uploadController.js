@@ -0,0 +1,75 @@
+const uploadService = require('../services/uploadService');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+class UploadController {
+  // Store a document (resume, portfolio, certificate) and return its URL
+  // for use in applications and profile sections
+  static async uploadFile(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please attach a file in the "file" field'
+        });
+      }
+
+      const file = await uploadService.upload(req.file, { folder: 'documents', userId: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: file
+      });
+    } catch (error) {
+      sendError(res, error, 'Error uploading file');
+    }
+  }
+
+  // Replace the signed-in user's profile picture
+  static async uploadProfileImage(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please attach an image in the "image" field'
+        });
+      }
+      if (!IMAGE_TYPES.includes(req.file.mimetype)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Profile picture must be a JPEG, PNG, GIF or WebP image'
+        });
+      }
+
+      const file = await uploadService.upload(req.file, { folder: 'profile-images', userId: req.user._id });
+      req.user.profileImage = file.url;
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: 'Profile picture updated successfully',
+        data: { profileImage: req.user.profileImage }
+      });
+    } catch (error) {
+      sendError(res, error, 'Error uploading profile picture');
+    }
+  }
+}
+
+module.exports = UploadController;
@@ -9,7 +9,7 @@ class UserController {
       res.json({
         success: true,
         count: users.length,
-        data: users
+        data: users.map(user => user.toPublicJSON())
       });
     } catch (error) {
       res.status(500).json({
@@ -34,7 +34,7 @@ class UserController {
 
       res.json({
         success: true,
-        data: user
+        data: user.toPublicJSON()
       });
     } catch (error) {
       // Handle invalid ObjectId
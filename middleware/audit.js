@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+// Record a mutation in the audit log once the response has been sent.
+// When a model is given, the target document is snapshotted before the
+// handler runs and re-read afterwards so the entry carries a before/after diff.
+exports.auditAction = (action, options = {}) => {
+  const { model, idParam = 'id', resolveId } = options;
+  const resourceType = options.resourceType || action.split('.')[0];
+
+  return async (req, res, next) => {
+    const resourceId = resolveId ? resolveId(req) : req.params[idParam];
+    let before = null;
+
+    if (model && resourceId && mongoose.Types.ObjectId.isValid(resourceId)) {
+      try {
+        before = await model.findById(resourceId).lean();
+      } catch (error) {
+        before = null;
+      }
+    }
+
+    // Keep a copy of the response body so created resources can be identified
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      const responseData = responseBody && responseBody.data;
+      const targetId = resourceId || (responseData && (responseData._id || responseData.id));
+      let after = null;
+
+      if (model && targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+        try {
+          after = await model.findById(targetId).lean();
+        } catch (error) {
+          after = null;
+        }
+      } else if (responseData && typeof responseData === 'object' && !Array.isArray(responseData)) {
+        after = responseData;
+      }
+
+      await auditService.record({
+        req,
+        action,
+        resourceType,
+        resourceId: targetId,
+        before,
+        after,
+        statusCode: res.statusCode,
+        metadata: {
+          params: req.params,
+          reason: req.body && (req.body.reason || req.body.rejectionReason || req.body.cancellationReason)
+        }
+      });
+    });
+
+    next();
+  };
+};
@@ -207,7 +207,7 @@ exports.adminAuthorize = (...roles) => {
 
 // Check specific admin permissions
 exports.checkPermission = (resource, action) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.admin) {
       return res.status(401).json({
         success: false,
@@ -215,10 +215,18 @@ exports.checkPermission = (resource, action) => {
       });
     }
     
-    if (!req.admin.hasPermission(resource, action)) {
-      return res.status(403).json({
+    try {
+      if (!(await req.admin.hasPermission(resource, action))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. No permission to ${action} ${resource}.`
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: `Access denied. No permission to ${action} ${resource}.`
+        message: 'Error checking permissions',
+        error: error.message
       });
     }
     
@@ -0,0 +1,151 @@
+const { body, param } = require('express-validator');
+const { IANAZone } = require('luxon');
+const { handleValidationErrors } = require('./validation');
+const { SlotIntervals } = require('../models/MentorAvailability');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isTimezone = (zone) => {
+  if (!IANAZone.isValidZone(zone)) {
+    throw new Error('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata');
+  }
+  return true;
+};
+
+const timeWindowRules = (prefix) => [
+  body(`${prefix}.startTime`)
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+  body(`${prefix}.endTime`)
+    .matches(END_TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+];
+
+// Validation for replacing the weekly schedule and booking settings
+exports.validateAvailabilityUpdate = [
+  body('timezone')
+    .optional()
+    .custom(isTimezone),
+
+  body('weeklySlots')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Weekly slots must be an array of at most 50 windows'),
+
+  body('weeklySlots.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  ...timeWindowRules('weeklySlots.*'),
+
+  body('bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Buffer must be between 0 and 240 minutes')
+    .toInt(),
+
+  body('minNoticeHours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Minimum notice must be between 0 and 720 hours')
+    .toInt(),
+
+  body('maxAdvanceDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Booking window must be between 1 and 365 days')
+    .toInt(),
+
+  body('slotIntervalMinutes')
+    .optional()
+    .isIn(SlotIntervals)
+    .withMessage(`Slot interval must be one of: ${SlotIntervals.join(', ')}`)
+    .toInt(),
+
+  // Refund tiers for mentee cancellations, e.g. [{ hoursBefore: 24, refundPercent: 100 }]
+  body('cancellationPolicy')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Cancellation policy must have between 1 and 10 tiers'),
+
+  body('cancellationPolicy.*.hoursBefore')
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Hours before start must be between 0 and 720')
+    .toFloat(),
+
+  body('cancellationPolicy.*.refundPercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund percent must be between 0 and 100')
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+// Validation for a date-specific override
+exports.validateOverride = [
+  body('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('slots')
+    .isArray({ max: 10 })
+    .withMessage('Slots must be an array of at most 10 windows; send an empty array to mark the day unavailable'),
+
+  ...timeWindowRules('slots.*'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+exports.validateOverrideDate = [
+  param('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  handleValidationErrors
+];
+
+// Validation for blackout days
+exports.validateBlackout = [
+  body('startDate')
+    .matches(DATE_PATTERN)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  body('endDate')
+    .matches(DATE_PATTERN)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+exports.validateBlackoutId = [
+  param('blackoutId')
+    .isMongoId()
+    .withMessage('Invalid blackout ID'),
+
+  handleValidationErrors
+];
+
+exports.validateMentorAvailability = [
+  param('mentorId')
+    .isMongoId()
+    .withMessage('Please provide a valid mentor ID'),
+
+  handleValidationErrors
+];
+
+exports.isTimezone = isTimezone;
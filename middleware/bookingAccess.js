@@ -0,0 +1,71 @@
+const Booking = require('../models/Booking');
+
+// Booking participants, keyed by the names routes use for them
+const PARTIES = {
+  mentor: 'mentorId',
+  mentee: 'userId'
+};
+
+// Allow only the given parties of the booking in req.params.id (e.g.
+// 'mentor', 'mentee'). Users with the admin role may act on any booking.
+// Must run after protect.
+exports.bookingParty = (...parties) => {
+  return async (req, res, next) => {
+    if (req.user.hasRole('admin')) {
+      return next();
+    }
+
+    try {
+      const booking = await Booking.findById(req.params.id).select('mentorId userId');
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      const allowed = parties.some((party) => {
+        const path = PARTIES[party];
+        return String(booking.populated(path) || booking[path]) === String(req.user._id);
+      });
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Only the booking's ${parties.join(' or ')} can do this.`
+        });
+      }
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking booking access',
+        error: error.message
+      });
+    }
+
+    next();
+  };
+};
+
+// Allow a user to reach routes for their own id in req.params[param];
+// admins may reach anyone's. Must run after protect.
+exports.selfOrAdmin = (param) => {
+  return (req, res, next) => {
+    if (req.user.hasRole('admin') || String(req.params[param]) === String(req.user._id)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only view your own bookings.'
+    });
+  };
+};
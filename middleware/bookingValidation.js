@@ -1,5 +1,20 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { BookingStatuses, SessionTypes, Durations } = require('../models/Booking');
+const { DateTime } = require('luxon');
+const { isTimezone } = require('./availabilityValidation');
+
+// Dates and times arrive without an offset. Until the mentor's timezone is
+// known they are checked against the furthest-behind zone (UTC-12), so only
+// values that are past everywhere are rejected here; the booking services
+// make the exact check.
+const LATEST_ZONE = 'Etc/GMT+12';
+
+const isPastDate = (date) => date < DateTime.now().setZone(LATEST_ZONE).toISODate();
+
+const isPastDateTime = (date, time, zone) => {
+  const start = DateTime.fromISO(`${date}T${time}`, { zone: zone || LATEST_ZONE });
+  return start.isValid && start <= DateTime.now();
+};
 
 // Handle validation errors
 exports.handleValidationErrors = (req, res, next) => {
@@ -27,6 +42,7 @@ exports.validateCreateBooking = [
     .withMessage('Please provide a valid mentor ID'),
   
   body('userId')
+    .optional()
     .isMongoId()
     .withMessage('Please provide a valid user ID'),
   
@@ -56,11 +72,7 @@ exports.validateCreateBooking = [
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('Date must be in YYYY-MM-DD format')
     .custom((date) => {
-      const bookingDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (bookingDate < today) {
+      if (isPastDate(date)) {
         throw new Error('Booking date cannot be in the past');
       }
       return true;
@@ -70,6 +82,17 @@ exports.validateCreateBooking = [
     .matches(/^\d{2}:\d{2}$/)
     .withMessage('Time must be in HH:MM format'),
   
+  // Timezone the date and time are given in; defaults to the mentor's
+  body('timezone')
+    .optional()
+    .custom(isTimezone),
+  
+  // Hold from POST /bookings/holds, if the slot was held during checkout
+  body('holdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid hold ID'),
+  
   body('topic')
     .trim()
     .isLength({ min: 5, max: 500 })
@@ -90,10 +113,7 @@ exports.validateCreateBooking = [
   body('time').custom((time, { req }) => {
     const date = req.body.date;
     if (date && time) {
-      const bookingDateTime = new Date(`${date}T${time}:00`);
-      const now = new Date();
-      
-      if (bookingDateTime <= now) {
+      if (isPastDateTime(date, time, req.body.timezone)) {
         throw new Error('Booking date and time must be in the future');
       }
     }
@@ -145,11 +165,6 @@ exports.validateUpdateBooking = [
     .isFloat({ min: 0 })
     .withMessage('Price must be a non-negative number'),
   
-  body('meetingLink')
-    .optional()
-    .isURL()
-    .withMessage('Please provide a valid meeting link'),
-  
   body('notes')
     .optional()
     .trim()
@@ -205,11 +220,7 @@ exports.validateReschedule = [
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('New date must be in YYYY-MM-DD format')
     .custom((date) => {
-      const bookingDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (bookingDate < today) {
+      if (isPastDate(date)) {
         throw new Error('New booking date cannot be in the past');
       }
       return true;
@@ -219,14 +230,15 @@ exports.validateReschedule = [
     .matches(/^\d{2}:\d{2}$/)
     .withMessage('New time must be in HH:MM format'),
   
+  body('timezone')
+    .optional()
+    .custom(isTimezone),
+  
   // Custom validation for new date and time combination
   body('newTime').custom((time, { req }) => {
     const date = req.body.newDate;
     if (date && time) {
-      const bookingDateTime = new Date(`${date}T${time}:00`);
-      const now = new Date();
-      
-      if (bookingDateTime <= now) {
+      if (isPastDateTime(date, time, req.body.timezone)) {
         throw new Error('New booking date and time must be in the future');
       }
     }
@@ -295,6 +307,29 @@ exports.validateBookingQuery = [
     .withMessage('sortOrder must be either asc or desc')
 ];
 
+// Own bookings query validation
+exports.validateMyBookingsQuery = [
+  query('as')
+    .optional()
+    .isIn(['mentor', 'mentee'])
+    .withMessage('as must be either mentor or mentee'),
+  
+  query('status')
+    .optional()
+    .isIn(Object.values(BookingStatuses))
+    .withMessage(`Status must be one of: ${Object.values(BookingStatuses).join(', ')}`),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
 // Available slots validation
 exports.validateAvailableSlots = [
   param('mentorId')
@@ -305,13 +340,48 @@ exports.validateAvailableSlots = [
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('Date must be in YYYY-MM-DD format')
     .custom((date) => {
-      const checkDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (checkDate < today) {
+      if (isPastDate(date)) {
         throw new Error('Date cannot be in the past');
       }
       return true;
-    })
-];
\ No newline at end of file
+    }),
+  
+  // Timezone the date is given in and slots are returned in; defaults to the mentor's
+  query('timezone')
+    .optional()
+    .custom(isTimezone),
+  
+  query('duration')
+    .optional()
+    .isIn(Object.values(Durations))
+    .withMessage(`Duration must be one of: ${Object.values(Durations).join(', ')}`)
+];
+
+// Slot hold validation
+exports.validateCreateHold = [
+  body('mentorId')
+    .isMongoId()
+    .withMessage('Please provide a valid mentor ID'),
+  
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Please provide a valid session ID'),
+  
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  
+  body('time')
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage('Time must be in HH:MM format'),
+  
+  body('timezone')
+    .optional()
+    .custom(isTimezone)
+];
+
+exports.validateHoldId = [
+  param('holdId')
+    .isMongoId()
+    .withMessage('Please provide a valid hold ID')
+];
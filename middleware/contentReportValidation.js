@@ -0,0 +1,67 @@
+const { body, query } = require('express-validator');
+const { handleValidationErrors } = require('./validation');
+const { ReportContentTypes, ReportReasons, ReportStatuses } = require('../models/ContentReport');
+
+// Validation for filing a content report
+exports.validateReportCreation = [
+  body('contentType')
+    .notEmpty()
+    .withMessage('Content type is required')
+    .isIn(Object.values(ReportContentTypes))
+    .withMessage(`Content type must be one of: ${Object.values(ReportContentTypes).join(', ')}`),
+
+  body('contentId')
+    .notEmpty()
+    .withMessage('Content ID is required')
+    .isMongoId()
+    .withMessage('Invalid content ID format'),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn(Object.values(ReportReasons))
+    .withMessage(`Reason must be one of: ${Object.values(ReportReasons).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters'),
+
+  body('evidence')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Evidence must be an array of at most 10 items'),
+
+  body('evidence.*.url')
+    .optional()
+    .isURL()
+    .withMessage('Evidence URL must be a valid URL'),
+
+  body('evidence.*.description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Evidence description must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Validation for listing the current user's reports
+exports.validateReportQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(ReportStatuses))
+    .withMessage(`Status must be one of: ${Object.values(ReportStatuses).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
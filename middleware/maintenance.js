@@ -0,0 +1,28 @@
+const settingsService = require('../services/settingsService');
+
+// Admin routes stay reachable so maintenance mode can be switched off again
+const EXEMPT_PREFIXES = ['/api/v1/admin'];
+
+// Reject non-admin requests with 503 while maintenance mode is on
+exports.maintenanceMode = async (req, res, next) => {
+  if (EXEMPT_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  try {
+    const settings = await settingsService.get();
+
+    if (settings.maintenanceMode) {
+      res.set('Retry-After', '300');
+      return res.status(503).json({
+        success: false,
+        message: settings.maintenanceMessage || 'Service temporarily unavailable for maintenance'
+      });
+    }
+  } catch (error) {
+    // If settings cannot be read, keep serving rather than locking everyone out
+    console.error('Maintenance check error:', error.message);
+  }
+
+  next();
+};
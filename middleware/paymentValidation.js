@@ -0,0 +1,221 @@
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('./validation');
+const { PaymentStatuses } = require('../models/Payment');
+const { RefundStatuses, RefundInitiators } = require('../models/Refund');
+const { PayoutStatuses } = require('../models/Payout');
+const { LedgerEntryStatuses } = require('../models/LedgerEntry');
+
+exports.validateCreateIntent = [
+  body('bookingId')
+    .isMongoId()
+    .withMessage('Please provide a valid booking ID'),
+
+  handleValidationErrors
+];
+
+exports.validatePaymentId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid payment ID'),
+
+  handleValidationErrors
+];
+
+exports.validateBookingPayments = [
+  param('bookingId')
+    .isMongoId()
+    .withMessage('Please provide a valid booking ID'),
+
+  handleValidationErrors
+];
+
+exports.validateSimulatePayment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid payment ID'),
+
+  body('outcome')
+    .optional()
+    .isIn(['succeeded', 'failed'])
+    .withMessage('Outcome must be succeeded or failed'),
+
+  body('failureReason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Failure reason cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+// Admin listing filters
+exports.validatePaymentQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(PaymentStatuses))
+    .withMessage(`Status must be one of: ${Object.values(PaymentStatuses).join(', ')}`),
+
+  query(['userId', 'mentorId', 'bookingId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Must be a valid ID'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+exports.validateRefundQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(RefundStatuses))
+    .withMessage(`Status must be one of: ${Object.values(RefundStatuses).join(', ')}`),
+
+  query('initiatedBy')
+    .optional()
+    .isIn(Object.values(RefundInitiators))
+    .withMessage(`Initiator must be one of: ${Object.values(RefundInitiators).join(', ')}`),
+
+  query('bookingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Must be a valid ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+exports.validateRefundId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid refund ID'),
+
+  handleValidationErrors
+];
+
+exports.validatePayableBalanceQuery = [
+  query('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+
+  query('minimumAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a non-negative number')
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+exports.validateCreatePayout = [
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+
+  body('minimumAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a non-negative number')
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+exports.validatePayoutQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(PayoutStatuses))
+    .withMessage(`Status must be one of: ${Object.values(PayoutStatuses).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+exports.validatePayoutId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid payout ID'),
+
+  handleValidationErrors
+];
+
+exports.validateMarkPayoutPaid = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid payout ID'),
+
+  body('paymentReference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Payment reference cannot exceed 200 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Mentor earnings breakdown filters
+exports.validateEarningsQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(LedgerEntryStatuses))
+    .withMessage(`Status must be one of: ${Object.values(LedgerEntryStatuses).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
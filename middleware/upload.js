@@ -0,0 +1,64 @@
+const path = require('path');
+const multer = require('multer');
+const settingsService = require('../services/settingsService');
+
+// Build a multer instance from the current maxFileSize/allowedFileTypes
+// settings. Resolved per request so admin changes apply immediately.
+const buildUploader = (settings) => {
+  const allowedTypes = (settings.allowedFileTypes || []).map(type => type.toLowerCase().replace(/^\./, ''));
+
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Math.floor(Number(settings.maxFileSize) * 1024 * 1024) },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase().replace(/^\./, '');
+
+      if (!allowedTypes.includes(extension)) {
+        const error = new Error(`File type not allowed. Allowed types: ${allowedTypes.join(', ')}`);
+        error.code = 'INVALID_FILE_TYPE';
+        return cb(error);
+      }
+
+      cb(null, true);
+    }
+  });
+};
+
+// Turn multer failures into the API's standard 400 response
+const handleUpload = (middleware, settings, req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${settings.maxFileSize}MB`
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'File upload failed'
+    });
+  });
+};
+
+// Accept a single file on the given field
+exports.uploadSingle = (fieldName) => async (req, res, next) => {
+  try {
+    const settings = await settingsService.get();
+    handleUpload(buildUploader(settings).single(fieldName), settings, req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept up to maxCount files on the given field
+exports.uploadArray = (fieldName, maxCount = 5) => async (req, res, next) => {
+  try {
+    const settings = await settingsService.get();
+    handleUpload(buildUploader(settings).array(fieldName, maxCount), settings, req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
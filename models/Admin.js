@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const Role = require('./Role');
+require('./Permission');
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -32,33 +34,11 @@ const adminSchema = new mongoose.Schema({
     enum: ['superadmin', 'admin', 'moderator'],
     default: 'admin'
   },
-  permissions: {
-    users: {
-      read: { type: Boolean, default: true },
-      write: { type: Boolean, default: true },
-      delete: { type: Boolean, default: false }
-    },
-    mentors: {
-      read: { type: Boolean, default: true },
-      write: { type: Boolean, default: true },
-      delete: { type: Boolean, default: false }
-    },
-    jobs: {
-      read: { type: Boolean, default: true },
-      write: { type: Boolean, default: true },
-      delete: { type: Boolean, default: false }
-    },
-    courses: {
-      read: { type: Boolean, default: true },
-      write: { type: Boolean, default: true },
-      delete: { type: Boolean, default: false }
-    },
-    system: {
-      read: { type: Boolean, default: false },
-      write: { type: Boolean, default: false },
-      delete: { type: Boolean, default: false }
-    }
-  },
+  // Assigned roles; when empty the built-in role matching `role` applies
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   profileImage: {
     type: String,
     default: null
@@ -181,10 +161,31 @@ adminSchema.methods.generateRefreshToken = function() {
   );
 };
 
+// Method to resolve the "resource.action" keys granted through the admin's
+// roles. The result is cached on the document for the rest of the request.
+adminSchema.methods.getPermissionKeys = async function() {
+  if (this.$locals.permissionKeys) return this.$locals.permissionKeys;
+  
+  const filter = this.roles && this.roles.length
+    ? { _id: { $in: this.roles } }
+    : { name: this.role, isSystem: true };
+  
+  const roles = await Role.find(filter).populate('permissions', 'resource action');
+  const keys = new Set();
+  roles.forEach(role => {
+    role.permissions.forEach(permission => keys.add(`${permission.resource}.${permission.action}`));
+  });
+  
+  this.$locals.permissionKeys = keys;
+  return keys;
+};
+
 // Method to check permissions
-adminSchema.methods.hasPermission = function(resource, action) {
+adminSchema.methods.hasPermission = async function(resource, action) {
   if (this.role === 'superadmin') return true;
-  return this.permissions[resource] && this.permissions[resource][action];
+  
+  const keys = await this.getPermissionKeys();
+  return keys.has(`${resource}.${action}`);
 };
 
 // Static method to find by email
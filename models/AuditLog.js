@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+// Actor types
+const actorTypes = {
+  ADMIN: 'admin',
+  USER: 'user',
+  SYSTEM: 'system'
+};
+
+// Field-level change (embedded)
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// AuditLog Schema
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action
+  actorType: {
+    type: String,
+    enum: Object.values(actorTypes),
+    required: [true, 'Actor type is required'],
+    default: actorTypes.ADMIN
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'actorModel',
+    default: null
+  },
+  actorModel: {
+    type: String,
+    enum: ['Admin', 'User'],
+    default: 'Admin'
+  },
+  actorName: {
+    type: String,
+    trim: true
+  },
+  actorEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+
+  // What was done
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  resourceType: {
+    type: String,
+    required: [true, 'Resource type is required'],
+    trim: true
+  },
+  resourceId: {
+    type: String,
+    default: null
+  },
+
+  // State of the resource around the action
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changes: [auditChangeSchema],
+
+  // Request context
+  ipAddress: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+// Static methods
+auditLogSchema.statics.getActorTypes = function() {
+  return actorTypes;
+};
+
+// Build a query filter from the supported search options
+auditLogSchema.statics.buildFilter = function(options = {}) {
+  const { actorId, actorType, action, resourceType, resourceId, startDate, endDate } = options;
+  const filter = {};
+
+  if (actorId) filter.actorId = actorId;
+  if (actorType) filter.actorType = actorType;
+  if (action) {
+    // "job" matches every job action, "job.approve" matches exactly
+    const escapedAction = action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.action = action.includes('.') ? action : { $regex: `^${escapedAction}\\.` };
+  }
+  if (resourceType) filter.resourceType = resourceType;
+  if (resourceId) filter.resourceId = resourceId;
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.ActorTypes = actorTypes;
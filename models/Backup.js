@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const backupTypes = ['full', 'selective'];
+const backupStatuses = ['in_progress', 'completed', 'failed'];
+
+// Metadata for a compressed database dump stored on local disk
+const backupSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: backupTypes,
+    default: 'full'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: backupStatuses,
+    default: 'in_progress'
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  size: {
+    type: Number, // bytes
+    default: 0
+  },
+  checksum: {
+    type: String // sha256 of the compressed archive
+  },
+  collections: [{
+    name: {
+      type: String,
+      required: true
+    },
+    documentCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  totalDocuments: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  completedAt: Date,
+  error: String,
+  restores: [{
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    collections: [String],
+    restoredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+backupSchema.index({ createdAt: -1 });
+backupSchema.index({ status: 1 });
+
+// Virtual for human readable size
+backupSchema.virtual('sizeFormatted').get(function() {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = this.size || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+});
+
+// Static methods
+backupSchema.statics.getTypes = function() {
+  return backupTypes;
+};
+
+backupSchema.statics.getStatuses = function() {
+  return backupStatuses;
+};
+
+module.exports = mongoose.model('Backup', backupSchema);
+module.exports.BackupTypes = backupTypes;
+module.exports.BackupStatuses = backupStatuses;
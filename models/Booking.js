@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DateTime, IANAZone } = require('luxon');
 
 // Booking Status Enum
 const bookingStatuses = {
@@ -6,7 +7,21 @@ const bookingStatuses = {
   CONFIRMED: 'confirmed',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
-  RESCHEDULED: 'rescheduled'
+  // Set by reschedules before they kept the booking's status; read as confirmed
+  RESCHEDULED: 'rescheduled',
+  // Still pending when the session was due to start
+  EXPIRED: 'expired',
+  // Confirmed session that has ended and is waiting for the mentor to complete it
+  AWAITING_COMPLETION: 'awaiting_completion'
+};
+
+// Booking Payment Status Enum
+const bookingPaymentStatuses = {
+  NOT_REQUIRED: 'not_required',
+  UNPAID: 'unpaid',
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
 };
 
 // Session Types Enum
@@ -52,6 +67,26 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Duration is required'],
     enum: ['30min', '60min', '90min', '120min']
   },
+  // Canonical session start and end instants (stored in UTC)
+  startAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  // IANA timezone the session was booked in (the mentor's); date and time
+  // below are the start expressed in this zone
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: (zone) => IANAZone.isValidZone(zone),
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+  // Derived from startAt and timezone; kept for existing clients
   date: {
     type: String,
     required: [true, 'Date is required'],
@@ -86,15 +121,45 @@ const bookingSchema = new mongoose.Schema({
     maxlength: [1000, 'Feedback cannot exceed 1000 characters'],
     default: null
   },
+  // Rating and feedback hidden from the mentor's public profile by moderation
+  feedbackHidden: {
+    type: Boolean,
+    default: false
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Free bookings need no payment; paid ones stay pending until the
+  // provider's webhook settles their payment
+  paymentStatus: {
+    type: String,
+    enum: Object.values(bookingPaymentStatuses),
+    default: bookingPaymentStatuses.UNPAID
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Video room for the session, set by meetingService when it is confirmed.
+  // Hidden from every query; participants fetch it shortly before the start.
   meetingLink: {
     type: String,
     match: [/^https?:\/\/.+/, 'Please provide a valid meeting link'],
-    default: null
+    default: null,
+    select: false
+  },
+  meetingProvider: {
+    type: String,
+    default: null,
+    select: false
+  },
+  meetingRoomId: {
+    type: String,
+    default: null,
+    select: false
   },
   notes: {
     type: String,
@@ -106,10 +171,31 @@ const bookingSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set once the first reminder has gone out
   reminderSent: {
     type: Boolean,
     default: false
   },
+  // Reminder offsets (minutes before start) already sent for the current time
+  remindersSent: {
+    type: [Number],
+    default: []
+  },
+  // First confirmation; from then on the session is on both calendars
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  // iCalendar SEQUENCE, bumped whenever a confirmed session changes
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Last time the session was moved
+  rescheduledAt: {
+    type: Date,
+    default: null
+  },
   completedAt: {
     type: Date,
     default: null
@@ -123,10 +209,34 @@ const bookingSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
     default: null
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'mentor', 'admin', 'system', null],
+    default: null
+  },
+  // The mentor's cancellation policy when the booking was made
+  cancellationPolicy: {
+    type: [{
+      _id: false,
+      hoursBefore: Number,
+      refundPercent: Number
+    }],
+    default: undefined
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Moderation-hidden feedback never leaves the API
+    transform: (doc, ret) => {
+      if (ret.feedbackHidden) {
+        ret.rating = null;
+        ret.feedback = null;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -142,6 +252,9 @@ bookingSchema.virtual('durationInMinutes').get(function() {
 
 // Virtual for session end time
 bookingSchema.virtual('endTime').get(function() {
+  if (this.endAt) {
+    return DateTime.fromJSDate(this.endAt, { zone: this.timezone || 'UTC' }).toFormat('HH:mm');
+  }
   const [hours, minutes] = this.time.split(':').map(Number);
   const durationMinutes = this.durationInMinutes;
   const endMinutes = minutes + durationMinutes;
@@ -152,6 +265,9 @@ bookingSchema.virtual('endTime').get(function() {
 
 // Indexes for better query performance
 bookingSchema.index({ mentorId: 1, date: 1, time: 1 });
+bookingSchema.index({ mentorId: 1, startAt: 1 });
+bookingSchema.index({ status: 1, startAt: 1 });
+bookingSchema.index({ status: 1, endAt: 1 });
 bookingSchema.index({ userId: 1, status: 1 });
 bookingSchema.index({ status: 1, date: 1 });
 bookingSchema.index({ createdAt: -1 });
@@ -161,9 +277,18 @@ bookingSchema.statics.getStatuses = function() {
   return bookingStatuses;
 };
 
+// Start instant of a local date and time in the given timezone
+bookingSchema.statics.toInstant = function(date, time, timezone = 'UTC') {
+  const start = DateTime.fromISO(`${date}T${time}`, { zone: timezone });
+  return start.isValid ? start.toJSDate() : null;
+};
+
 // Instance methods
 bookingSchema.methods.confirm = function() {
   this.status = bookingStatuses.CONFIRMED;
+  if (!this.confirmedAt) {
+    this.confirmedAt = new Date();
+  }
   return this.save();
 };
 
@@ -173,19 +298,41 @@ bookingSchema.methods.complete = function() {
   return this.save();
 };
 
-bookingSchema.methods.cancel = function(reason) {
+bookingSchema.methods.cancel = function(reason, cancelledBy) {
   this.status = bookingStatuses.CANCELLED;
   this.cancelledAt = new Date();
+  if (this.confirmedAt) {
+    this.calendarSequence += 1;
+  }
   if (reason) {
     this.cancellationReason = reason;
   }
+  if (cancelledBy) {
+    this.cancelledBy = cancelledBy;
+  }
   return this.save();
 };
 
-bookingSchema.methods.reschedule = function(newDate, newTime) {
-  this.status = bookingStatuses.RESCHEDULED;
-  this.date = newDate;
-  this.time = newTime;
+// Accepts either a start instant or a local date and time in the booking's
+// timezone. The booking keeps its status: a pending booking still has to be
+// paid for or confirmed, and a confirmed one stays confirmed.
+bookingSchema.methods.reschedule = function(newStart, newTime) {
+  if ([bookingStatuses.RESCHEDULED, bookingStatuses.AWAITING_COMPLETION].includes(this.status)) {
+    this.status = bookingStatuses.CONFIRMED;
+  }
+  this.rescheduledAt = new Date();
+  // Reminders restart for the new time
+  this.reminderSent = false;
+  this.remindersSent = [];
+  if (this.confirmedAt) {
+    this.calendarSequence += 1;
+  }
+  if (newStart instanceof Date) {
+    this.startAt = newStart;
+  } else {
+    this.date = newStart;
+    this.time = newTime;
+  }
   return this.save();
 };
 
@@ -197,13 +344,41 @@ bookingSchema.methods.addRating = function(rating, feedback) {
   return this.save();
 };
 
+// Keep startAt/endAt and the derived date/time in step. Setting startAt wins;
+// otherwise a changed date/time is read in the booking's timezone.
+bookingSchema.pre('validate', function(next) {
+  const zone = this.timezone || 'UTC';
+  const dateTimeChanged = this.isModified('date') || this.isModified('time') || this.isModified('timezone');
+
+  if (!this.isModified('startAt') && this.date && this.time && (dateTimeChanged || !this.startAt)) {
+    this.startAt = this.constructor.toInstant(this.date, this.time, zone);
+  }
+
+  if (this.startAt) {
+    const local = DateTime.fromJSDate(this.startAt, { zone });
+    this.date = local.toISODate();
+    this.time = local.toFormat('HH:mm');
+
+    if (this.duration) {
+      this.endAt = local.plus({ minutes: parseInt(this.duration.replace('min', '')) }).toJSDate();
+    }
+  }
+
+  next();
+});
+
+// Free sessions have nothing to collect
+bookingSchema.pre('validate', function(next) {
+  if (this.isNew && this.price === 0) {
+    this.paymentStatus = bookingPaymentStatuses.NOT_REQUIRED;
+  }
+  next();
+});
+
 // Pre-save middleware
 bookingSchema.pre('save', function(next) {
   // Validate that the booking date is not in the past
-  const bookingDateTime = new Date(`${this.date}T${this.time}:00`);
-  const now = new Date();
-  
-  if (this.isNew && bookingDateTime < now) {
+  if (this.isNew && this.startAt < new Date()) {
     return next(new Error('Booking date and time cannot be in the past'));
   }
   
@@ -225,5 +400,6 @@ bookingSchema.pre(/^find/, function(next) {
 
 module.exports = mongoose.model('Booking', bookingSchema);
 module.exports.BookingStatuses = bookingStatuses;
+module.exports.BookingPaymentStatuses = bookingPaymentStatuses;
 module.exports.SessionTypes = sessionTypes;
 module.exports.Durations = durations;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+// Kinds of content users can report
+const reportContentTypes = {
+  JOB: 'job',
+  COURSE: 'course',
+  MENTOR_PROFILE: 'mentor_profile',
+  REVIEW: 'review',
+  BOOKING_FEEDBACK: 'booking_feedback'
+};
+
+const reportReasons = {
+  SPAM: 'spam',
+  HARASSMENT: 'harassment',
+  HATE_SPEECH: 'hate_speech',
+  INAPPROPRIATE: 'inappropriate',
+  MISLEADING: 'misleading',
+  SCAM: 'scam',
+  COPYRIGHT: 'copyright',
+  OTHER: 'other'
+};
+
+const reportStatuses = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  ACTIONED: 'actioned',
+  DISMISSED: 'dismissed'
+};
+
+// What a moderator did to the content when closing a report
+const resolutionActions = {
+  NONE: 'none',
+  HIDDEN: 'hidden',
+  RESTORED: 'restored',
+  DELETED: 'deleted'
+};
+
+const evidenceSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/.+/, 'Evidence URL must be a valid URL']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Evidence description cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+const contentReportSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required'],
+    enum: Object.values(reportContentTypes)
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Content ID is required']
+  },
+  // The user responsible for the reported content, kept for triage
+  contentOwnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: Object.values(reportReasons)
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  evidence: {
+    type: [evidenceSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: Object.values(reportStatuses),
+    default: reportStatuses.OPEN
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: Object.values(resolutionActions)
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Resolution notes cannot exceed 2000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    resolvedAt: Date
+  },
+  // Set when this report pushed the content over the auto-hide threshold
+  triggeredAutoHide: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+contentReportSchema.index({ contentType: 1, contentId: 1, reporterId: 1 }, { unique: true });
+contentReportSchema.index({ status: 1, createdAt: 1 });
+contentReportSchema.index({ assignedTo: 1, status: 1 });
+contentReportSchema.index({ reporterId: 1, createdAt: -1 });
+
+// Virtual for whether the report still needs attention
+contentReportSchema.virtual('isPending').get(function() {
+  return [reportStatuses.OPEN, reportStatuses.IN_REVIEW].includes(this.status);
+});
+
+// Static methods
+contentReportSchema.statics.getContentTypes = function() {
+  return Object.values(reportContentTypes);
+};
+
+contentReportSchema.statics.getReasons = function() {
+  return Object.values(reportReasons);
+};
+
+contentReportSchema.statics.getStatuses = function() {
+  return Object.values(reportStatuses);
+};
+
+// Number of reports on a piece of content that are still being handled
+contentReportSchema.statics.countPending = function(contentType, contentId) {
+  return this.countDocuments({
+    contentType,
+    contentId,
+    status: { $in: [reportStatuses.OPEN, reportStatuses.IN_REVIEW] }
+  });
+};
+
+// Instance methods
+contentReportSchema.methods.assign = function(adminId) {
+  this.assignedTo = adminId;
+  this.assignedAt = new Date();
+  if (this.status === reportStatuses.OPEN) {
+    this.status = reportStatuses.IN_REVIEW;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('ContentReport', contentReportSchema);
+module.exports.ReportContentTypes = reportContentTypes;
+module.exports.ReportReasons = reportReasons;
+module.exports.ReportStatuses = reportStatuses;
+module.exports.ResolutionActions = resolutionActions;
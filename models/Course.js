@@ -133,6 +133,11 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Hidden from public listings by moderation (see ContentReport)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
   enrolledUsers: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -158,6 +163,7 @@ const courseSchema = new mongoose.Schema({
 // Indexes
 courseSchema.index({ title: 'text', description: 'text' });
 courseSchema.index({ category: 1 });
+courseSchema.index({ isHidden: 1 });
 courseSchema.index({ level: 1 });
 courseSchema.index({ isFree: 1 });
 courseSchema.index({ rating: -1 });
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const exportJobKinds = ['data', 'report'];
+const exportJobStatuses = ['queued', 'processing', 'completed', 'failed', 'expired'];
+
+// A background export of records (exportData) or of an admin report. The
+// generated file stays downloadable until `expiresAt`.
+const exportJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: exportJobKinds,
+    required: [true, 'Export kind is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Export type is required']
+  },
+  format: {
+    type: String,
+    required: [true, 'Export format is required']
+  },
+  // Date range and filters the export was requested with
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  containsPersonalData: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: exportJobStatuses,
+    default: 'queued'
+  },
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Requesting admin is required']
+  },
+  fileName: String,
+  filePath: {
+    type: String,
+    select: false
+  },
+  contentType: String,
+  size: {
+    type: Number, // bytes
+    default: 0
+  },
+  startedAt: Date,
+  // Touched by the worker while the job is processing
+  heartbeatAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  error: String,
+  downloads: [{
+    downloadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    ipAddress: String,
+    downloadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for progress as a percentage
+exportJobSchema.virtual('percentComplete').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress || !this.progress.total) return 0;
+  return Math.min(99, Math.floor((this.progress.processed / this.progress.total) * 100));
+});
+
+// Virtual for whether the file can still be downloaded
+exportJobSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'completed' && !!this.expiresAt && this.expiresAt > Date.now();
+});
+
+// Static methods
+exportJobSchema.statics.getKinds = function() {
+  return exportJobKinds;
+};
+
+exportJobSchema.statics.getStatuses = function() {
+  return exportJobStatuses;
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
+module.exports.ExportJobKinds = exportJobKinds;
+module.exports.ExportJobStatuses = exportJobStatuses;
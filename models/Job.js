@@ -140,6 +140,12 @@ const jobSchema = new Schema({
     default: 'pending'
   },
   
+  // Hidden from public listings by moderation (see ContentReport)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  
   // Poster information (User reference instead of separate fields)
   postedBy: {
     type: Schema.Types.ObjectId,
@@ -242,6 +248,7 @@ jobSchema.index({ status: 1 });
 jobSchema.index({ postedBy: 1 });
 jobSchema.index({ posterEmail: 1 });
 jobSchema.index({ isUrgent: 1 });
+jobSchema.index({ isHidden: 1 });
 jobSchema.index({ 'applicants.user': 1 });
 jobSchema.index({ bookmarkedBy: 1 });
 jobSchema.index({ budget: 1 });
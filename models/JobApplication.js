@@ -69,6 +69,11 @@ const jobApplicationSchema = new mongoose.Schema({
   },
   interviewNotes: {
     type: String
+  },
+  // iCalendar SEQUENCE of the interview invite, bumped when it changes
+  interviewSequence: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -110,6 +115,17 @@ jobApplicationSchema.statics.getApplicationStats = function() {
   ]);
 };
 
+// Closing an application calls off its upcoming interview, which calendars
+// only pick up as a new version of the invite. $locals.interviewCancelled
+// tells the caller to send it.
+jobApplicationSchema.pre('save', function(next) {
+  if (this.isModified('status') && ['rejected', 'withdrawn'].includes(this.status) && this.interviewDate > new Date()) {
+    this.interviewSequence += 1;
+    this.$locals.interviewCancelled = true;
+  }
+  next();
+});
+
 // Instance methods
 jobApplicationSchema.methods.updateStatus = function(newStatus, reviewerNotes) {
   this.status = newStatus;
@@ -121,6 +137,9 @@ jobApplicationSchema.methods.updateStatus = function(newStatus, reviewerNotes) {
 };
 
 jobApplicationSchema.methods.scheduleInterview = function(interviewDate, notes) {
+  if (this.interviewDate) {
+    this.interviewSequence += 1;
+  }
   this.status = 'interviewed';
   this.interviewDate = interviewDate;
   if (notes) {
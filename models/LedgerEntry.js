@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const ledgerEntryStatuses = {
+  // Earned; payable once `availableAt` has passed
+  PENDING: 'pending',
+  // Included in a payout batch that has not been paid yet
+  BATCHED: 'batched',
+  PAID: 'paid'
+};
+
+// A credit to a mentor's earnings for one completed session: what the mentee
+// paid, less the platform commission in force when the session completed.
+// Funds are held for the dispute window before they can be paid out.
+const ledgerEntrySchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mentor ID is required']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required'],
+    unique: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment ID is required']
+  },
+  sessionType: {
+    type: String,
+    default: null
+  },
+  sessionDate: {
+    type: Date,
+    default: null
+  },
+  // Amount collected, net of refunds
+  grossAmount: {
+    type: Number,
+    required: [true, 'Gross amount is required'],
+    min: [0, 'Gross amount cannot be negative']
+  },
+  commissionPercent: {
+    type: Number,
+    required: [true, 'Commission percent is required'],
+    min: [0, 'Commission cannot be negative'],
+    max: [100, 'Commission cannot exceed 100 percent']
+  },
+  commissionAmount: {
+    type: Number,
+    required: [true, 'Commission amount is required'],
+    min: [0, 'Commission amount cannot be negative']
+  },
+  // Credited to the mentor
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: Object.values(ledgerEntryStatuses),
+    default: ledgerEntryStatuses.PENDING
+  },
+  // End of the dispute window
+  availableAt: {
+    type: Date,
+    required: [true, 'Available date is required']
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Still inside the dispute window
+ledgerEntrySchema.virtual('isHeld').get(function() {
+  return this.status === ledgerEntryStatuses.PENDING && this.availableAt > new Date();
+});
+
+// Indexes
+ledgerEntrySchema.index({ mentorId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ status: 1, availableAt: 1 });
+ledgerEntrySchema.index({ payoutId: 1 });
+
+// Static methods
+ledgerEntrySchema.statics.getStatuses = function() {
+  return ledgerEntryStatuses;
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
+module.exports.LedgerEntryStatuses = ledgerEntryStatuses;
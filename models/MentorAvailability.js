@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const slotIntervals = [15, 30, 60];
+
+// Full refund more than 24 hours ahead, half within 24 hours, none once the
+// session has started
+const defaultCancellationPolicy = [
+  { hoursBefore: 24, refundPercent: 100 },
+  { hoursBefore: 0, refundPercent: 50 }
+];
+
+const startTimeField = {
+  type: String,
+  required: [true, 'Start time is required'],
+  match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+};
+
+const endTimeField = {
+  type: String,
+  required: [true, 'End time is required'],
+  match: [END_TIME_PATTERN, 'End time must be in HH:MM format']
+};
+
+// A window of bookable time on a mentor's local clock
+const timeWindowSchema = new mongoose.Schema({
+  startTime: startTimeField,
+  endTime: endTimeField
+}, { _id: false });
+
+const weeklySlotSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 and 6'],
+    max: [6, 'Day of week must be between 0 and 6']
+  },
+  startTime: startTimeField,
+  endTime: endTimeField
+}, { _id: false });
+
+// Replaces the weekly windows for one date; no slots means unavailable
+const overrideSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Override date is required'],
+    match: [DATE_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  slots: {
+    type: [timeWindowSchema],
+    default: []
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const blackoutSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String,
+    required: [true, 'End date is required'],
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+// Refund given to a mentee who cancels at least `hoursBefore` hours before
+// the session starts
+const cancellationTierSchema = new mongoose.Schema({
+  hoursBefore: {
+    type: Number,
+    required: [true, 'Hours before start is required'],
+    min: [0, 'Hours before start cannot be negative'],
+    max: [720, 'Hours before start cannot exceed 720']
+  },
+  refundPercent: {
+    type: Number,
+    required: [true, 'Refund percent is required'],
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot exceed 100']
+  }
+}, { _id: false });
+
+// Published availability of a mentor. Times and dates are on the mentor's
+// local clock, i.e. in User.mentorProfile.timezone.
+const mentorAvailabilitySchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mentor ID is required'],
+    unique: true
+  },
+  weeklySlots: {
+    type: [weeklySlotSchema],
+    default: []
+  },
+  overrides: {
+    type: [overrideSchema],
+    default: []
+  },
+  blackouts: {
+    type: [blackoutSchema],
+    default: []
+  },
+  // Free time kept before and after every booking
+  bufferMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative'],
+    max: [240, 'Buffer cannot exceed 240 minutes']
+  },
+  minNoticeHours: {
+    type: Number,
+    default: 12,
+    min: [0, 'Minimum notice cannot be negative'],
+    max: [720, 'Minimum notice cannot exceed 720 hours']
+  },
+  maxAdvanceDays: {
+    type: Number,
+    default: 60,
+    min: [1, 'Booking window must be at least 1 day'],
+    max: [365, 'Booking window cannot exceed 365 days']
+  },
+  // Spacing between offered start times
+  slotIntervalMinutes: {
+    type: Number,
+    enum: slotIntervals,
+    default: 30
+  },
+  // Applied when a mentee cancels; copied onto each booking when it is made
+  cancellationPolicy: {
+    type: [cancellationTierSchema],
+    default: () => defaultCancellationPolicy.map(tier => ({ ...tier }))
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Instance methods
+mentorAvailabilitySchema.methods.isBlackedOut = function(date) {
+  return this.blackouts.some(blackout => blackout.startDate <= date && date <= blackout.endDate);
+};
+
+mentorAvailabilitySchema.methods.getOverride = function(date) {
+  return this.overrides.find(override => override.date === date) || null;
+};
+
+// Static methods
+mentorAvailabilitySchema.statics.getSlotIntervals = function() {
+  return slotIntervals;
+};
+
+module.exports = mongoose.model('MentorAvailability', mentorAvailabilitySchema);
+module.exports.SlotIntervals = slotIntervals;
+module.exports.DefaultCancellationPolicy = defaultCancellationPolicy;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Notification Types Enum
+const notificationTypes = {
+  INFO: 'info',
+  SUCCESS: 'success',
+  WARNING: 'warning',
+  ERROR: 'error'
+};
+
+// Notification Categories Enum
+const notificationCategories = {
+  ANNOUNCEMENT: 'announcement',
+  SYSTEM: 'system',
+  BOOKING: 'booking',
+  JOB_APPLICATION: 'job_application',
+  MENTOR_APPLICATION: 'mentor_application',
+  COURSE: 'course'
+};
+
+// Notification Schema
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  type: {
+    type: String,
+    enum: Object.values(notificationTypes),
+    default: notificationTypes.INFO
+  },
+  category: {
+    type: String,
+    enum: Object.values(notificationCategories),
+    default: notificationCategories.ANNOUNCEMENT
+  },
+  link: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Channels the notification should be delivered on, per the user's preferences
+  channels: {
+    inApp: { type: Boolean, default: true },
+    email: { type: Boolean, default: false },
+    push: { type: Boolean, default: false }
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Groups every notification created by the same send request
+  batchId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ batchId: 1 });
+notificationSchema.index({ createdAt: -1 });
+
+// Static methods
+notificationSchema.statics.getTypes = function() {
+  return notificationTypes;
+};
+
+notificationSchema.statics.getCategories = function() {
+  return notificationCategories;
+};
+
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(
+    { userId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+};
+
+// Instance methods
+notificationSchema.methods.markAsRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NotificationTypes = notificationTypes;
+module.exports.NotificationCategories = notificationCategories;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const oauthIntents = {
+  LOGIN: 'login',
+  LINK: 'link'
+};
+
+// An OAuth sign-in or account-linking attempt between sending the user to
+// the identity provider and their return. Used once, then deleted.
+const oauthStateSchema = new mongoose.Schema({
+  // SHA-256 of the `state` parameter sent to the provider
+  stateHash: {
+    type: String,
+    required: [true, 'State is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  intent: {
+    type: String,
+    enum: Object.values(oauthIntents),
+    default: oauthIntents.LOGIN
+  },
+  // User linking an identity; only for the link intent
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  redirectUri: {
+    type: String,
+    required: [true, 'Redirect URI is required']
+  },
+  // PKCE verifier and OIDC nonce, for providers that use them
+  codeVerifier: {
+    type: String,
+    default: null
+  },
+  nonce: {
+    type: String,
+    default: null
+  },
+  // Removed by MongoDB once the attempt can no longer be completed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+oauthStateSchema.statics.getIntents = function() {
+  return oauthIntents;
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
+module.exports.OAuthIntents = oauthIntents;
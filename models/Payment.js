@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const paymentStatuses = {
+  CREATED: 'created',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// Statuses in which money has been collected
+const settledStatuses = [
+  paymentStatuses.SUCCEEDED,
+  paymentStatuses.PARTIALLY_REFUNDED,
+  paymentStatuses.REFUNDED
+];
+
+// One attempt to collect a booking's price through a payment provider. The
+// intent is created with the provider first; its outcome arrives by webhook.
+// Amounts are in major currency units, like Booking.price.
+const paymentSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mentor ID is required']
+  },
+  // Copied from the booking so revenue can be reported by session type
+  sessionType: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'INR'
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  // The provider's order/intent reference, and its payment reference once paid
+  providerOrderId: {
+    type: String,
+    required: [true, 'Provider order ID is required']
+  },
+  providerPaymentId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(paymentStatuses),
+    default: paymentStatuses.CREATED
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  // Time of the latest refund (see Refund)
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  // Webhook events already applied, so provider retries are ignored
+  processedEvents: {
+    type: [String],
+    default: [],
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+paymentSchema.virtual('isSettled').get(function() {
+  return settledStatuses.includes(this.status);
+});
+
+paymentSchema.virtual('refundableAmount').get(function() {
+  return this.isSettled ? Math.max(0, this.amount - this.amountRefunded) : 0;
+});
+
+// Indexes
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, paidAt: -1 });
+
+// Static methods
+paymentSchema.statics.getStatuses = function() {
+  return paymentStatuses;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
+module.exports.PaymentStatuses = paymentStatuses;
+module.exports.SettledPaymentStatuses = settledStatuses;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const payoutStatuses = {
+  GENERATED: 'generated',
+  PAID: 'paid'
+};
+
+// What one mentor is owed in a batch
+const payoutItemSchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entryCount: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// A batch of mentor payouts generated by an admin from the payable ledger
+// entries, exported for the bank transfer and then marked paid.
+const payoutSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(payoutStatuses),
+    default: payoutStatuses.GENERATED
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'INR'
+  },
+  // Ledger entries that became payable by this time were included
+  cutoff: {
+    type: Date,
+    required: [true, 'Cutoff is required']
+  },
+  items: {
+    type: [payoutItemSchema],
+    default: []
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Creator is required']
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Bank or transfer reference recorded when the batch was paid
+  paymentReference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Payment reference cannot exceed 200 characters'],
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+payoutSchema.virtual('mentorCount').get(function() {
+  return this.items ? this.items.length : 0;
+});
+
+// Indexes
+payoutSchema.index({ status: 1, createdAt: -1 });
+payoutSchema.index({ 'items.mentorId': 1, createdAt: -1 });
+
+// Static methods
+payoutSchema.statics.getStatuses = function() {
+  return payoutStatuses;
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
+module.exports.PayoutStatuses = payoutStatuses;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Resources guarded by checkPermission() in the admin routes
+const permissionResources = [
+  'dashboard',
+  'users',
+  'admins',
+  'mentors',
+  'jobs',
+  'companies',
+  'courses',
+  'bookings',
+  'payments',
+  'content',
+  'notifications',
+  'reports',
+  'audit_logs',
+  'settings',
+  'backups',
+  'roles'
+];
+
+const permissionActions = ['read', 'write', 'approve', 'delete', 'manage'];
+
+const permissionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Permission name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Permission name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Permission description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  resource: {
+    type: String,
+    required: [true, 'Resource is required'],
+    trim: true,
+    lowercase: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+    lowercase: true
+  },
+  // Built-in permissions are referenced by the routes and cannot be removed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+permissionSchema.index({ resource: 1, action: 1 }, { unique: true });
+
+// Virtual for the "resource.action" key used in permission checks
+permissionSchema.virtual('key').get(function() {
+  return `${this.resource}.${this.action}`;
+});
+
+// Static methods
+permissionSchema.statics.getResources = function() {
+  return permissionResources;
+};
+
+permissionSchema.statics.getActions = function() {
+  return permissionActions;
+};
+
+module.exports = mongoose.model('Permission', permissionSchema);
+module.exports.PermissionResources = permissionResources;
+module.exports.PermissionActions = permissionActions;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Request log for one limiter key (e.g. OTP sends for one phone number).
+// Kept in MongoDB so every server instance counts against the same window.
+const rateLimitSchema = new mongoose.Schema({
+  // "<action>:<dimension>:<hashed subject>"
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true
+  },
+  // Times of requests still inside the sliding window
+  hits: {
+    type: [Date],
+    default: []
+  },
+  // Lockouts served recently; each one lasts longer than the last
+  strikes: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  // Removed by MongoDB once nothing about the key matters any more
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
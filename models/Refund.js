@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const refundStatuses = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Who caused the refund
+const refundInitiators = {
+  USER: 'user',
+  MENTOR: 'mentor',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// Money returned against a payment. Applied to Payment.amountRefunded only
+// once the provider reports it as processed.
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment ID is required']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mentor ID is required']
+  },
+  sessionType: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'INR'
+  },
+  // Share of the payment refunded under the cancellation policy
+  refundPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  initiatedBy: {
+    type: String,
+    enum: Object.values(refundInitiators),
+    required: [true, 'Refund initiator is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(refundStatuses),
+    default: refundStatuses.PENDING
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  providerRefundId: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+refundSchema.index({ paymentId: 1 });
+refundSchema.index({ bookingId: 1 });
+refundSchema.index({ status: 1, processedAt: -1 });
+refundSchema.index({ provider: 1, providerRefundId: 1 }, { sparse: true });
+
+// Static methods
+refundSchema.statics.getStatuses = function() {
+  return refundStatuses;
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
+module.exports.RefundStatuses = refundStatuses;
+module.exports.RefundInitiators = refundInitiators;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Role description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Permission'
+  }],
+  // Built-in roles back the legacy Admin.role values and cannot be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+roleSchema.index({ permissions: 1 });
+
+module.exports = mongoose.model('Role', roleSchema);
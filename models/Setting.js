@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Every change to the system settings is stored as a new, immutable version.
+// The document with the highest version number holds the current values.
+const settingSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1'],
+    unique: true
+  },
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Values are required'],
+    default: {}
+  },
+  changedKeys: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+settingSchema.index({ version: -1 });
+
+// Versions are append-only
+settingSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Setting versions cannot be modified'));
+  }
+  next();
+});
+
+// Static methods
+settingSchema.statics.findLatest = function() {
+  return this.findOne({}).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Length of one reservable block of a mentor's time
+const BLOCK_MINUTES = 15;
+
+// One block of a mentor's calendar claimed by a booking or by a temporary
+// hold. The unique index on (mentorId, blockStart) is what stops two
+// requests from taking overlapping time.
+const slotReservationSchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mentor ID is required']
+  },
+  blockStart: {
+    type: Date,
+    required: [true, 'Block start is required']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // Set while the block is held for a user completing checkout
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Holds lapse at this time; blocks owned by a booking never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+slotReservationSchema.index({ mentorId: 1, blockStart: 1 }, { unique: true });
+slotReservationSchema.index({ bookingId: 1 });
+slotReservationSchema.index({ holdId: 1 });
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
+module.exports.BLOCK_MINUTES = BLOCK_MINUTES;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const smsStatuses = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const smsKinds = {
+  OTP: 'otp',
+  MESSAGE: 'message'
+};
+
+// One provider's try at sending the message
+const smsAttemptSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An outgoing SMS and what became of it. The provider that accepted it
+// reports delivery later through its status webhook, where it has one.
+const smsMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: Object.values(smsKinds),
+    default: smsKinds.MESSAGE
+  },
+  // OTP codes are never stored; their bodies are kept with the code masked
+  body: {
+    type: String,
+    required: [true, 'Body is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(smsStatuses),
+    default: smsStatuses.QUEUED
+  },
+  // Provider that accepted the message and its id for it
+  provider: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: [smsAttemptSchema],
+    default: []
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+smsMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static methods
+smsMessageSchema.statics.getStatuses = function() {
+  return smsStatuses;
+};
+
+smsMessageSchema.statics.getKinds = function() {
+  return smsKinds;
+};
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
+module.exports.SmsStatuses = smsStatuses;
+module.exports.SmsKinds = smsKinds;
@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// OTPs are stored as HMAC-SHA256(salt, code), so a leaked user record does
+// not reveal a usable code
+const hashOTP = (otp, salt) => crypto.createHmac('sha256', salt).update(otp).digest('hex');
+
+// Emailed tokens (verification, password reset, magic link) are stored as
+// SHA-256 hashes; the token itself only ever appears in the link
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const EMAIL_TOKENS = {
+  emailVerification: { field: 'emailVerificationToken', expires: 'emailVerificationExpires', ttlMs: 24 * 60 * 60 * 1000 },
+  passwordReset: { field: 'passwordResetToken', expires: 'passwordResetExpires', ttlMs: 60 * 60 * 1000 },
+  magicLink: { field: 'magicLinkToken', expires: 'magicLinkExpires', ttlMs: 15 * 60 * 1000 }
+};
+
+// Account at an external identity provider (Google, LinkedIn) the user
+// can sign in with
+const socialIdentitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable id for the account (OIDC `sub`)
+  providerUserId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 // User Preferences Schema
 const userPreferencesSchema = new mongoose.Schema({
@@ -48,11 +86,11 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
-  // Add these fields to the User schema (around line 45 after phone field)
+  // E.164 number for phone sign-in; accounts registered by email may have none
   phone: {
     type: String,
-    required: [true, 'Phone number is required'],
     unique: true,
+    sparse: true,
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
@@ -77,6 +115,15 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  socialIdentities: {
+    type: [socialIdentitySchema],
+    default: []
+  },
+  // Secret in the user's private calendar feed URL
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
   profileImage: {
     type: String,
     default: null
@@ -189,6 +236,10 @@ const userSchema = new mongoose.Schema({
         maxlength: [1000, 'Comment cannot exceed 1000 characters']
       },
       userImage: String,
+      isHidden: {
+        type: Boolean,
+        default: false
+      },
       createdAt: {
         type: Date,
         default: Date.now
@@ -218,6 +269,16 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Sessions the mentor cancelled, and how many of those were within 24
+    // hours of the start
+    mentorCancellations: {
+      type: Number,
+      default: 0
+    },
+    lateMentorCancellations: {
+      type: Number,
+      default: 0
+    },
     responseTime: {
       type: String,
       default: '24 hours'
@@ -226,6 +287,11 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'verified', 'rejected'],
       default: 'pending'
+    },
+    // Hidden from public view by moderation (see ContentReport)
+    isHidden: {
+      type: Boolean,
+      default: false
     }
   },
   
@@ -237,9 +303,30 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
-  passwordResetToken: String,
-  passwordResetExpires: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false
+  },
   refreshTokens: [{
     token: String,
     createdAt: {
@@ -263,6 +350,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ roles: 1 });
 userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'socialIdentities.provider': 1, 'socialIdentities.providerUserId': 1 }, { unique: true, sparse: true });
 userSchema.index({ 'mentorProfile.expertise': 1 });
 userSchema.index({ 'mentorProfile.isAvailable': 1 });
 
@@ -271,16 +360,17 @@ userSchema.virtual('id').get(function() {
   return this._id.toHexString();
 });
 
-// Virtual for mentor average rating
+// Virtual for mentor average rating (reviews hidden by moderation are excluded)
 userSchema.virtual('mentorProfile.averageRating').get(function() {
-  if (!this.mentorProfile?.reviews || this.mentorProfile.reviews.length === 0) return 0;
-  const sum = this.mentorProfile.reviews.reduce((acc, review) => acc + review.rating, 0);
-  return Math.round((sum / this.mentorProfile.reviews.length) * 10) / 10;
+  const reviews = (this.mentorProfile?.reviews || []).filter(review => !review.isHidden);
+  if (reviews.length === 0) return 0;
+  const sum = reviews.reduce((acc, review) => acc + review.rating, 0);
+  return Math.round((sum / reviews.length) * 10) / 10;
 });
 
 // Virtual for mentor total reviews
 userSchema.virtual('mentorProfile.totalReviews').get(function() {
-  return this.mentorProfile?.reviews?.length || 0;
+  return (this.mentorProfile?.reviews || []).filter(review => !review.isHidden).length;
 });
 
 // Virtual for mentor completion rate
@@ -289,6 +379,25 @@ userSchema.virtual('mentorProfile.completionRate').get(function() {
   return Math.round((this.mentorProfile.completedSessions / this.mentorProfile.totalBookings) * 100);
 });
 
+// Virtual for the share of bookings the mentor cancelled
+userSchema.virtual('mentorProfile.cancellationRate').get(function() {
+  if (!this.mentorProfile?.totalBookings) return 0;
+  return Math.round(((this.mentorProfile.mentorCancellations || 0) / this.mentorProfile.totalBookings) * 100);
+});
+
+// Serialize the user without mentor content hidden by moderation
+userSchema.methods.toPublicJSON = function() {
+  const user = this.toJSON();
+  if (user.mentorProfile) {
+    if (user.mentorProfile.isHidden) {
+      delete user.mentorProfile;
+    } else if (user.mentorProfile.reviews) {
+      user.mentorProfile.reviews = user.mentorProfile.reviews.filter(review => !review.isHidden);
+    }
+  }
+  return user;
+};
+
 // Role management methods
 userSchema.methods.hasRole = function(role) {
   return this.roles.includes(role);
@@ -433,10 +542,12 @@ userSchema.statics.findMentors = function(filters = {}) {
 };
 
 // Add these methods before module.exports
-// Method to generate OTP
+// Method to generate OTP. Only a salted hash is stored; the code itself is
+// returned once for sending.
 userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = otp;
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const salt = crypto.randomBytes(16).toString('hex');
+  this.otp = `${salt}:${hashOTP(otp, salt)}`;
   this.otpExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
   this.lastOtpSent = Date.now();
   return otp;
@@ -452,7 +563,14 @@ userSchema.methods.verifyOTP = function(candidateOTP) {
     return false;
   }
   
-  return this.otp === candidateOTP;
+  const [salt, hash] = this.otp.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashOTP(String(candidateOTP), salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 // Method to clear OTP
@@ -462,6 +580,42 @@ userSchema.methods.clearOTP = function() {
   this.otpAttempts = 0;
 };
 
+// Issue a single-use emailed token of the given kind (see EMAIL_TOKENS),
+// replacing any earlier one. Only its hash is stored; the token is
+// returned once for the link.
+userSchema.methods.generateEmailToken = function(kind) {
+  const { field, expires, ttlMs } = EMAIL_TOKENS[kind];
+  const token = crypto.randomBytes(32).toString('hex');
+  this[field] = hashToken(token);
+  this[expires] = Date.now() + ttlMs;
+  return token;
+};
+
+userSchema.methods.clearEmailToken = function(kind) {
+  const { field, expires } = EMAIL_TOKENS[kind];
+  this[field] = undefined;
+  this[expires] = undefined;
+};
+
+// Static method to use up an unexpired emailed token, applying `changes`
+// to its user in the same write so a link cannot be used twice. The user
+// must also match `conditions`.
+userSchema.statics.claimEmailToken = function(kind, token, changes = {}, conditions = {}) {
+  const { field, expires } = EMAIL_TOKENS[kind];
+  return this.findOneAndUpdate(
+    { ...conditions, [field]: hashToken(token), [expires]: { $gt: Date.now() } },
+    { $set: changes, $unset: { [field]: 1, [expires]: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to find the user a social identity is linked to
+userSchema.statics.findBySocialIdentity = function(provider, providerUserId) {
+  return this.findOne({
+    socialIdentities: { $elemMatch: { provider, providerUserId: String(providerUserId) } }
+  });
+};
+
 // Static method to find by phone
 userSchema.statics.findByPhone = function(phone) {
   return this.findOne({ phone: phone });
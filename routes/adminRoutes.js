@@ -1,8 +1,37 @@
 const express = require('express');
 const AdminController = require('../controllers/adminController');
-const { adminProtect, adminAuthorize, checkPermission } = require('../middleware/auth');
-const { body } = require('express-validator');
+const { adminProtect, checkPermission } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
+const { auditAction } = require('../middleware/audit');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const MentorApplication = require('../models/MentorApplication');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const Course = require('../models/Course');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const ContentReport = require('../models/ContentReport');
+const ExportJob = require('../models/ExportJob');
+const { ReportStatuses, ReportContentTypes, ResolutionActions } = require('../models/ContentReport');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const { SmsStatuses, SmsKinds } = require('../models/SmsMessage');
+const phoneService = require('../services/phoneService');
+const {
+  validatePaymentQuery,
+  validatePaymentId,
+  validateRefundQuery,
+  validateRefundId,
+  validatePayableBalanceQuery,
+  validateCreatePayout,
+  validatePayoutQuery,
+  validatePayoutId,
+  validateMarkPayoutPaid
+} = require('../middleware/paymentValidation');
 
 const router = express.Router();
 
@@ -34,12 +63,12 @@ const validateAdminCreation = [
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
   body('role')
     .optional()
-    .isIn(['admin', 'superAdmin'])
-    .withMessage('Role must be either admin or superAdmin'),
-  body('permissions')
+    .isIn(['superadmin', 'admin', 'moderator'])
+    .withMessage('Role must be superadmin, admin or moderator'),
+  body('roles')
     .optional()
     .isArray()
-    .withMessage('Permissions must be an array'),
+    .withMessage('Roles must be an array'),
   handleValidationErrors
 ];
 
@@ -56,12 +85,12 @@ const validateAdminUpdate = [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['admin', 'superAdmin'])
-    .withMessage('Role must be either admin or superAdmin'),
-  body('permissions')
+    .isIn(['superadmin', 'admin', 'moderator'])
+    .withMessage('Role must be superadmin, admin or moderator'),
+  body('roles')
     .optional()
     .isArray()
-    .withMessage('Permissions must be an array'),
+    .withMessage('Roles must be an array'),
   body('isActive')
     .optional()
     .isBoolean()
@@ -82,22 +111,100 @@ const validatePasswordChange = [
 ];
 
 const validateSystemSettings = [
+  body('siteName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Site name cannot be empty'),
   body('maintenanceMode')
     .optional()
     .isBoolean()
     .withMessage('Maintenance mode must be a boolean'),
+  body('maintenanceMessage')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Maintenance message cannot exceed 500 characters'),
   body('allowRegistration')
     .optional()
     .isBoolean()
     .withMessage('Allow registration must be a boolean'),
+  body('emailNotifications')
+    .optional()
+    .isBoolean()
+    .withMessage('Email notifications must be a boolean'),
+  body('smsNotifications')
+    .optional()
+    .isBoolean()
+    .withMessage('SMS notifications must be a boolean'),
   body('maxFileSize')
     .optional()
-    .isNumeric()
-    .withMessage('Max file size must be a number'),
+    .isFloat({ gt: 0 })
+    .withMessage('Max file size must be a positive number of megabytes'),
   body('allowedFileTypes')
     .optional()
     .isArray()
     .withMessage('Allowed file types must be an array'),
+  body('contentReportThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Content report threshold must be a non-negative integer'),
+  body('platformCommissionPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Platform commission must be between 0 and 100 percent'),
+  body('payoutHoldDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Payout hold must be between 0 and 90 days'),
+  body('bookingReminderOffsets')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Booking reminder offsets must be an array of at most 5 values'),
+  body('bookingReminderOffsets.*')
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Each reminder offset must be between 1 and 10080 minutes')
+    .toInt(),
+  body('allowedPhoneCountries')
+    .optional()
+    .isArray()
+    .withMessage('Allowed phone countries must be an array'),
+  body('allowedPhoneCountries.*')
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(phoneService.getCountryCodes())
+    .withMessage(`Each phone country must be one of: ${phoneService.getCountryCodes().join(', ')}`),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateBackup = [
+  body('collections')
+    .optional()
+    .isArray()
+    .withMessage('Collections must be an array of collection names'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateRestore = [
+  param('backupId')
+    .isMongoId()
+    .withMessage('Invalid backup ID'),
+  body('collections')
+    .optional()
+    .isArray()
+    .withMessage('Collections must be an array of collection names'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean(),
   handleValidationErrors
 ];
 
@@ -121,161 +228,252 @@ router.use(adminProtect); // All routes below require admin authentication
 
 // Admin profile management
 router.get('/profile', AdminController.getProfile);
-router.put('/profile', validateAdminUpdate, AdminController.updateProfile);
-router.post('/change-password', validatePasswordChange, AdminController.changePassword);
+router.put('/profile', validateAdminUpdate, auditAction('admin.update_profile', { model: Admin, resolveId: req => req.admin._id }), AdminController.updateProfile);
+router.post('/change-password', validatePasswordChange, auditAction('admin.change_password', { model: Admin, resolveId: req => req.admin._id }), AdminController.changePassword);
 router.post('/logout', AdminController.logout);
 router.post('/refresh-token', AdminController.refreshToken);
 
 // Dashboard and statistics
-router.get('/dashboard/stats', AdminController.getDashboardStats);
-router.get('/dashboard/analytics', AdminController.getAnalytics);
-router.get('/dashboard/recent-activities', AdminController.getRecentActivities);
+router.get('/dashboard/stats', checkPermission('dashboard', 'read'), AdminController.getDashboardStats);
+router.get('/dashboard/analytics', checkPermission('dashboard', 'read'), AdminController.getAnalytics);
+router.get('/dashboard/recent-activities', checkPermission('dashboard', 'read'), AdminController.getRecentActivities);
 
 // User management
-router.get('/users', AdminController.getAllUsers);
-router.get('/users/stats', AdminController.getUserStats);
-router.get('/users/:id', AdminController.getUserById);
-router.put('/users/:id', validateAdminUpdate, AdminController.updateUser);
-router.patch('/users/:id/activate', AdminController.activateUser);
-router.patch('/users/:id/deactivate', AdminController.deactivateUser);
-router.delete('/users/:id', adminAuthorize('superAdmin'), AdminController.deleteUser);
-router.patch('/users/:id/role', adminAuthorize('superAdmin'), [
+router.get('/users', checkPermission('users', 'read'), AdminController.getAllUsers);
+router.get('/users/stats', checkPermission('users', 'read'), AdminController.getUserStats);
+router.get('/users/:id', checkPermission('users', 'read'), AdminController.getUserById);
+router.put('/users/:id', checkPermission('users', 'write'), validateAdminUpdate, auditAction('user.update', { model: User }), AdminController.updateUser);
+router.patch('/users/:id/activate', checkPermission('users', 'write'), auditAction('user.activate', { model: User }), AdminController.activateUser);
+router.patch('/users/:id/deactivate', checkPermission('users', 'write'), auditAction('user.deactivate', { model: User }), AdminController.deactivateUser);
+router.delete('/users/:id', checkPermission('users', 'delete'), auditAction('user.delete', { model: User }), AdminController.deleteUser);
+router.patch('/users/:id/role', checkPermission('users', 'manage'), [
   body('roles').isArray().withMessage('Roles must be an array'),
   handleValidationErrors
-], AdminController.updateUserRole);
+], auditAction('user.update_role', { model: User }), AdminController.updateUserRole);
 
-// Admin management (super admin only)
-router.get('/admins', adminAuthorize('superAdmin'), AdminController.getAllAdmins);
-router.post('/admins', adminAuthorize('superAdmin'), validateAdminCreation, AdminController.createAdmin);
-router.get('/admins/:id', adminAuthorize('superAdmin'), AdminController.getAdminById);
-router.put('/admins/:id', adminAuthorize('superAdmin'), validateAdminUpdate, AdminController.updateAdmin);
-router.patch('/admins/:id/activate', adminAuthorize('superAdmin'), AdminController.activateAdmin);
-router.patch('/admins/:id/deactivate', adminAuthorize('superAdmin'), AdminController.deactivateAdmin);
-router.delete('/admins/:id', adminAuthorize('superAdmin'), AdminController.deleteAdmin);
+// Admin management
+router.get('/admins', checkPermission('admins', 'read'), AdminController.getAllAdmins);
+router.post('/admins', checkPermission('admins', 'write'), validateAdminCreation, auditAction('admin.create', { model: Admin }), AdminController.createAdmin);
+router.get('/admins/:id', checkPermission('admins', 'read'), AdminController.getAdminById);
+router.put('/admins/:id', checkPermission('admins', 'write'), validateAdminUpdate, auditAction('admin.update', { model: Admin }), AdminController.updateAdmin);
+router.put('/admins/:id/roles', checkPermission('admins', 'manage'), [
+  body('roles').isArray().withMessage('Roles must be an array'),
+  body('roles.*').isMongoId().withMessage('Each role must be a valid role ID'),
+  handleValidationErrors
+], auditAction('admin.assign_roles', { model: Admin }), AdminController.assignAdminRoles);
+router.patch('/admins/:id/activate', checkPermission('admins', 'write'), auditAction('admin.activate', { model: Admin }), AdminController.activateAdmin);
+router.patch('/admins/:id/deactivate', checkPermission('admins', 'write'), auditAction('admin.deactivate', { model: Admin }), AdminController.deactivateAdmin);
+router.delete('/admins/:id', checkPermission('admins', 'delete'), auditAction('admin.delete', { model: Admin }), AdminController.deleteAdmin);
 
 // Mentor application management
-router.get('/mentor-applications', AdminController.getAllMentorApplications);
-router.get('/mentor-applications/pending', AdminController.getPendingMentorApplications);
-router.get('/mentor-applications/stats', AdminController.getMentorApplicationStats);
-router.get('/mentor-applications/:id', AdminController.getMentorApplicationById);
-router.patch('/mentor-applications/:id/approve', AdminController.approveMentorApplication);
-router.patch('/mentor-applications/:id/reject', [
+router.get('/mentor-applications', checkPermission('mentors', 'read'), AdminController.getAllMentorApplications);
+router.get('/mentor-applications/pending', checkPermission('mentors', 'read'), AdminController.getPendingMentorApplications);
+router.get('/mentor-applications/stats', checkPermission('mentors', 'read'), AdminController.getMentorApplicationStats);
+router.get('/mentor-applications/:id', checkPermission('mentors', 'read'), AdminController.getMentorApplicationById);
+router.patch('/mentor-applications/:id/approve', checkPermission('mentors', 'approve'), auditAction('mentorApplication.approve', { model: MentorApplication }), AdminController.approveMentorApplication);
+router.patch('/mentor-applications/:id/reject', checkPermission('mentors', 'approve'), [
   body('rejectionReason').notEmpty().withMessage('Rejection reason is required'),
   handleValidationErrors
-], AdminController.rejectMentorApplication);
-router.patch('/mentor-applications/:id/waitlist', AdminController.waitlistMentorApplication);
+], auditAction('mentorApplication.reject', { model: MentorApplication }), AdminController.rejectMentorApplication);
+router.patch('/mentor-applications/:id/waitlist', checkPermission('mentors', 'approve'), auditAction('mentorApplication.waitlist', { model: MentorApplication }), AdminController.waitlistMentorApplication);
 
 // Job management
-router.get('/jobs', AdminController.getAllJobs);
-router.get('/jobs/pending', AdminController.getPendingJobs);
-router.get('/jobs/stats', AdminController.getJobStats);
-router.get('/jobs/:id', AdminController.getJobById);
-router.patch('/jobs/:id/approve', AdminController.approveJob);
-router.patch('/jobs/:id/reject', [
+router.get('/jobs', checkPermission('jobs', 'read'), AdminController.getAllJobs);
+router.get('/jobs/pending', checkPermission('jobs', 'read'), AdminController.getPendingJobs);
+router.get('/jobs/stats', checkPermission('jobs', 'read'), AdminController.getJobStats);
+router.get('/jobs/:id', checkPermission('jobs', 'read'), AdminController.getJobById);
+router.patch('/jobs/:id/approve', checkPermission('jobs', 'approve'), auditAction('job.approve', { model: Job }), AdminController.approveJob);
+router.patch('/jobs/:id/reject', checkPermission('jobs', 'approve'), [
   body('rejectionReason').notEmpty().withMessage('Rejection reason is required'),
   handleValidationErrors
-], AdminController.rejectJob);
-router.patch('/jobs/:id/feature', AdminController.featureJob);
-router.patch('/jobs/:id/unfeature', AdminController.unfeatureJob);
-router.delete('/jobs/:id', AdminController.deleteJob);
+], auditAction('job.reject', { model: Job }), AdminController.rejectJob);
+router.patch('/jobs/:id/feature', checkPermission('jobs', 'write'), auditAction('job.feature', { model: Job }), AdminController.featureJob);
+router.patch('/jobs/:id/unfeature', checkPermission('jobs', 'write'), auditAction('job.unfeature', { model: Job }), AdminController.unfeatureJob);
+router.delete('/jobs/:id', checkPermission('jobs', 'delete'), auditAction('job.delete', { model: Job }), AdminController.deleteJob);
 
 // Company management
-router.get('/companies', AdminController.getAllCompanies);
-router.get('/companies/pending', AdminController.getPendingCompanies);
-router.get('/companies/stats', AdminController.getCompanyStats);
-router.get('/companies/:id', AdminController.getCompanyById);
-router.patch('/companies/:id/verify', AdminController.verifyCompany);
-router.patch('/companies/:id/reject', [
+router.get('/companies', checkPermission('companies', 'read'), AdminController.getAllCompanies);
+router.get('/companies/pending', checkPermission('companies', 'read'), AdminController.getPendingCompanies);
+router.get('/companies/stats', checkPermission('companies', 'read'), AdminController.getCompanyStats);
+router.get('/companies/:id', checkPermission('companies', 'read'), AdminController.getCompanyById);
+router.patch('/companies/:id/verify', checkPermission('companies', 'approve'), auditAction('company.verify', { model: Company }), AdminController.verifyCompany);
+router.patch('/companies/:id/reject', checkPermission('companies', 'approve'), [
   body('rejectionReason').notEmpty().withMessage('Rejection reason is required'),
   handleValidationErrors
-], AdminController.rejectCompany);
-router.patch('/companies/:id/suspend', AdminController.suspendCompany);
-router.patch('/companies/:id/unsuspend', AdminController.unsuspendCompany);
+], auditAction('company.reject', { model: Company }), AdminController.rejectCompany);
+router.patch('/companies/:id/suspend', checkPermission('companies', 'write'), auditAction('company.suspend', { model: Company }), AdminController.suspendCompany);
+router.patch('/companies/:id/unsuspend', checkPermission('companies', 'write'), auditAction('company.unsuspend', { model: Company }), AdminController.unsuspendCompany);
 
 // Course management
-router.get('/courses', AdminController.getAllCourses);
-router.get('/courses/pending', AdminController.getPendingCourses);
-router.get('/courses/stats', AdminController.getCourseStats);
-router.get('/courses/:id', AdminController.getCourseById);
-router.patch('/courses/:id/approve', AdminController.approveCourse);
-router.patch('/courses/:id/reject', [
+router.get('/courses', checkPermission('courses', 'read'), AdminController.getAllCourses);
+router.get('/courses/pending', checkPermission('courses', 'read'), AdminController.getPendingCourses);
+router.get('/courses/stats', checkPermission('courses', 'read'), AdminController.getCourseStats);
+router.get('/courses/:id', checkPermission('courses', 'read'), AdminController.getCourseById);
+router.patch('/courses/:id/approve', checkPermission('courses', 'approve'), auditAction('course.approve', { model: Course }), AdminController.approveCourse);
+router.patch('/courses/:id/reject', checkPermission('courses', 'approve'), [
   body('rejectionReason').notEmpty().withMessage('Rejection reason is required'),
   handleValidationErrors
-], AdminController.rejectCourse);
-router.patch('/courses/:id/feature', AdminController.featureCourse);
-router.patch('/courses/:id/unfeature', AdminController.unfeatureCourse);
-router.delete('/courses/:id', AdminController.deleteCourse);
+], auditAction('course.reject', { model: Course }), AdminController.rejectCourse);
+router.patch('/courses/:id/feature', checkPermission('courses', 'write'), auditAction('course.feature', { model: Course }), AdminController.featureCourse);
+router.patch('/courses/:id/unfeature', checkPermission('courses', 'write'), auditAction('course.unfeature', { model: Course }), AdminController.unfeatureCourse);
+router.delete('/courses/:id', checkPermission('courses', 'delete'), auditAction('course.delete', { model: Course }), AdminController.deleteCourse);
 
 // Booking management
-router.get('/bookings', AdminController.getAllBookings);
-router.get('/bookings/stats', AdminController.getBookingStats);
-router.get('/bookings/:id', AdminController.getBookingById);
-router.patch('/bookings/:id/cancel', [
+router.get('/bookings', checkPermission('bookings', 'read'), AdminController.getAllBookings);
+router.get('/bookings/stats', checkPermission('bookings', 'read'), AdminController.getBookingStats);
+router.get('/bookings/:id', checkPermission('bookings', 'read'), AdminController.getBookingById);
+router.patch('/bookings/:id/cancel', checkPermission('bookings', 'write'), [
   body('cancellationReason').notEmpty().withMessage('Cancellation reason is required'),
   handleValidationErrors
-], AdminController.cancelBooking);
+], auditAction('booking.cancel', { model: Booking }), AdminController.cancelBooking);
+
+// Payment management
+router.get('/payments', checkPermission('payments', 'read'), validatePaymentQuery, AdminController.getAllPayments);
+router.get('/payments/:id', checkPermission('payments', 'read'), validatePaymentId, AdminController.getPaymentById);
+router.get('/refunds', checkPermission('payments', 'read'), validateRefundQuery, AdminController.getAllRefunds);
+router.post('/refunds/:id/retry', checkPermission('payments', 'write'), validateRefundId, auditAction('refund.retry', { model: Refund }), AdminController.retryRefund);
+
+// Mentor payouts
+router.get('/payouts/balances', checkPermission('payments', 'read'), validatePayableBalanceQuery, AdminController.getPayableBalances);
+router.get('/payouts', checkPermission('payments', 'read'), validatePayoutQuery, AdminController.getAllPayouts);
+router.post('/payouts', checkPermission('payments', 'write'), validateCreatePayout, auditAction('payout.create', { model: Payout }), AdminController.createPayout);
+router.get('/payouts/:id', checkPermission('payments', 'read'), validatePayoutId, AdminController.getPayoutById);
+router.get('/payouts/:id/export', checkPermission('payments', 'read'), validatePayoutId, auditAction('payout.export', { model: Payout }), AdminController.exportPayout);
+router.post('/payouts/:id/mark-paid', checkPermission('payments', 'write'), validateMarkPayoutPaid, auditAction('payout.mark_paid', { model: Payout }), AdminController.markPayoutPaid);
 
 // Content management
-router.get('/content/reports', AdminController.getContentReports);
-router.patch('/content/reports/:id/resolve', AdminController.resolveContentReport);
-router.delete('/content/:type/:id', AdminController.deleteContent); // type: user, job, course, etc.
+router.get('/content/reports', checkPermission('content', 'read'), [
+  query('status').optional().isIn(Object.values(ReportStatuses)).withMessage('Invalid report status'),
+  query('contentType').optional().isIn(Object.values(ReportContentTypes)).withMessage('Invalid content type'),
+  handleValidationErrors
+], AdminController.getContentReports);
+router.get('/content/reports/:id', checkPermission('content', 'read'), AdminController.getContentReportById);
+router.patch('/content/reports/:id/assign', checkPermission('content', 'write'), [
+  body('adminId').optional().isMongoId().withMessage('Invalid admin ID'),
+  handleValidationErrors
+], auditAction('contentReport.assign', { model: ContentReport }), AdminController.assignContentReport);
+router.patch('/content/reports/:id/resolve', checkPermission('content', 'write'), [
+  body('status').isIn([ReportStatuses.ACTIONED, ReportStatuses.DISMISSED]).withMessage('Status must be actioned or dismissed'),
+  body('action').optional().isIn(Object.values(ResolutionActions)).withMessage('Invalid resolution action'),
+  body('notes').optional().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+  handleValidationErrors
+], auditAction('contentReport.resolve', { model: ContentReport }), AdminController.resolveContentReport);
+router.delete('/content/:type/:id', checkPermission('content', 'delete'), [
+  param('type').isIn(Object.values(ReportContentTypes)).withMessage('Invalid content type'),
+  param('id').isMongoId().withMessage('Invalid content ID'),
+  handleValidationErrors
+], auditAction('content.delete', { resolveId: req => `${req.params.type}:${req.params.id}` }), AdminController.deleteContent);
 
-// System settings (super admin only)
-router.get('/settings', adminAuthorize('superAdmin'), AdminController.getSystemSettings);
-router.put('/settings', adminAuthorize('superAdmin'), validateSystemSettings, AdminController.updateSystemSettings);
-router.post('/settings/backup', adminAuthorize('superAdmin'), AdminController.createBackup);
-router.get('/settings/backups', adminAuthorize('superAdmin'), AdminController.getBackups);
-router.post('/settings/restore/:backupId', adminAuthorize('superAdmin'), AdminController.restoreBackup);
+// System settings
+router.get('/settings', checkPermission('settings', 'read'), AdminController.getSystemSettings);
+router.get('/settings/history', checkPermission('settings', 'read'), AdminController.getSettingsHistory);
+router.put('/settings', checkPermission('settings', 'write'), validateSystemSettings, auditAction('settings.update'), AdminController.updateSystemSettings);
+router.post('/settings/backup', checkPermission('backups', 'write'), validateBackup, auditAction('backup.create'), AdminController.createBackup);
+router.get('/settings/backups', checkPermission('backups', 'read'), AdminController.getBackups);
+// Restores write their own audit entry once the data has been swapped in
+router.post('/settings/restore/:backupId', checkPermission('backups', 'manage'), validateRestore, AdminController.restoreBackup);
 
 // Audit logs
-router.get('/audit-logs', AdminController.getAuditLogs);
-router.get('/audit-logs/user/:userId', AdminController.getUserAuditLogs);
-router.get('/audit-logs/admin/:adminId', AdminController.getAdminAuditLogs);
+router.get('/audit-logs', checkPermission('audit_logs', 'read'), AdminController.getAuditLogs);
+router.get('/audit-logs/user/:userId', checkPermission('audit_logs', 'read'), AdminController.getUserAuditLogs);
+router.get('/audit-logs/admin/:adminId', checkPermission('audit_logs', 'read'), AdminController.getAdminAuditLogs);
 
 // Notifications
-router.get('/notifications', AdminController.getNotifications);
-router.post('/notifications/send', [
+router.get('/notifications', checkPermission('notifications', 'read'), AdminController.getNotifications);
+router.post('/notifications/send', checkPermission('notifications', 'write'), [
   body('title').notEmpty().withMessage('Title is required'),
   body('message').notEmpty().withMessage('Message is required'),
   body('recipients').isArray().withMessage('Recipients must be an array'),
   handleValidationErrors
-], AdminController.sendNotification);
-router.patch('/notifications/:id/read', AdminController.markNotificationAsRead);
-router.delete('/notifications/:id', AdminController.deleteNotification);
+], auditAction('notification.send'), AdminController.sendNotification);
+router.patch('/notifications/:id/read', checkPermission('notifications', 'read'), AdminController.markNotificationAsRead);
+router.delete('/notifications/:id', checkPermission('notifications', 'delete'), auditAction('notification.delete', { model: Notification }), AdminController.deleteNotification);
+
+// Outgoing SMS and their delivery status
+const validateSmsMessageQuery = [
+  query('status').optional().isIn(Object.values(SmsStatuses)).withMessage(`Status must be one of: ${Object.values(SmsStatuses).join(', ')}`),
+  query('kind').optional().isIn(Object.values(SmsKinds)).withMessage(`Kind must be one of: ${Object.values(SmsKinds).join(', ')}`),
+  query('to').optional().trim().notEmpty().withMessage('Recipient cannot be empty'),
+  query('provider').optional().trim().notEmpty().withMessage('Provider cannot be empty'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors
+];
+
+router.get('/sms-messages', checkPermission('notifications', 'read'), validateSmsMessageQuery, AdminController.getSmsMessages);
+router.get('/sms-messages/:id', checkPermission('notifications', 'read'), [
+  param('id').isMongoId().withMessage('Please provide a valid SMS message ID'),
+  handleValidationErrors
+], AdminController.getSmsMessageById);
 
 // Reports and exports
-router.get('/reports/users', AdminController.generateUserReport);
-router.get('/reports/mentors', AdminController.generateMentorReport);
-router.get('/reports/jobs', AdminController.generateJobReport);
-router.get('/reports/bookings', AdminController.generateBookingReport);
-router.get('/reports/revenue', AdminController.generateRevenueReport);
-router.post('/export/:type', [
+const validateReport = [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('granularity').optional().isIn(['day', 'week', 'month']).withMessage('Granularity must be day, week, or month'),
+  query('async').optional().isBoolean().withMessage('Async must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+// Reports built inline are not audited; queued ones are recorded like exports
+const auditQueuedExport = auditAction('export.create', { model: ExportJob });
+const auditQueuedReport = (req, res, next) => (req.query.async ? auditQueuedExport(req, res, next) : next());
+
+router.get('/reports/users', checkPermission('reports', 'read'), validateReport, auditQueuedReport, AdminController.generateUserReport);
+router.get('/reports/mentors', checkPermission('reports', 'read'), validateReport, auditQueuedReport, AdminController.generateMentorReport);
+router.get('/reports/jobs', checkPermission('reports', 'read'), validateReport, auditQueuedReport, AdminController.generateJobReport);
+router.get('/reports/bookings', checkPermission('reports', 'read'), validateReport, auditQueuedReport, AdminController.generateBookingReport);
+router.get('/reports/revenue', checkPermission('reports', 'read'), validateReport, auditQueuedReport, AdminController.generateRevenueReport);
+router.post('/export/:type', checkPermission('reports', 'read'), [
   body('format').isIn(['csv', 'excel', 'pdf']).withMessage('Format must be csv, excel, or pdf'),
   body('dateRange').optional().isObject().withMessage('Date range must be an object'),
+  body('dateRange.startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('dateRange.endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  handleValidationErrors
+], auditQueuedExport, AdminController.exportData);
+router.get('/exports', checkPermission('reports', 'read'), [
+  query('status').optional().isIn(ExportJob.getStatuses()).withMessage('Invalid export status'),
+  query('kind').optional().isIn(ExportJob.getKinds()).withMessage('Invalid export kind'),
+  query('requestedBy').optional().isMongoId().withMessage('Invalid admin ID'),
   handleValidationErrors
-], AdminController.exportData);
+], AdminController.getExportJobs);
+router.get('/exports/:jobId', checkPermission('reports', 'read'), [
+  param('jobId').isMongoId().withMessage('Invalid export job ID'),
+  handleValidationErrors
+], AdminController.getExportJob);
+router.get('/exports/:jobId/download', checkPermission('reports', 'read'), [
+  param('jobId').isMongoId().withMessage('Invalid export job ID'),
+  handleValidationErrors
+], auditAction('export.download', { model: ExportJob, idParam: 'jobId' }), AdminController.downloadExportJob);
 
-// Permissions management (super admin only)
-router.get('/permissions', adminAuthorize('superAdmin'), AdminController.getAllPermissions);
-router.post('/permissions', adminAuthorize('superAdmin'), [
+// Permissions management
+router.get('/permissions', checkPermission('roles', 'read'), AdminController.getAllPermissions);
+router.post('/permissions', checkPermission('roles', 'write'), [
   body('name').notEmpty().withMessage('Permission name is required'),
   body('description').notEmpty().withMessage('Permission description is required'),
   body('resource').notEmpty().withMessage('Resource is required'),
   body('action').notEmpty().withMessage('Action is required'),
   handleValidationErrors
-], AdminController.createPermission);
-router.put('/permissions/:id', adminAuthorize('superAdmin'), AdminController.updatePermission);
-router.delete('/permissions/:id', adminAuthorize('superAdmin'), AdminController.deletePermission);
+], auditAction('permission.create'), AdminController.createPermission);
+router.put('/permissions/:id', checkPermission('roles', 'write'), auditAction('permission.update', { model: Permission }), AdminController.updatePermission);
+router.delete('/permissions/:id', checkPermission('roles', 'delete'), auditAction('permission.delete', { model: Permission }), AdminController.deletePermission);
 
-// Role management (super admin only)
-router.get('/roles', adminAuthorize('superAdmin'), AdminController.getAllRoles);
-router.post('/roles', adminAuthorize('superAdmin'), [
+// Role management
+router.get('/roles', checkPermission('roles', 'read'), AdminController.getAllRoles);
+router.post('/roles', checkPermission('roles', 'write'), [
   body('name').notEmpty().withMessage('Role name is required'),
   body('description').notEmpty().withMessage('Role description is required'),
   body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isMongoId().withMessage('Each permission must be a valid permission ID'),
+  handleValidationErrors
+], auditAction('role.create'), AdminController.createRole);
+router.put('/roles/:id', checkPermission('roles', 'write'), [
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isMongoId().withMessage('Each permission must be a valid permission ID'),
   handleValidationErrors
-], AdminController.createRole);
-router.put('/roles/:id', adminAuthorize('superAdmin'), AdminController.updateRole);
-router.delete('/roles/:id', adminAuthorize('superAdmin'), AdminController.deleteRole);
+], auditAction('role.update', { model: Role }), AdminController.updateRole);
+router.delete('/roles/:id', checkPermission('roles', 'delete'), auditAction('role.delete', { model: Role }), AdminController.deleteRole);
 
 module.exports = router;
\ No newline at end of file
@@ -4,19 +4,30 @@ const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const phoneService = require('../services/phoneService');
 
 // Validation middleware
 const validatePhoneNumber = [
+  body('country')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(phoneService.getCountryCodes())
+    .withMessage('Please provide a supported ISO country code'),
   body('phone')
-    .isMobilePhone('en-IN')
-    .withMessage('Please provide a valid Indian phone number'),
+    .custom((phone, { req }) => !!phoneService.parse(phone, req.body.country))
+    .withMessage('Please provide a valid mobile number with its country code'),
   handleValidationErrors
 ];
 
 const validateOTP = [
+  body('country')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(phoneService.getCountryCodes())
+    .withMessage('Please provide a supported ISO country code'),
   body('phone')
-    .isMobilePhone('en-IN')
-    .withMessage('Please provide a valid Indian phone number'),
+    .custom((phone, { req }) => !!phoneService.parse(phone, req.body.country))
+    .withMessage('Please provide a valid mobile number with its country code'),
   body('otp')
     .isLength({ min: 6, max: 6 })
     .isNumeric()
@@ -42,11 +53,101 @@ const validateProfileUpdate = [
   handleValidationErrors
 ];
 
+const validateEmail = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validateRegistration = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isString()
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be between 6 and 128 characters'),
+  handleValidationErrors
+];
+
+const validateLogin = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+// Tokens from emailed links
+const validateEmailToken = [
+  body('token')
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid or malformed token'),
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  ...validateEmailToken.slice(0, -1),
+  body('password')
+    .isString()
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be between 6 and 128 characters'),
+  handleValidationErrors
+];
+
+// Code and state a provider sent the user back with
+const validateOAuthCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid or malformed state'),
+  handleValidationErrors
+];
+
 // Public routes
+router.get('/phone-countries', authController.getPhoneCountries);
 router.post('/send-otp', validatePhoneNumber, authController.sendOTP);
 router.post('/verify-otp', validateOTP, authController.verifyOTP);
 router.post('/refresh-token', authController.refreshToken);
 
+// Email and password
+router.post('/register', validateRegistration, authController.register);
+router.post('/login', validateLogin, authController.login);
+router.post('/verify-email', validateEmailToken, authController.verifyEmail);
+router.post('/resend-verification', validateEmail, authController.resendVerification);
+router.post('/forgot-password', validateEmail, authController.forgotPassword);
+router.post('/reset-password', validatePasswordReset, authController.resetPassword);
+
+// Passwordless email sign-in
+router.post('/magic-link', validateEmail, authController.sendMagicLink);
+router.post('/magic-link/verify', validateEmailToken, authController.verifyMagicLink);
+
+// Social sign-in (Google, LinkedIn; mock when ENABLE_MOCK_OAUTH=true)
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.get('/oauth/mock/authorize', authController.mockOAuthAuthorize);
+router.get('/oauth/identities', protect, authController.getSocialIdentities);
+router.get('/oauth/:provider/start', authController.startOAuth);
+router.post('/oauth/:provider/callback', validateOAuthCallback, authController.oauthCallback);
+router.post('/oauth/:provider/link/start', protect, authController.startOAuthLink);
+router.post('/oauth/:provider/link', protect, validateOAuthCallback, authController.completeOAuthLink);
+router.delete('/oauth/:provider', protect, authController.unlinkOAuth);
+
 // Protected routes
 router.post('/logout', protect, authController.logout);
 router.get('/profile', protect, authController.getProfile);
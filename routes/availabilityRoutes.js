@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const AvailabilityController = require('../controllers/availabilityController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateAvailabilityUpdate,
+  validateOverride,
+  validateOverrideDate,
+  validateBlackout,
+  validateBlackoutId,
+  validateMentorAvailability
+} = require('../middleware/availabilityValidation');
+
+// Mentor's own availability
+router.get('/me', protect, authorize('mentor'), AvailabilityController.getMyAvailability);
+router.put('/me', protect, authorize('mentor'), validateAvailabilityUpdate, AvailabilityController.updateMyAvailability);
+router.put('/me/overrides', protect, authorize('mentor'), validateOverride, AvailabilityController.setOverride);
+router.delete('/me/overrides/:date', protect, authorize('mentor'), validateOverrideDate, AvailabilityController.removeOverride);
+router.post('/me/blackouts', protect, authorize('mentor'), validateBlackout, AvailabilityController.addBlackout);
+router.delete('/me/blackouts/:blackoutId', protect, authorize('mentor'), validateBlackoutId, AvailabilityController.removeBlackout);
+
+// Public routes
+router.get('/mentor/:mentorId', validateMentorAvailability, AvailabilityController.getMentorAvailability);
+
+module.exports = router;
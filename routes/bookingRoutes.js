@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const BookingController = require('../controllers/bookingController');
+const { protect, authorize } = require('../middleware/auth');
+const { bookingParty, selfOrAdmin } = require('../middleware/bookingAccess');
 const {
   validateCreateBooking,
   validateUpdateBooking,
@@ -11,27 +13,64 @@ const {
   validateReschedule,
   validateCancelBooking,
   validateBookingQuery,
+  validateMyBookingsQuery,
   validateAvailableSlots,
+  validateCreateHold,
+  validateHoldId,
   handleValidationErrors
 } = require('../middleware/bookingValidation');
 
-// GET /api/v1/bookings - Get all bookings with filtering and pagination
+// GET /api/v1/bookings/enums - Get booking enums (statuses, session types, durations)
+router.get('/enums', BookingController.getBookingEnums);
+
+// GET /api/v1/bookings/mentor/:mentorId/available/:date - Get available time slots
+router.get('/mentor/:mentorId/available/:date', 
+  validateAvailableSlots,
+  handleValidationErrors,
+  BookingController.getAvailableTimeSlots
+);
+
+// Everything below requires a signed-in user. Users with the admin role may
+// act on any booking; everyone else only on bookings they take part in.
+router.use(protect);
+
+// GET /api/v1/bookings - Get all bookings with filtering and pagination (admins)
 router.get('/', 
+  authorize('admin'),
   validateBookingQuery,
   handleValidationErrors,
   BookingController.getAllBookings
 );
 
-// GET /api/v1/bookings/enums - Get booking enums (statuses, session types, durations)
-router.get('/enums', BookingController.getBookingEnums);
+// GET /api/v1/bookings/me - The signed-in user's bookings as mentee and mentor
+router.get('/me', 
+  validateMyBookingsQuery,
+  handleValidationErrors,
+  BookingController.getMyBookings
+);
 
 // GET /api/v1/bookings/statistics - Get booking statistics
 router.get('/statistics', BookingController.getBookingStatistics);
 
+// POST /api/v1/bookings/holds - Hold a slot while the user completes checkout
+router.post('/holds', 
+  validateCreateHold,
+  handleValidationErrors,
+  BookingController.createHold
+);
+
+// DELETE /api/v1/bookings/holds/:holdId - Release a held slot
+router.delete('/holds/:holdId', 
+  validateHoldId,
+  handleValidationErrors,
+  BookingController.releaseHold
+);
+
 // GET /api/v1/bookings/:id - Get booking by ID
 router.get('/:id', 
   validateBookingId,
   handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
   BookingController.getBookingById
 );
 
@@ -46,11 +85,13 @@ router.post('/',
 router.put('/:id', 
   validateUpdateBooking,
   handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
   BookingController.updateBooking
 );
 
-// DELETE /api/v1/bookings/:id - Delete booking (soft delete)
+// DELETE /api/v1/bookings/:id - Delete booking (soft delete, admins)
 router.delete('/:id', 
+  authorize('admin'),
   validateBookingId,
   handleValidationErrors,
   BookingController.deleteBooking
@@ -60,6 +101,7 @@ router.delete('/:id',
 router.get('/mentor/:mentorId', 
   validateMentorId,
   handleValidationErrors,
+  selfOrAdmin('mentorId'),
   BookingController.getBookingsByMentorId
 );
 
@@ -67,34 +109,47 @@ router.get('/mentor/:mentorId',
 router.get('/user/:userId', 
   validateUserId,
   handleValidationErrors,
+  selfOrAdmin('userId'),
   BookingController.getBookingsByUserId
 );
 
-// GET /api/v1/bookings/mentor/:mentorId/available/:date - Get available time slots
-router.get('/mentor/:mentorId/available/:date', 
-  validateAvailableSlots,
-  handleValidationErrors,
-  BookingController.getAvailableTimeSlots
-);
-
-// PUT /api/v1/bookings/:id/confirm - Confirm booking
+// PUT /api/v1/bookings/:id/confirm - Confirm booking (mentor)
 router.put('/:id/confirm', 
   validateBookingId,
   handleValidationErrors,
+  bookingParty('mentor'),
   BookingController.confirmBooking
 );
 
-// PUT /api/v1/bookings/:id/complete - Complete booking
+// PUT /api/v1/bookings/:id/complete - Complete booking (mentor)
 router.put('/:id/complete', 
   validateBookingId,
   handleValidationErrors,
+  bookingParty('mentor'),
   BookingController.completeBooking
 );
 
-// PUT /api/v1/bookings/:id/cancel - Cancel booking
+// GET /api/v1/bookings/:id/cancellation-quote - Refund due if cancelled now
+router.get('/:id/cancellation-quote', 
+  validateBookingId,
+  handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
+  BookingController.getCancellationQuote
+);
+
+// GET /api/v1/bookings/:id/meeting - Video link for a participant, shortly before the session
+router.get('/:id/meeting', 
+  validateBookingId,
+  handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
+  BookingController.getMeetingLink
+);
+
+// PUT /api/v1/bookings/:id/cancel - Cancel booking and refund under its policy
 router.put('/:id/cancel', 
   validateCancelBooking,
   handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
   BookingController.cancelBooking
 );
 
@@ -102,14 +157,16 @@ router.put('/:id/cancel',
 router.put('/:id/reschedule', 
   validateReschedule,
   handleValidationErrors,
+  bookingParty('mentor', 'mentee'),
   BookingController.rescheduleBooking
 );
 
-// PUT /api/v1/bookings/:id/rating - Add rating and feedback
+// PUT /api/v1/bookings/:id/rating - Add rating and feedback (mentee)
 router.put('/:id/rating', 
   validateRating,
   handleValidationErrors,
+  bookingParty('mentee'),
   BookingController.addRating
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
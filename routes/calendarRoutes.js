@@ -0,0 +1,28 @@
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const CalendarController = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const validateId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid ID'),
+  handleValidationErrors
+];
+
+// Subscribable feed; the token in the URL is the only credential
+router.get('/feed/:token.ics', [
+  param('token').isHexadecimal().isLength({ min: 48, max: 48 }).withMessage('Calendar feed not found'),
+  handleValidationErrors
+], CalendarController.getFeed);
+
+router.get('/feed-url', protect, CalendarController.getFeedUrl);
+router.post('/feed-url/reset', protect, CalendarController.resetFeedUrl);
+
+// Single-event invites
+router.get('/bookings/:id/invite.ics', protect, validateId, CalendarController.getBookingInvite);
+router.get('/interviews/:id/invite.ics', protect, validateId, CalendarController.getInterviewInvite);
+
+module.exports = router;
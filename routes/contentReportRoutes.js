@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const ContentReportController = require('../controllers/contentReportController');
+const { protect } = require('../middleware/auth');
+const { validateReportCreation, validateReportQuery } = require('../middleware/contentReportValidation');
+
+// Public routes
+router.get('/options', ContentReportController.getReportOptions);
+
+// Protected routes
+router.post('/', protect, validateReportCreation, ContentReportController.createReport);
+router.get('/mine', protect, validateReportQuery, ContentReportController.getMyReports);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const EarningsController = require('../controllers/earningsController');
+const { protect, authorize } = require('../middleware/auth');
+const { validateEarningsQuery } = require('../middleware/paymentValidation');
+
+router.use(protect, authorize('mentor'));
+
+router.get('/me', validateEarningsQuery, EarningsController.getMyEarnings);
+router.get('/me/payouts', EarningsController.getMyPayouts);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const PaymentController = require('../controllers/paymentController');
+const { protect } = require('../middleware/auth');
+const {
+  validateCreateIntent,
+  validatePaymentId,
+  validateBookingPayments,
+  validateSimulatePayment
+} = require('../middleware/paymentValidation');
+
+// Provider webhooks (verified by signature, no user session)
+router.post('/webhooks/:provider', PaymentController.handleWebhook);
+
+// Checkout
+router.post('/intents', protect, validateCreateIntent, PaymentController.createIntent);
+router.get('/booking/:bookingId', protect, validateBookingPayments, PaymentController.getBookingPayments);
+router.get('/:id', protect, validatePaymentId, PaymentController.getPayment);
+
+// Complete a fake-provider payment without a real gateway
+router.post('/:id/simulate', protect, validateSimulatePayment, PaymentController.simulatePayment);
+
+module.exports = router;
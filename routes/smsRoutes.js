@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const SmsController = require('../controllers/smsController');
+
+// Provider delivery reports (verified by signature, no user session)
+router.post('/webhooks/:provider', SmsController.handleStatusWebhook);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const UploadController = require('../controllers/uploadController');
+const { protect } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+// File size and type are limited by the maxFileSize/allowedFileTypes settings
+
+// POST /api/v1/uploads - Upload a document and get its URL
+router.post('/', protect, uploadSingle('file'), UploadController.uploadFile);
+
+// POST /api/v1/uploads/profile-image - Upload a new profile picture
+router.post('/profile-image', protect, uploadSingle('image'), UploadController.uploadProfileImage);
+
+module.exports = router;
@@ -1,6 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/userController');
+const NotificationController = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+// GET /api/users/notifications - Get the current user's notifications
+router.get('/notifications', protect, NotificationController.getMyNotifications);
+
+// GET /api/users/notifications/unread-count - Get unread notification count
+router.get('/notifications/unread-count', protect, NotificationController.getUnreadCount);
+
+// PATCH /api/users/notifications/read-all - Mark all notifications as read
+router.patch('/notifications/read-all', protect, NotificationController.markAllAsRead);
+
+// PATCH /api/users/notifications/:id/read - Mark a notification as read
+router.patch('/notifications/:id/read', protect, NotificationController.markAsRead);
+
+// DELETE /api/users/notifications/:id - Delete a notification
+router.delete('/notifications/:id', protect, NotificationController.deleteNotification);
 
 // GET /api/users - Get all users
 router.get('/', UserController.getAllUsers);
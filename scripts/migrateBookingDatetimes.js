@@ -0,0 +1,96 @@
+// Backfill startAt, endAt and timezone on bookings created before they were
+// stored. Existing date/time values are read on the mentor's clock
+// (mentorProfile.timezone), falling back to --fallback-timezone.
+//
+//   node scripts/migrateBookingDatetimes.js [--dry-run] [--fallback-timezone=Asia/Kolkata]
+//
+// Safe to re-run: only bookings without startAt are touched.
+const mongoose = require('mongoose');
+const { DateTime, IANAZone } = require('luxon');
+const connectDB = require('../config/database');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const fallbackArg = args.find(arg => arg.startsWith('--fallback-timezone='));
+const fallbackZone = fallbackArg ? fallbackArg.split('=')[1] : 'UTC';
+
+const run = async () => {
+  if (!IANAZone.isValidZone(fallbackZone)) {
+    throw new Error(`Invalid fallback timezone: ${fallbackZone}`);
+  }
+
+  await connectDB();
+
+  const mentorZones = new Map();
+  const zoneFor = async (mentorId) => {
+    const key = String(mentorId);
+    if (!mentorZones.has(key)) {
+      const mentor = await User.findById(mentorId).select('mentorProfile.timezone').lean();
+      const zone = mentor && mentor.mentorProfile && mentor.mentorProfile.timezone;
+      mentorZones.set(key, zone && IANAZone.isValidZone(zone) ? zone : fallbackZone);
+    }
+    return mentorZones.get(key);
+  };
+
+  // Read raw documents so the populate and validation hooks stay out of the way
+  const cursor = Booking.collection.find(
+    { startAt: { $exists: false } },
+    { projection: { mentorId: 1, date: 1, time: 1, duration: 1 } }
+  );
+
+  let updates = [];
+  let migrated = 0;
+  const skipped = [];
+
+  const flush = async () => {
+    if (updates.length && !dryRun) {
+      await Booking.collection.bulkWrite(updates, { ordered: false });
+    }
+    migrated += updates.length;
+    updates = [];
+  };
+
+  for await (const booking of cursor) {
+    const timezone = await zoneFor(booking.mentorId);
+    const start = DateTime.fromISO(`${booking.date}T${booking.time}`, { zone: timezone });
+    const minutes = parseInt(String(booking.duration).replace('min', ''));
+
+    if (!start.isValid || Number.isNaN(minutes)) {
+      skipped.push(String(booking._id));
+      continue;
+    }
+
+    updates.push({
+      updateOne: {
+        filter: { _id: booking._id, startAt: { $exists: false } },
+        update: {
+          $set: {
+            startAt: start.toJSDate(),
+            endAt: start.plus({ minutes }).toJSDate(),
+            timezone
+          }
+        }
+      }
+    });
+
+    if (updates.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] Would migrate' : 'Migrated'} ${migrated} booking(s)`);
+  if (skipped.length) {
+    console.log(`Skipped ${skipped.length} booking(s) with an unreadable date, time or duration: ${skipped.join(', ')}`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Booking datetime migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+// Backfill paymentStatus on bookings made before payments were collected,
+// which read as unpaid and so could neither be confirmed nor shown as
+// settled. Free bookings and ones that never went ahead need no payment;
+// sessions that were confirmed were settled outside the app and count as
+// paid.
+//
+//   node scripts/migrateBookingPaymentStatus.js [--dry-run] [--created-before=2026-01-31]
+//
+// Bookings without a paymentStatus are always backfilled. Saving a legacy
+// booking since then may have stored the "unpaid" default; pass the day
+// payments went live as --created-before to also fix unpaid bookings made
+// before it that have no payment attached.
+//
+// Safe to re-run: bookings with a payment are never touched.
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Booking = require('../models/Booking');
+const { BookingStatuses, BookingPaymentStatuses } = require('../models/Booking');
+
+const BATCH_SIZE = 500;
+
+// Legacy bookings in these states had the session go ahead
+const WENT_AHEAD_STATUSES = [
+  BookingStatuses.CONFIRMED,
+  BookingStatuses.RESCHEDULED,
+  BookingStatuses.AWAITING_COMPLETION,
+  BookingStatuses.COMPLETED
+];
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const cutoffArg = args.find(arg => arg.startsWith('--created-before='));
+const cutoff = cutoffArg ? new Date(cutoffArg.split('=')[1]) : null;
+
+const paymentStatusFor = (booking) => {
+  if (!(booking.price > 0)) return BookingPaymentStatuses.NOT_REQUIRED;
+  return WENT_AHEAD_STATUSES.includes(booking.status)
+    ? BookingPaymentStatuses.PAID
+    : BookingPaymentStatuses.NOT_REQUIRED;
+};
+
+const run = async () => {
+  if (cutoff && Number.isNaN(cutoff.getTime())) {
+    throw new Error(`Invalid --created-before date: ${cutoffArg.split('=')[1]}`);
+  }
+
+  await connectDB();
+
+  const legacy = [{ paymentStatus: { $exists: false } }];
+  if (cutoff) {
+    legacy.push({ paymentStatus: BookingPaymentStatuses.UNPAID, createdAt: { $lt: cutoff } });
+  }
+  // paymentId: null also matches bookings without the field
+  const filter = { $or: legacy, paymentId: null };
+
+  // Read raw documents so the populate and validation hooks stay out of the way
+  const cursor = Booking.collection.find(filter, { projection: { price: 1, status: 1 } });
+
+  let updates = [];
+  const counts = { [BookingPaymentStatuses.NOT_REQUIRED]: 0, [BookingPaymentStatuses.PAID]: 0 };
+
+  const flush = async () => {
+    if (updates.length && !dryRun) {
+      await Booking.collection.bulkWrite(updates, { ordered: false });
+    }
+    updates = [];
+  };
+
+  for await (const booking of cursor) {
+    const paymentStatus = paymentStatusFor(booking);
+    counts[paymentStatus]++;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: booking._id, ...filter },
+        update: { $set: { paymentStatus } }
+      }
+    });
+
+    if (updates.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const total = counts[BookingPaymentStatuses.NOT_REQUIRED] + counts[BookingPaymentStatuses.PAID];
+  console.log(`${dryRun ? '[dry run] Would backfill' : 'Backfilled'} ${total} booking(s): ` +
+    `${counts[BookingPaymentStatuses.PAID]} paid, ${counts[BookingPaymentStatuses.NOT_REQUIRED]} not requiring payment`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Booking payment status migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+// Rewrite user phone numbers to E.164. Sign-in used to prefix whatever was
+// typed with +91, so Indian numbers may be stored as "+9109876543210",
+// "+91919876543210" or without any prefix. Numbers that cannot be read are
+// left alone and listed, as are numbers whose E.164 form another account
+// already holds.
+//
+//   node scripts/migratePhoneNumbers.js [--dry-run]
+//
+// Safe to re-run: numbers already in E.164 are not touched.
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const phoneService = require('../services/phoneService');
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  // Read raw documents so the model's validation stays out of the way
+  const cursor = User.collection.find(
+    { phone: { $exists: true, $ne: null } },
+    { projection: { phone: 1 } }
+  );
+
+  let updates = [];
+  let migrated = 0;
+  const unreadable = [];
+  const conflicts = [];
+  const claimed = new Set();
+
+  const flush = async () => {
+    if (updates.length && !dryRun) {
+      await User.collection.bulkWrite(updates, { ordered: false });
+    }
+    migrated += updates.length;
+    updates = [];
+  };
+
+  for await (const user of cursor) {
+    const canonical = phoneService.canonicalize(user.phone);
+    if (!canonical) {
+      unreadable.push(String(user._id));
+      continue;
+    }
+    if (canonical === user.phone) continue;
+
+    const taken = claimed.has(canonical) ||
+      await User.collection.countDocuments({ phone: canonical, _id: { $ne: user._id } }, { limit: 1 });
+    if (taken) {
+      conflicts.push(`${user._id} (${canonical})`);
+      continue;
+    }
+    claimed.add(canonical);
+
+    updates.push({
+      updateOne: {
+        filter: { _id: user._id, phone: user.phone },
+        update: { $set: { phone: canonical } }
+      }
+    });
+
+    if (updates.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] Would migrate' : 'Migrated'} ${migrated} phone number(s)`);
+  if (unreadable.length) {
+    console.log(`Skipped ${unreadable.length} user(s) with an unreadable phone number: ${unreadable.join(', ')}`);
+  }
+  if (conflicts.length) {
+    console.log(`Skipped ${conflicts.length} user(s) whose number another account already holds: ${conflicts.join(', ')}`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Phone number migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+// Bring the users collection's indexes in line with the User model. Needed
+// once email sign-up made phone optional: the unique phone index must become
+// sparse so several accounts without a phone number can exist.
+//
+//   node scripts/syncUserIndexes.js [--dry-run]
+//
+// Safe to re-run: indexes that already match are left alone.
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const { toDrop, toCreate } = await User.diffIndexes();
+  console.log(`Indexes to drop: ${toDrop.length ? toDrop.join(', ') : 'none'}`);
+  console.log(`Indexes to create: ${toCreate.length ? toCreate.map(index => JSON.stringify(index)).join(', ') : 'none'}`);
+
+  if (!dryRun) {
+    await User.syncIndexes();
+    console.log('User indexes synced');
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('User index sync failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,138 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that must never be copied into an audit snapshot
+const SENSITIVE_FIELDS = [
+  'password',
+  'refreshTokens',
+  'refreshToken',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'twoFactorSecret',
+  'otp',
+  'otpExpires',
+  'otpAttempts',
+  'lastOtpSent'
+];
+
+// Fields that change on every write and only add noise to a diff
+const IGNORED_DIFF_FIELDS = ['updatedAt', '__v'];
+
+class AuditService {
+  // Strip sensitive fields and convert a document into plain JSON
+  sanitize(snapshot) {
+    if (!snapshot) {
+      return null;
+    }
+
+    const plain = typeof snapshot.toObject === 'function'
+      ? snapshot.toObject({ virtuals: false })
+      : snapshot;
+    const copy = JSON.parse(JSON.stringify(plain));
+
+    SENSITIVE_FIELDS.forEach(field => {
+      delete copy[field];
+    });
+
+    return copy;
+  }
+
+  // Compute a flat, field-level diff between two snapshots
+  diff(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {})
+    ]);
+
+    keys.forEach(key => {
+      if (IGNORED_DIFF_FIELDS.includes(key)) return;
+
+      const field = prefix + key;
+      const oldValue = before ? before[key] : undefined;
+      const newValue = after ? after[key] : undefined;
+
+      const isNestedObject = value =>
+        value !== null && typeof value === 'object' && !Array.isArray(value);
+
+      if (isNestedObject(oldValue) && isNestedObject(newValue)) {
+        changes.push(...this.diff(oldValue, newValue, `${field}.`));
+        return;
+      }
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({
+          field,
+          before: oldValue === undefined ? null : oldValue,
+          after: newValue === undefined ? null : newValue
+        });
+      }
+    });
+
+    return changes;
+  }
+
+  // Resolve the client IP. X-Forwarded-For is only believed for the proxy
+  // hops TRUST_PROXY allows; otherwise any client could set it.
+  getClientIp(req) {
+    return req.ip || (req.socket && req.socket.remoteAddress) || null;
+  }
+
+  // Describe whoever is behind the request
+  getActor(req) {
+    if (req && req.admin) {
+      return {
+        actorType: 'admin',
+        actorModel: 'Admin',
+        actorId: req.admin._id,
+        actorName: req.admin.name,
+        actorEmail: req.admin.email,
+        actorRole: req.admin.role
+      };
+    }
+
+    if (req && req.user) {
+      return {
+        actorType: 'user',
+        actorModel: 'User',
+        actorId: req.user._id,
+        actorName: req.user.name,
+        actorEmail: req.user.email,
+        actorRole: (req.user.roles || []).join(',')
+      };
+    }
+
+    return { actorType: 'system', actorModel: undefined, actorId: null };
+  }
+
+  // Persist an audit entry. Never throws: auditing must not break the action itself.
+  async record({ req, action, resourceType, resourceId, before, after, statusCode, metadata = {} }) {
+    try {
+      const beforeSnapshot = this.sanitize(before);
+      const afterSnapshot = this.sanitize(after);
+
+      const entry = new AuditLog({
+        ...this.getActor(req),
+        action,
+        resourceType,
+        resourceId: resourceId ? resourceId.toString() : null,
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes: this.diff(beforeSnapshot, afterSnapshot),
+        ipAddress: req ? this.getClientIp(req) : null,
+        userAgent: req && req.headers ? req.headers['user-agent'] : null,
+        method: req ? req.method : null,
+        path: req ? req.originalUrl : null,
+        statusCode,
+        metadata
+      });
+
+      return await entry.save();
+    } catch (error) {
+      console.error('Audit log error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
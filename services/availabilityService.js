@@ -0,0 +1,333 @@
+const { DateTime, IANAZone } = require('luxon');
+const MentorAvailability = require('../models/MentorAvailability');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { BookingStatuses } = require('../models/Booking');
+const { BLOCK_MINUTES } = require('../models/SlotReservation');
+const slotReservationService = require('./slotReservationService');
+const cancellationService = require('./cancellationService');
+
+// Bookings in these states occupy the mentor's time
+const BLOCKING_STATUSES = [BookingStatuses.PENDING, BookingStatuses.CONFIRMED, BookingStatuses.RESCHEDULED];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const durationToMinutes = (duration) => parseInt(String(duration).replace('min', ''));
+
+// Windows must be non-empty and may not overlap within a day
+const assertValidWindows = (windows, label) => {
+  const sorted = [...windows].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+  sorted.forEach((window, index) => {
+    if (toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+      throw httpError(400, `${label}: end time must be after start time`);
+    }
+    const next = sorted[index + 1];
+    if (next && toMinutes(next.startTime) < toMinutes(window.endTime)) {
+      throw httpError(400, `${label}: time windows overlap`);
+    }
+  });
+  return sorted;
+};
+
+// Computes bookable slots from a mentor's published availability. Windows are
+// evaluated on the mentor's clock (mentorProfile.timezone) and slots are
+// returned in whichever timezone the requester asks for.
+class AvailabilityService {
+  isValidTimezone(zone) {
+    return IANAZone.isValidZone(zone);
+  }
+
+  resolveTimezone(zone, fallback) {
+    if (!zone) return fallback;
+    if (!this.isValidTimezone(zone)) {
+      throw httpError(400, `Invalid timezone: ${zone}`);
+    }
+    return zone;
+  }
+
+  getMentorTimezone(mentor) {
+    const zone = mentor.mentorProfile && mentor.mentorProfile.timezone;
+    return zone && this.isValidTimezone(zone) ? zone : 'UTC';
+  }
+
+  async getMentor(mentorId) {
+    const mentor = await User.findOne({ _id: mentorId, roles: 'mentor', isActive: true })
+      .select('name mentorProfile.timezone mentorProfile.isAvailable mentorProfile.availableSessions');
+    if (!mentor) {
+      throw httpError(404, 'Mentor not found');
+    }
+    return mentor;
+  }
+
+  // Mentor and the session type being booked, checked for bookability.
+  // Mentors hidden by moderation cannot be found.
+  async getBookableSession(mentorId, sessionId) {
+    const mentor = await User.findOne({
+      _id: mentorId,
+      roles: 'mentor',
+      isActive: true,
+      'mentorProfile.isHidden': { $ne: true }
+    });
+    if (!mentor) {
+      throw httpError(404, 'Mentor not found');
+    }
+    if (!mentor.mentorProfile.isAvailable) {
+      throw httpError(400, 'Mentor is not available for bookings');
+    }
+
+    const session = mentor.mentorProfile.availableSessions.id(sessionId);
+    if (!session) {
+      throw httpError(404, 'Session not found in mentor\'s available sessions');
+    }
+
+    return { mentor, session };
+  }
+
+  getAvailability(mentorId) {
+    return MentorAvailability.findOne({ mentorId });
+  }
+
+  // Replace the weekly schedule and settings (including the cancellation
+  // policy), and optionally the mentor's timezone
+  async updateAvailability(mentor, { weeklySlots, timezone, cancellationPolicy, ...settings }) {
+    if (timezone !== undefined) {
+      await User.updateOne({ _id: mentor._id }, { 'mentorProfile.timezone': this.resolveTimezone(timezone) });
+    }
+
+    const update = {};
+    ['bufferMinutes', 'minNoticeHours', 'maxAdvanceDays', 'slotIntervalMinutes'].forEach(field => {
+      if (settings[field] !== undefined) update[field] = settings[field];
+    });
+
+    if (weeklySlots !== undefined) {
+      for (let day = 0; day < 7; day++) {
+        assertValidWindows(weeklySlots.filter(slot => slot.dayOfWeek === day), `Day ${day}`);
+      }
+      update.weeklySlots = weeklySlots;
+    }
+
+    // Applies to bookings made from now on; existing bookings keep their policy
+    if (cancellationPolicy !== undefined) {
+      update.cancellationPolicy = cancellationService.validatePolicy(cancellationPolicy);
+    }
+
+    return MentorAvailability.findOneAndUpdate(
+      { mentorId: mentor._id },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async setOverride(mentorId, { date, slots = [], note }) {
+    const windows = assertValidWindows(slots, date);
+    const availability = await this.getAvailability(mentorId);
+    if (!availability) {
+      throw httpError(400, 'Publish a weekly schedule before adding overrides');
+    }
+
+    availability.overrides = availability.overrides.filter(override => override.date !== date);
+    availability.overrides.push({ date, slots: windows, note });
+    availability.overrides.sort((a, b) => a.date.localeCompare(b.date));
+    return availability.save();
+  }
+
+  async removeOverride(mentorId, date) {
+    return MentorAvailability.findOneAndUpdate(
+      { mentorId },
+      { $pull: { overrides: { date } } },
+      { new: true }
+    );
+  }
+
+  async addBlackout(mentorId, { startDate, endDate, reason }) {
+    if (endDate < startDate) {
+      throw httpError(400, 'Blackout end date must not be before its start date');
+    }
+    const availability = await this.getAvailability(mentorId);
+    if (!availability) {
+      throw httpError(400, 'Publish a weekly schedule before adding blackout days');
+    }
+
+    availability.blackouts.push({ startDate, endDate, reason });
+    return availability.save();
+  }
+
+  async removeBlackout(mentorId, blackoutId) {
+    return MentorAvailability.findOneAndUpdate(
+      { mentorId },
+      { $pull: { blackouts: { _id: blackoutId } } },
+      { new: true }
+    );
+  }
+
+  // Wall-clock time on a mentor-local date, as an instant
+  atLocalTime(date, minutes, zone) {
+    const day = DateTime.fromISO(date, { zone }).startOf('day');
+    if (minutes >= 24 * 60) return day.plus({ days: 1 });
+    return day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+  }
+
+  // Bookable windows on one of the mentor's local dates, as instants
+  getWindows(availability, date, zone) {
+    if (availability.isBlackedOut(date)) return [];
+
+    const override = availability.getOverride(date);
+    const weekday = DateTime.fromISO(date, { zone }).weekday % 7;
+    const windows = override
+      ? override.slots
+      : availability.weeklySlots.filter(slot => slot.dayOfWeek === weekday);
+
+    return windows.map(window => ({
+      start: this.atLocalTime(date, toMinutes(window.startTime), zone),
+      end: this.atLocalTime(date, toMinutes(window.endTime), zone)
+    }));
+  }
+
+  // Time taken by existing bookings overlapping [from, to), widened by the buffer
+  async getBusyIntervals(mentorId, from, to, { bufferMinutes = 0, excludeBookingId } = {}) {
+    const query = {
+      mentorId,
+      startAt: { $lt: to.plus({ minutes: bufferMinutes }).toJSDate() },
+      endAt: { $gt: from.minus({ minutes: bufferMinutes }).toJSDate() },
+      status: { $in: BLOCKING_STATUSES },
+      isActive: true
+    };
+    if (excludeBookingId) query._id = { $ne: excludeBookingId };
+
+    const bookings = await Booking.find(query).select('startAt endAt').lean();
+    return bookings.map(booking => ({
+      start: DateTime.fromJSDate(booking.startAt).minus({ minutes: bufferMinutes }),
+      end: DateTime.fromJSDate(booking.endAt).plus({ minutes: bufferMinutes })
+    }));
+  }
+
+  getBookingWindow(availability, now = DateTime.utc()) {
+    return {
+      earliest: now.plus({ hours: availability.minNoticeHours }),
+      latest: now.plus({ days: availability.maxAdvanceDays })
+    };
+  }
+
+  // Free slots of `durationMinutes` starting on `date` in the requester's timezone
+  async getAvailableSlots(mentorId, date, { timezone, durationMinutes = 30 } = {}) {
+    const mentor = await this.getMentor(mentorId);
+    const mentorZone = this.getMentorTimezone(mentor);
+    const zone = this.resolveTimezone(timezone, mentorZone);
+    const result = { date, timezone: zone, mentorTimezone: mentorZone, durationMinutes, slots: [] };
+
+    const availability = await this.getAvailability(mentor._id);
+    if (!availability || !mentor.mentorProfile.isAvailable) return result;
+
+    const dayStart = DateTime.fromISO(date, { zone }).startOf('day');
+    const dayEnd = dayStart.plus({ days: 1 });
+    const firstDate = dayStart.setZone(mentorZone).toISODate();
+    const lastDate = dayEnd.minus({ milliseconds: 1 }).setZone(mentorZone).toISODate();
+
+    // A requester's day can span two dates on the mentor's clock
+    const mentorDates = [firstDate];
+    if (lastDate !== firstDate) mentorDates.push(lastDate);
+
+    const busy = await this.getBusyIntervals(mentor._id, dayStart, dayEnd.plus({ minutes: durationMinutes }), {
+      bufferMinutes: availability.bufferMinutes
+    });
+    // Time held by other users or claimed by bookings
+    const claimed = await slotReservationService.getClaimedBlocks(
+      mentor._id,
+      dayStart.minus({ days: 1 }).toJSDate(),
+      dayEnd.plus({ days: 1 }).toJSDate()
+    );
+    claimed.forEach(block => {
+      const blockStart = DateTime.fromJSDate(block.blockStart);
+      busy.push({
+        start: blockStart.minus({ minutes: availability.bufferMinutes }),
+        end: blockStart.plus({ minutes: BLOCK_MINUTES })
+      });
+    });
+
+    const { earliest, latest } = this.getBookingWindow(availability);
+
+    mentorDates.forEach(mentorDate => {
+      this.getWindows(availability, mentorDate, mentorZone).forEach(window => {
+        for (
+          let start = window.start;
+          start.plus({ minutes: durationMinutes }) <= window.end;
+          start = start.plus({ minutes: availability.slotIntervalMinutes })
+        ) {
+          const end = start.plus({ minutes: durationMinutes });
+          if (start < dayStart || start >= dayEnd || start < earliest || start > latest) continue;
+          if (busy.some(interval => start < interval.end && end > interval.start)) continue;
+
+          const local = start.setZone(zone);
+          result.slots.push({
+            time: local.toFormat('HH:mm'),
+            start: local.toISO({ suppressMilliseconds: true }),
+            end: end.setZone(zone).toISO({ suppressMilliseconds: true })
+          });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  // Reject a session that falls outside the mentor's published availability.
+  // Resolves with the availability so callers can reserve the buffer too.
+  async assertBookable(mentor, start, durationMinutes, { excludeBookingId } = {}) {
+    const availability = await this.getAvailability(mentor._id);
+    if (!availability) {
+      throw httpError(400, 'Mentor has not published any availability');
+    }
+
+    const mentorZone = this.getMentorTimezone(mentor);
+    const end = start.plus({ minutes: durationMinutes });
+    const { earliest, latest } = this.getBookingWindow(availability);
+
+    if (start < earliest) {
+      throw httpError(400, `Sessions must be booked at least ${availability.minNoticeHours} hours in advance`);
+    }
+    if (start > latest) {
+      throw httpError(400, `Sessions cannot be booked more than ${availability.maxAdvanceDays} days in advance`);
+    }
+
+    const mentorDate = start.setZone(mentorZone).toISODate();
+    const windows = this.getWindows(availability, mentorDate, mentorZone);
+    if (!windows.some(window => start >= window.start && end <= window.end)) {
+      throw httpError(400, 'Requested time is outside the mentor\'s availability');
+    }
+
+    const busy = await this.getBusyIntervals(mentor._id, start, end, {
+      bufferMinutes: availability.bufferMinutes,
+      excludeBookingId
+    });
+    if (busy.some(interval => start < interval.end && end > interval.start)) {
+      throw httpError(409, 'Mentor is not available at the requested time');
+    }
+
+    return availability;
+  }
+
+  // Convert a date and time entered in `timezone` to the session's start
+  // instant and the mentor's local date and time
+  toMentorLocal(date, time, timezone, mentor) {
+    const mentorZone = this.getMentorTimezone(mentor);
+    const start = DateTime.fromISO(`${date}T${time}`, { zone: this.resolveTimezone(timezone, mentorZone) });
+    if (!start.isValid) {
+      throw httpError(400, 'Invalid booking date or time');
+    }
+
+    const local = start.setZone(mentorZone);
+    return { start, timezone: mentorZone, date: local.toISODate(), time: local.toFormat('HH:mm') };
+  }
+}
+
+module.exports = new AvailabilityService();
+module.exports.durationToMinutes = durationToMinutes;
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Backup = require('../models/Backup');
+const auditService = require('./auditService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Archives are gzip-compressed newline-delimited Extended JSON: a header line
+// followed by one { c: <collection>, d: <document> } line per document.
+const ARCHIVE_FORMAT = 'empedia-backup';
+const ARCHIVE_VERSION = 1;
+
+// Never dumped or restored: backup metadata, the append-only audit trail,
+// and short-lived operational state that must reflect now, not the backup
+const EXCLUDED_COLLECTIONS = ['backups', 'auditlogs', 'ratelimits', 'oauthstates', 'exportjobs'];
+
+// Restored only when asked for by name, so a full restore does not roll
+// back live configuration
+const OPT_IN_COLLECTIONS = ['settings'];
+
+const isBackedUp = name => !EXCLUDED_COLLECTIONS.includes(name);
+
+// Collections a restore loads the archive into before swapping them in,
+// e.g. "users.restore-1a2b3c4d"
+const STAGING_SUFFIX = /\.restore-[0-9a-f]{8}$/;
+
+const RESTORE_BATCH_SIZE = 500;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class BackupService {
+  constructor() {
+    this.backupDir = path.resolve(process.env.BACKUP_PATH || './backups');
+  }
+
+  getFilePath(fileName) {
+    return path.join(this.backupDir, fileName);
+  }
+
+  // Names of the collections that can be backed up
+  async listCollections() {
+    const collections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+    return collections
+      .map(collection => collection.name)
+      .filter(name => !name.startsWith('system.') && isBackedUp(name) && !STAGING_SUFFIX.test(name))
+      .sort();
+  }
+
+  // Validate a requested collection list against what exists
+  resolveCollections(requested, available) {
+    if (!requested || !requested.length) {
+      return available;
+    }
+
+    const unknown = requested.filter(name => !available.includes(name));
+    if (unknown.length) {
+      throw badRequest(`Unknown collections: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(requested)];
+  }
+
+  async checksumFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  // Dump the given collections (or all of them) to a new archive
+  async createBackup({ collections, description, createdBy } = {}) {
+    const available = await this.listCollections();
+    const selected = this.resolveCollections(collections, available);
+    const type = collections && collections.length ? 'selective' : 'full';
+
+    await fs.promises.mkdir(this.backupDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backup = await Backup.create({
+      type,
+      description: description || `${type} backup created by admin`,
+      fileName: `backup-${timestamp}-${crypto.randomBytes(4).toString('hex')}.ndjson.gz`,
+      createdBy
+    });
+
+    const filePath = this.getFilePath(backup.fileName);
+    const counts = {};
+
+    try {
+      const db = mongoose.connection.db;
+
+      async function* lines() {
+        yield EJSON.stringify({
+          format: ARCHIVE_FORMAT,
+          version: ARCHIVE_VERSION,
+          backupId: backup._id.toString(),
+          createdAt: backup.createdAt,
+          collections: selected
+        }) + '\n';
+
+        for (const name of selected) {
+          counts[name] = 0;
+          const cursor = db.collection(name).find({});
+          for await (const doc of cursor) {
+            counts[name]++;
+            yield EJSON.stringify({ c: name, d: doc }, { relaxed: false }) + '\n';
+          }
+        }
+      }
+
+      await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(filePath));
+
+      const stats = await fs.promises.stat(filePath);
+      backup.size = stats.size;
+      backup.checksum = await this.checksumFile(filePath);
+      backup.collections = selected.map(name => ({ name, documentCount: counts[name] }));
+      backup.totalDocuments = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      backup.status = 'completed';
+      backup.completedAt = new Date();
+      await backup.save();
+    } catch (error) {
+      backup.status = 'failed';
+      backup.error = error.message;
+      await backup.save();
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return backup;
+  }
+
+  getBackups({ page = 1, limit = 10, status } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+
+    return Promise.all([
+      Backup.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Backup.countDocuments(filter)
+    ]);
+  }
+
+  // Stream the documents of an archive, calling onDocument(collection, doc)
+  async readArchive(filePath, onDocument) {
+    const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+    const reader = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let header = null;
+    try {
+      for await (const line of reader) {
+        if (!line) continue;
+
+        let entry;
+        try {
+          entry = EJSON.parse(line, { relaxed: false });
+        } catch (error) {
+          throw badRequest('Backup archive is corrupted: a line is not valid Extended JSON');
+        }
+        if (!header) {
+          if (entry.format !== ARCHIVE_FORMAT || Number(entry.version) !== ARCHIVE_VERSION) {
+            throw badRequest('Unsupported backup archive format');
+          }
+          header = entry;
+          continue;
+        }
+
+        await onDocument(entry.c, entry.d);
+      }
+    } catch (error) {
+      // Truncated or damaged gzip data
+      if (String(error.code).startsWith('Z_')) {
+        throw badRequest('Backup archive is corrupted: it could not be decompressed');
+      }
+      throw error;
+    } finally {
+      input.destroy();
+    }
+
+    if (!header) {
+      throw badRequest('Backup archive is empty');
+    }
+    return header;
+  }
+
+  // Read the whole archive, passing the documents of the selected collections
+  // to onDocument, and check it holds exactly what the backup recorded.
+  // Resolves to the document count per collection.
+  async scanArchive(backup, selected, onDocument = async () => {}) {
+    const counts = Object.fromEntries(selected.map(name => [name, 0]));
+
+    await this.readArchive(this.getFilePath(backup.fileName), async (name, doc) => {
+      if (!selected.includes(name)) return;
+      counts[name]++;
+      await onDocument(name, doc);
+    });
+
+    const mismatched = selected.filter(name =>
+      counts[name] !== backup.collections.find(c => c.name === name).documentCount
+    );
+    if (mismatched.length) {
+      throw badRequest(`Backup archive does not hold the documents recorded for: ${mismatched.join(', ')}`);
+    }
+    return counts;
+  }
+
+  // Give a staging collection the indexes of the collection it will replace,
+  // so unique constraints are checked before anything is swapped in
+  async copyIndexes(db, from, to) {
+    let indexes;
+    try {
+      indexes = await db.collection(from).indexes();
+    } catch (error) {
+      if (error.codeName === 'NamespaceNotFound') return;
+      throw error;
+    }
+
+    for (const { key, name, v, ns, ...options } of indexes) {
+      if (name === '_id_') continue;
+      await db.collection(to).createIndex(key, { name, ...options });
+    }
+  }
+
+  // Restore some or all collections from a backup. The archive is loaded
+  // into staging collections first; only once every one of them is complete
+  // and indexed are they renamed over the live collections, so a bad archive
+  // or a failed insert leaves the database as it was. With dryRun the archive
+  // is read through and checked and the plan returned without touching the
+  // database.
+  async restoreBackup(backupId, { collections, dryRun = false, restoredBy, req } = {}) {
+    const backup = await Backup.findById(backupId);
+    if (!backup) {
+      return null;
+    }
+
+    if (backup.status !== 'completed') {
+      throw badRequest('Only completed backups can be restored');
+    }
+
+    const filePath = this.getFilePath(backup.fileName);
+    if (!fs.existsSync(filePath)) {
+      throw badRequest('Backup archive is missing from storage');
+    }
+
+    const checksum = await this.checksumFile(filePath);
+    if (checksum !== backup.checksum) {
+      throw badRequest('Backup archive checksum does not match; the file may be corrupted');
+    }
+
+    // Archives made before a collection was excluded may still hold it
+    const archived = backup.collections.map(c => c.name).filter(isBackedUp);
+    const selected = collections && collections.length
+      ? this.resolveCollections(collections, archived)
+      : archived.filter(name => !OPT_IN_COLLECTIONS.includes(name));
+    const db = mongoose.connection.db;
+
+    const plan = await Promise.all(selected.map(async (name) => ({
+      name,
+      documentsInBackup: backup.collections.find(c => c.name === name).documentCount,
+      documentsInDatabase: await db.collection(name).estimatedDocumentCount()
+    })));
+
+    if (dryRun) {
+      await this.scanArchive(backup, selected);
+      return { backup, dryRun: true, checksumVerified: true, archiveVerified: true, collections: plan };
+    }
+
+    const token = crypto.randomBytes(4).toString('hex');
+    const staging = Object.fromEntries(selected.map(name => [name, `${name}.restore-${token}`]));
+
+    const batches = {};
+    const flush = async (name) => {
+      if (!batches[name] || !batches[name].length) return;
+      await db.collection(staging[name]).insertMany(batches[name], { ordered: true });
+      batches[name] = [];
+    };
+
+    let restored;
+    try {
+      for (const name of selected) {
+        await db.createCollection(staging[name]);
+        await this.copyIndexes(db, name, staging[name]);
+      }
+
+      restored = await this.scanArchive(backup, selected, async (name, doc) => {
+        batches[name] = batches[name] || [];
+        batches[name].push(doc);
+        if (batches[name].length >= RESTORE_BATCH_SIZE) {
+          await flush(name);
+        }
+      });
+
+      for (const name of selected) {
+        await flush(name);
+      }
+    } catch (error) {
+      await Promise.all(selected.map(name => db.collection(staging[name]).drop().catch(() => {})));
+      throw error;
+    }
+
+    // Each rename swaps one collection atomically
+    for (const name of selected) {
+      await db.collection(staging[name]).rename(name, { dropTarget: true });
+    }
+
+    backup.restores.push({ restoredBy, collections: selected });
+    await backup.save();
+
+    await auditService.record({
+      req,
+      action: 'backup.restore',
+      resourceType: 'backup',
+      resourceId: backup._id,
+      statusCode: 200,
+      metadata: { fileName: backup.fileName, collections: selected, documentsRestored: restored }
+    });
+
+    return {
+      backup,
+      dryRun: false,
+      checksumVerified: true,
+      archiveVerified: true,
+      collections: plan.map(entry => ({ ...entry, documentsRestored: restored[entry.name] }))
+    };
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,146 @@
+const Booking = require('../models/Booking');
+const { BookingStatuses, BookingPaymentStatuses } = require('../models/Booking');
+const settingsService = require('./settingsService');
+const slotReservationService = require('./slotReservationService');
+const paymentService = require('./paymentService');
+const eventBus = require('./eventBus');
+const { Events } = require('./eventBus');
+
+const MINUTE_MS = 60 * 1000;
+
+// How often the scheduler looks for due reminders and stale bookings
+const POLL_INTERVAL_MS = (parseInt(process.env.BOOKING_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+// Bookings handled per pass of each step
+const BATCH_SIZE = 100;
+
+// Sessions that are going ahead and get reminders. One still waiting to be
+// paid for is not, whatever its status says.
+const UPCOMING_STATUSES = [BookingStatuses.CONFIRMED, BookingStatuses.RESCHEDULED];
+const UPCOMING = { status: { $in: UPCOMING_STATUSES }, paymentStatus: { $ne: BookingPaymentStatuses.UNPAID } };
+
+// Bookings never confirmed, including ones rescheduled while unpaid before
+// rescheduling kept the status
+const UNCONFIRMED = {
+  $or: [
+    { status: BookingStatuses.PENDING },
+    { status: BookingStatuses.RESCHEDULED, paymentStatus: BookingPaymentStatuses.UNPAID }
+  ]
+};
+
+// Sends session reminders and moves bookings along once their time has
+// passed. Every change is claimed with a conditional update, so any number
+// of app instances can run the scheduler without sending anything twice.
+class BookingSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Configured offsets in minutes, closest to the start first
+  async getReminderOffsets() {
+    const offsets = await settingsService.getValue('bookingReminderOffsets');
+    return [...new Set((offsets || []).map(Number).filter(offset => offset > 0))].sort((a, b) => a - b);
+  }
+
+  // Send every reminder that is due. A booking inside several windows (e.g.
+  // booked 10 minutes before it starts) only gets the closest one; the
+  // earlier reminders are marked sent with it.
+  async sendDueReminders(now = new Date()) {
+    const offsets = await this.getReminderOffsets();
+    let sent = 0;
+
+    for (const offset of offsets) {
+      const skipped = offsets.filter(candidate => candidate >= offset);
+      const due = await Booking.find({
+        ...UPCOMING,
+        isActive: true,
+        startAt: { $gt: now, $lte: new Date(now.getTime() + offset * MINUTE_MS) },
+        remindersSent: { $ne: offset }
+      })
+        .select('_id')
+        .limit(BATCH_SIZE)
+        .lean();
+
+      for (const { _id } of due) {
+        const booking = await Booking.findOneAndUpdate(
+          { _id, ...UPCOMING, remindersSent: { $ne: offset } },
+          { $addToSet: { remindersSent: { $each: skipped } }, $set: { reminderSent: true } },
+          { new: true }
+        );
+        if (!booking) continue;
+
+        eventBus.publish(Events.BOOKING_REMINDER, { booking, offsetMinutes: offset });
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  // Pending bookings that were never confirmed by their start time
+  async expireStalePending(now = new Date()) {
+    const stale = await Booking.find({ ...UNCONFIRMED, startAt: { $lte: now } })
+      .select('_id')
+      .limit(BATCH_SIZE)
+      .lean();
+    let expired = 0;
+
+    for (const { _id } of stale) {
+      const booking = await Booking.findOneAndUpdate(
+        { _id, ...UNCONFIRMED },
+        { $set: { status: BookingStatuses.EXPIRED } },
+        { new: true }
+      );
+      if (!booking) continue;
+
+      await slotReservationService.releaseBooking(booking._id);
+      await paymentService.cancelOpenIntents(booking._id);
+      if (booking.isActive) {
+        eventBus.publish(Events.BOOKING_EXPIRED, { booking });
+      }
+      expired++;
+    }
+
+    return expired;
+  }
+
+  // Confirmed sessions that have ended wait for the mentor to complete them
+  async markEndedAwaitingCompletion(now = new Date()) {
+    const result = await Booking.updateMany(
+      { ...UPCOMING, endAt: { $lte: now } },
+      { $set: { status: BookingStatuses.AWAITING_COMPLETION } }
+    );
+    return result.modifiedCount;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      await this.sendDueReminders(now);
+      await this.expireStalePending(now);
+      await this.markEndedAwaitingCompletion(now);
+    } catch (error) {
+      console.error('Booking scheduler error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Start polling. Safe to call more than once.
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new BookingSchedulerService();
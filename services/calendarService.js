@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const JobApplication = require('../models/JobApplication');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { BookingStatuses } = require('../models/Booking');
+const notificationChannels = require('./notificationChannels');
+const eventBus = require('./eventBus');
+const { Events } = require('./eventBus');
+
+const CRLF = '\r\n';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'empedia.app';
+const ORGANIZER_EMAIL = process.env.EMAIL_FROM || 'no-reply@empedia.app';
+
+// Interviews only record a start time
+const INTERVIEW_DURATION_MINUTES = 60;
+
+// How far back the feed goes, so recent changes still reach calendar apps
+const FEED_PAST_DAYS = 30;
+
+const CLOSED_APPLICATION_STATUSES = ['rejected', 'withdrawn'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Accept either a populated document or a bare ObjectId
+const idOf = value => (value && value._id ? value._id : value);
+const nameOf = (value, fallback) => (value && value.name ? value.name : fallback);
+
+// Mentor and mentee ids of a booking. The Booking find hook leaves out
+// mentors who no longer hold the mentor role, but keeps their id.
+const participantsOf = booking => [
+  booking.populated('mentorId') || idOf(booking.mentorId),
+  booking.populated('userId') || idOf(booking.userId)
+];
+
+// Text values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = value => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const escapeParam = value => `"${String(value).replace(/"/g, '\'')}"`;
+
+// Lines are folded at 75 octets, continuing after a leading space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// 20261102T040000Z
+const formatDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Builds iCalendar (.ics) invites and feeds for booked sessions and job
+// interviews. Each session or interview keeps one UID for life; every change
+// bumps its SEQUENCE so calendar apps update the event instead of adding one.
+class CalendarService {
+  buildEvent({ uid, sequence = 0, start, end, summary, description, url, status = 'CONFIRMED', attendees = [], updatedAt }) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${formatDate(new Date())}`,
+      `DTSTART:${formatDate(start)}`,
+      `DTEND:${formatDate(end)}`,
+      `SUMMARY:${escapeText(summary)}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push(`STATUS:${status}`);
+    if (updatedAt) lines.push(`LAST-MODIFIED:${formatDate(updatedAt)}`);
+
+    if (attendees.length) {
+      lines.push(`ORGANIZER;CN=Empedia:mailto:${ORGANIZER_EMAIL}`);
+      attendees.forEach(({ name, email }) => {
+        lines.push(`ATTENDEE;CN=${escapeParam(name || email)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${email}`);
+      });
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // method: PUBLISH for feeds and downloads, REQUEST or CANCEL for invites
+  buildCalendar(events, { method = 'PUBLISH', name } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Empedia//Sessions//EN',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+  }
+
+  // Names of everyone on these bookings by id, so events name both people
+  // whether or not the find hook populated them
+  async participantNames(bookings) {
+    const ids = bookings.flatMap(participantsOf).filter(Boolean);
+    const users = await User.find({ _id: { $in: ids } }).select('name').lean();
+    return new Map(users.map(user => [String(user._id), user.name]));
+  }
+
+  bookingEvent(booking, { attendees, names = new Map() } = {}) {
+    const [mentorId, menteeId] = participantsOf(booking).map(String);
+    const mentorName = names.get(mentorId) || nameOf(booking.mentorId, 'Mentor');
+    const menteeName = names.get(menteeId) || nameOf(booking.userId, 'Mentee');
+
+    return this.buildEvent({
+      uid: `booking-${booking._id}@${UID_DOMAIN}`,
+      sequence: booking.calendarSequence || 0,
+      start: booking.startAt,
+      end: booking.endAt,
+      summary: `${booking.sessionType}: ${mentorName} and ${menteeName}`,
+      description: [
+        booking.topic,
+        'Open the session on Empedia shortly before it starts to get the meeting link.'
+      ].filter(Boolean).join('\n\n'),
+      status: booking.status === BookingStatuses.CANCELLED ? 'CANCELLED' : 'CONFIRMED',
+      attendees,
+      updatedAt: booking.updatedAt
+    });
+  }
+
+  interviewEvent(application, { attendees } = {}) {
+    return this.buildEvent({
+      uid: `interview-${application._id}@${UID_DOMAIN}`,
+      sequence: application.interviewSequence || 0,
+      start: application.interviewDate,
+      end: new Date(application.interviewDate.getTime() + INTERVIEW_DURATION_MINUTES * MINUTE_MS),
+      summary: `Interview: ${application.jobTitle} at ${application.company}`,
+      description: application.interviewNotes,
+      status: CLOSED_APPLICATION_STATUSES.includes(application.status) ? 'CANCELLED' : 'CONFIRMED',
+      attendees,
+      updatedAt: application.updatedAt
+    });
+  }
+
+  // Single-event .ics for a participant to download
+  async getBookingInvite(bookingId, user) {
+    const booking = await Booking.findOne({ _id: bookingId, isActive: true });
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (!participantsOf(booking).some(id => String(id) === String(user._id))) {
+      throw httpError(403, 'Only the mentor and mentee of this session can download its invite');
+    }
+    if (!booking.confirmedAt) {
+      throw httpError(409, 'The invite is available once the booking is confirmed');
+    }
+
+    const names = await this.participantNames([booking]);
+    return this.buildCalendar([this.bookingEvent(booking, { names })]);
+  }
+
+  async getInterviewInvite(applicationId, user) {
+    const application = await JobApplication.findById(applicationId);
+    if (!application) {
+      throw httpError(404, 'Job application not found');
+    }
+    const job = await Job.findById(application.jobId).select('postedBy');
+    const allowed = user.roles.includes('admin') ||
+      String(application.applicantId) === String(user._id) ||
+      (job && String(idOf(job.postedBy)) === String(user._id));
+    if (!allowed) {
+      throw httpError(403, 'Access denied');
+    }
+    if (!application.interviewDate) {
+      throw httpError(409, 'No interview has been scheduled for this application');
+    }
+
+    return this.buildCalendar([this.interviewEvent(application)]);
+  }
+
+  // Feed token, created on first use
+  async getFeedToken(userId) {
+    const user = await User.findById(userId).select('+calendarFeedToken');
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+    return user.calendarFeedToken || this.resetFeedToken(userId);
+  }
+
+  // Issue a new token; the old feed URL stops working
+  async resetFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: userId }, { $set: { calendarFeedToken: token } });
+    return token;
+  }
+
+  // Everything on a user's calendar: their confirmed sessions as mentor or
+  // mentee, and interviews they are attending or hosting
+  async getFeed(token) {
+    const user = await User.findOne({ calendarFeedToken: token, isActive: true }).select('name');
+    if (!user) {
+      throw httpError(404, 'Calendar feed not found');
+    }
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+    const postedJobIds = await Job.find({ postedBy: user._id }).distinct('_id');
+    const [bookings, applications] = await Promise.all([
+      Booking.find({
+        $or: [{ mentorId: user._id }, { userId: user._id }],
+        confirmedAt: { $ne: null },
+        isActive: true,
+        startAt: { $gte: since }
+      }).sort({ startAt: 1 }),
+      JobApplication.find({
+        $or: [{ applicantId: user._id }, { jobId: { $in: postedJobIds } }],
+        interviewDate: { $gte: since }
+      }).sort({ interviewDate: 1 })
+    ]);
+    const names = await this.participantNames(bookings);
+
+    return this.buildCalendar([
+      ...bookings.map(booking => this.bookingEvent(booking, { names })),
+      ...applications.map(application => this.interviewEvent(application))
+    ], { name: `Empedia - ${user.name}` });
+  }
+
+  // Email an invite to each recipient who accepts email
+  async sendInvite(userIds, { subject, text, buildCalendar, method }) {
+    const emailChannel = notificationChannels.getChannel('email');
+    const users = await User.find({ _id: { $in: userIds.filter(Boolean) }, isActive: true })
+      .select('name email phone phoneVerified preferences')
+      .lean();
+    const recipients = users.filter(user => emailChannel.isEnabledFor(user));
+    if (!recipients.length) return;
+
+    const content = buildCalendar(recipients.map(user => ({ name: user.name, email: user.email })));
+    await Promise.all(recipients.map(async (user) => {
+      try {
+        await emailChannel.deliver(user, {
+          title: subject,
+          message: text,
+          email: {
+            subject,
+            text,
+            attachments: [{
+              filename: 'invite.ics',
+              content,
+              contentType: `text/calendar; charset=utf-8; method=${method}`
+            }]
+          }
+        });
+      } catch (error) {
+        console.error(`Calendar invite error (${user._id}):`, error.message);
+      }
+    }));
+  }
+
+  async sendBookingInvite(bookingId) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || !booking.confirmedAt) return;
+
+    const names = await this.participantNames([booking]);
+    const cancelled = booking.status === BookingStatuses.CANCELLED;
+    const method = cancelled ? 'CANCEL' : 'REQUEST';
+    await this.sendInvite(participantsOf(booking), {
+      method,
+      subject: `${cancelled ? 'Cancelled' : 'Invitation'}: ${booking.sessionType} on ${booking.date} at ${booking.time}`,
+      text: cancelled
+        ? `The ${booking.sessionType} on ${booking.date} at ${booking.time} (${booking.timezone}) was cancelled.`
+        : `Your ${booking.sessionType} is on ${booking.date} at ${booking.time} (${booking.timezone}). Add the attached invite to your calendar.`,
+      buildCalendar: attendees => this.buildCalendar([this.bookingEvent(booking, { attendees, names })], { method })
+    });
+  }
+
+  async sendInterviewInvite(applicationId) {
+    const application = await JobApplication.findById(applicationId);
+    if (!application || !application.interviewDate) return;
+
+    const job = await Job.findById(application.jobId).select('postedBy');
+    const cancelled = CLOSED_APPLICATION_STATUSES.includes(application.status);
+    const method = cancelled ? 'CANCEL' : 'REQUEST';
+    await this.sendInvite([application.applicantId, job && idOf(job.postedBy)], {
+      method,
+      subject: `${cancelled ? 'Cancelled: ' : ''}Interview: ${application.jobTitle} at ${application.company}`,
+      text: cancelled
+        ? `The interview for ${application.jobTitle} at ${application.company} on ` +
+          `${application.interviewDate.toISOString()} was cancelled.`
+        : `An interview for ${application.jobTitle} at ${application.company} is scheduled for ` +
+          `${application.interviewDate.toISOString()}. Add the attached invite to your calendar.`,
+      buildCalendar: attendees => this.buildCalendar([this.interviewEvent(application, { attendees })], { method })
+    });
+  }
+
+  // Send invites and updates as bookings and interviews change
+  registerInvites() {
+    [Events.BOOKING_CONFIRMED, Events.BOOKING_RESCHEDULED, Events.BOOKING_CANCELLED].forEach((event) => {
+      eventBus.subscribe(event, ({ booking }) => this.sendBookingInvite(booking._id));
+    });
+    [Events.INTERVIEW_SCHEDULED, Events.INTERVIEW_CANCELLED].forEach((event) => {
+      eventBus.subscribe(event, ({ application }) => this.sendInterviewInvite(application._id));
+    });
+  }
+}
+
+module.exports = new CalendarService();
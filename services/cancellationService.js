@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const MentorAvailability = require('../models/MentorAvailability');
+const { BookingStatuses } = require('../models/Booking');
+const { DefaultCancellationPolicy } = require('../models/MentorAvailability');
+const { RefundInitiators } = require('../models/Refund');
+const paymentService = require('./paymentService');
+const slotReservationService = require('./slotReservationService');
+const meetingService = require('./meetingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Mentor cancellations this close to the start are also counted as late
+const LATE_CANCELLATION_HOURS = 24;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Accept either a populated document or a bare ObjectId
+const idOf = value => (value && value._id ? value._id : value);
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Cancels bookings and works out what goes back to the mentee. Mentees are
+// refunded under the policy the booking was made with; cancellations by the
+// mentor or an admin are always refunded in full.
+class CancellationService {
+  // Tiers ordered from furthest ahead of the start to closest
+  sortPolicy(policy) {
+    return [...policy]
+      .map(({ hoursBefore, refundPercent }) => ({ hoursBefore, refundPercent }))
+      .sort((a, b) => b.hoursBefore - a.hoursBefore);
+  }
+
+  // A policy may not refund more the later the mentee cancels
+  validatePolicy(policy) {
+    const tiers = this.sortPolicy(policy);
+    tiers.forEach((tier, index) => {
+      const previous = tiers[index - 1];
+      if (previous && previous.hoursBefore === tier.hoursBefore) {
+        throw httpError(400, 'Cancellation policy has two tiers with the same notice period');
+      }
+      if (previous && tier.refundPercent > previous.refundPercent) {
+        throw httpError(400, 'Cancellation policy cannot refund more for later cancellations');
+      }
+    });
+    return tiers;
+  }
+
+  async getMentorPolicy(mentorId) {
+    const availability = await MentorAvailability.findOne({ mentorId }).select('cancellationPolicy');
+    const policy = availability && availability.cancellationPolicy.length
+      ? availability.cancellationPolicy
+      : DefaultCancellationPolicy;
+    return this.sortPolicy(policy);
+  }
+
+  // Refund percentage for a mentee cancelling at `at`; nothing once the session has started
+  refundPercentFor(policy, startAt, at = new Date()) {
+    const hoursBefore = (startAt.getTime() - at.getTime()) / HOUR_MS;
+    if (hoursBefore < 0) return 0;
+
+    const tier = this.sortPolicy(policy).find(candidate => hoursBefore >= candidate.hoursBefore);
+    return tier ? tier.refundPercent : 0;
+  }
+
+  // Whether `user` is cancelling as the booking's mentor, its mentee, or an
+  // admin acting on someone else's booking
+  getInitiator(booking, user) {
+    const mentorId = booking.populated('mentorId') || idOf(booking.mentorId);
+    const menteeId = booking.populated('userId') || idOf(booking.userId);
+    if (String(mentorId) === String(user._id)) return RefundInitiators.MENTOR;
+    if (String(menteeId) !== String(user._id) && user.hasRole('admin')) return RefundInitiators.ADMIN;
+    return RefundInitiators.USER;
+  }
+
+  // What cancelling now would refund, without cancelling
+  async quote(booking, cancelledBy, { at = new Date(), payment } = {}) {
+    if (payment === undefined) {
+      payment = booking.paymentId ? await Payment.findById(booking.paymentId) : null;
+    }
+
+    const policy = booking.cancellationPolicy && booking.cancellationPolicy.length
+      ? this.sortPolicy(booking.cancellationPolicy)
+      : await this.getMentorPolicy(booking.populated('mentorId') || idOf(booking.mentorId));
+    const refundPercent = cancelledBy === RefundInitiators.USER
+      ? this.refundPercentFor(policy, booking.startAt, at)
+      : 100;
+    const refundAmount = payment
+      ? roundMoney(Math.min(payment.amount * refundPercent / 100, payment.refundableAmount))
+      : 0;
+
+    return {
+      cancelledBy,
+      hoursBeforeStart: Math.round(((booking.startAt.getTime() - at.getTime()) / HOUR_MS) * 10) / 10,
+      policy,
+      refundPercent,
+      paidAmount: payment ? payment.amount : 0,
+      refundAmount,
+      currency: payment ? payment.currency : null
+    };
+  }
+
+  // Cancel the booking, free its time and refund what the policy allows.
+  // Resolves to { booking, quote, refund }.
+  async cancel(booking, { cancelledBy, reason }) {
+    if ([BookingStatuses.COMPLETED, BookingStatuses.CANCELLED, BookingStatuses.EXPIRED].includes(booking.status)) {
+      throw httpError(400, 'Cannot cancel completed, expired or already cancelled bookings');
+    }
+
+    const payment = booking.paymentId ? await Payment.findById(booking.paymentId) : null;
+    const quote = await this.quote(booking, cancelledBy, { payment });
+
+    await booking.cancel(reason, cancelledBy);
+    await slotReservationService.releaseBooking(booking._id);
+    await paymentService.cancelOpenIntents(booking._id);
+    await meetingService.revokeLink(booking);
+
+    if (cancelledBy === RefundInitiators.MENTOR) {
+      await this.recordMentorCancellation(booking.populated('mentorId') || idOf(booking.mentorId), quote.hoursBeforeStart);
+    }
+
+    const refund = quote.refundAmount > 0
+      ? await paymentService.refund(payment, quote.refundAmount, {
+        reason: reason || `Booking cancelled by ${cancelledBy}`,
+        initiatedBy: cancelledBy,
+        refundPercent: quote.refundPercent
+      })
+      : null;
+
+    return { booking, quote, refund };
+  }
+
+  // Mentor cancellations count against the mentor's reliability
+  recordMentorCancellation(mentorId, hoursBeforeStart) {
+    const increments = { 'mentorProfile.mentorCancellations': 1 };
+    if (hoursBeforeStart < LATE_CANCELLATION_HOURS) {
+      increments['mentorProfile.lateMentorCancellations'] = 1;
+    }
+    return User.updateOne({ _id: mentorId }, { $inc: increments });
+  }
+}
+
+module.exports = new CancellationService();
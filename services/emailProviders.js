@@ -0,0 +1,134 @@
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// "Empedia <no-reply@empedia.app>" or a bare address
+const parseAddress = (value) => {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+  return match ? { name: match[1].replace(/^"|"$/g, '') || undefined, email: match[2] } : { email: value.trim() };
+};
+
+const toBase64 = content => Buffer.from(content).toString('base64');
+
+// Reason a provider's API gave for rejecting a request, if it gave one
+const providerMessage = (error) => {
+  const data = error.response?.data;
+  if (!data) return error.message;
+  if (Array.isArray(data.errors)) return data.errors.map(item => item.message).join(', ');
+  return data.Message || data.message || JSON.stringify(data);
+};
+
+// Each provider delivers one message:
+//   send({ from, to, subject, text, html, attachments }) resolves to { messageId }
+// where attachments are { filename, content, contentType }, and rejects when
+// the provider refused it or could not be reached.
+const providers = {
+  // Sends real mail through SendGrid's v3 Mail Send API
+  sendgrid: {
+    name: 'sendgrid',
+    apiKey: process.env.SENDGRID_API_KEY,
+
+    isEnabled() {
+      return !!this.apiKey;
+    },
+
+    async send({ from, to, subject, text, html, attachments = [] }) {
+      const content = [];
+      if (text) content.push({ type: 'text/plain', value: text });
+      if (html) content.push({ type: 'text/html', value: html });
+
+      const payload = {
+        personalizations: [{ to: [parseAddress(to)] }],
+        from: parseAddress(from),
+        subject,
+        content
+      };
+      if (attachments.length) {
+        payload.attachments = attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: toBase64(attachment.content),
+          type: attachment.contentType,
+          disposition: 'attachment'
+        }));
+      }
+
+      try {
+        const response = await axios.post('https://api.sendgrid.com/v3/mail/send', payload, {
+          headers: { Authorization: `Bearer ${this.apiKey}` },
+          timeout: REQUEST_TIMEOUT_MS
+        });
+        return { messageId: response.headers['x-message-id'] || null };
+      } catch (error) {
+        throw new Error(`SendGrid: ${providerMessage(error)}`);
+      }
+    }
+  },
+
+  // Sends real mail through Postmark, on POSTMARK_MESSAGE_STREAM (default
+  // "outbound")
+  postmark: {
+    name: 'postmark',
+    serverToken: process.env.POSTMARK_SERVER_TOKEN,
+    messageStream: process.env.POSTMARK_MESSAGE_STREAM || 'outbound',
+
+    isEnabled() {
+      return !!this.serverToken;
+    },
+
+    async send({ from, to, subject, text, html, attachments = [] }) {
+      const payload = {
+        From: from,
+        To: to,
+        Subject: subject,
+        TextBody: text,
+        HtmlBody: html,
+        MessageStream: this.messageStream
+      };
+      if (attachments.length) {
+        payload.Attachments = attachments.map(attachment => ({
+          Name: attachment.filename,
+          Content: toBase64(attachment.content),
+          ContentType: attachment.contentType
+        }));
+      }
+
+      try {
+        const response = await axios.post('https://api.postmarkapp.com/email', payload, {
+          headers: {
+            'Accept': 'application/json',
+            'X-Postmark-Server-Token': this.serverToken
+          },
+          timeout: REQUEST_TIMEOUT_MS
+        });
+        return { messageId: response.data.MessageID || null };
+      } catch (error) {
+        throw new Error(`Postmark: ${providerMessage(error)}`);
+      }
+    }
+  },
+
+  // Logs who a message is for and sends nothing. The fallback outside
+  // production; bodies carry sign-in links, so they are never logged.
+  console: {
+    name: 'console',
+
+    isEnabled() {
+      return process.env.NODE_ENV !== 'production';
+    },
+
+    async send({ to, subject, attachments = [] }) {
+      console.log(`Email to ${to}: ${subject}`);
+      attachments.forEach(attachment => console.log(`Attachment: ${attachment.filename}`));
+      return { messageId: `console-${Date.now()}` };
+    }
+  }
+};
+
+// Add or replace a provider, e.g. SES or an SMTP relay
+exports.registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+exports.getProvider = name => providers[name];
+
+exports.getProviderNames = () => Object.keys(providers);
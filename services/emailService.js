@@ -0,0 +1,53 @@
+const emailProviders = require('./emailProviders');
+
+// Email delivery through the configured provider (see emailProviders)
+class EmailService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.EMAIL_FROM || 'no-reply@empedia.app';
+  }
+
+  // transport: { name, send({ from, to, subject, text, html, attachments }) }
+  // where attachments are { filename, content, contentType }. Replaces the
+  // configured provider, e.g. in tests; pass null to go back to it.
+  setTransport(transport) {
+    this.transport = transport || null;
+  }
+
+  // The transport set with setTransport(), else the provider named by
+  // EMAIL_PROVIDER, else the first configured one (the console outside
+  // production)
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    const name = process.env.EMAIL_PROVIDER;
+    const provider = name
+      ? emailProviders.getProvider(name)
+      : emailProviders.getProviderNames().map(candidate => emailProviders.getProvider(candidate)).find(candidate => candidate.isEnabled());
+    if (!provider || !provider.isEnabled()) {
+      throw new Error(name ? `Email provider "${name}" is not available` : 'No email provider is configured');
+    }
+    return provider;
+  }
+
+  async sendEmail({ to, subject, text, html, attachments }) {
+    try {
+      const data = await this.getTransport().send({ from: this.from, to, subject, text, html, attachments });
+
+      return {
+        success: true,
+        message: 'Email sent successfully',
+        data
+      };
+    } catch (error) {
+      console.error('Email Service Error:', error.message);
+      return {
+        success: false,
+        message: 'Failed to send email',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new EmailService();
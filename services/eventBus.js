@@ -0,0 +1,47 @@
+const EventEmitter = require('events');
+
+// Domain events emitted by controllers
+const events = {
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  BOOKING_RESCHEDULED: 'booking.rescheduled',
+  BOOKING_REMINDER: 'booking.reminder',
+  BOOKING_EXPIRED: 'booking.expired',
+  PAYMENT_FAILED: 'payment.failed',
+  JOB_APPLICATION_STATUS_CHANGED: 'jobApplication.statusChanged',
+  INTERVIEW_SCHEDULED: 'jobApplication.interviewScheduled',
+  INTERVIEW_CANCELLED: 'jobApplication.interviewCancelled',
+  MENTOR_APPLICATION_APPROVED: 'mentorApplication.approved',
+  MENTOR_APPLICATION_REJECTED: 'mentorApplication.rejected',
+  COURSE_CREATION_APPROVED: 'courseCreation.approved',
+  COURSE_CREATION_REJECTED: 'courseCreation.rejected'
+};
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+  }
+
+  // Emit after the current request has finished its own work, so a slow or
+  // failing subscriber can never delay or break the response
+  publish(event, payload = {}) {
+    setImmediate(() => {
+      this.emit(event, { ...payload, event, occurredAt: new Date() });
+    });
+  }
+
+  // Register an async handler whose failures are logged rather than thrown
+  subscribe(event, handler) {
+    this.on(event, async (payload) => {
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Event handler error (${event}):`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = new EventBus();
+module.exports.Events = events;
@@ -0,0 +1,43 @@
+const eventBus = require('./eventBus');
+const templates = require('./notificationTemplates');
+const notificationChannels = require('./notificationChannels');
+const User = require('../models/User');
+
+// Deliver one event to one user on every channel they can receive on
+const deliverToUser = async (user, template, payload) => {
+  const content = template.render(payload, user);
+
+  await Promise.all(template.channels.map(async (channelName) => {
+    const channel = notificationChannels.getChannel(channelName);
+    if (!channel || !channel.isEnabledFor(user)) return;
+
+    try {
+      await channel.deliver(user, content);
+    } catch (error) {
+      console.error(`Notification delivery error (${payload.event} via ${channelName}):`, error.message);
+    }
+  }));
+};
+
+// Notify every recipient of an event
+const handleEvent = async (template, payload) => {
+  if (template.when && !template.when(payload)) return;
+
+  const recipientIds = [...new Set(
+    template.recipients(payload).filter(Boolean).map(id => id.toString())
+  )];
+  if (!recipientIds.length) return;
+
+  const users = await User.find({ _id: { $in: recipientIds }, isActive: true })
+    .select('name email phone phoneVerified preferences')
+    .lean();
+
+  await Promise.all(users.map(user => deliverToUser(user, template, payload)));
+};
+
+// Subscribe the notifier to every event that has a template
+exports.register = () => {
+  Object.entries(templates).forEach(([event, template]) => {
+    eventBus.subscribe(event, payload => handleEvent(template, payload));
+  });
+};
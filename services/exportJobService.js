@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const ExportJob = require('../models/ExportJob');
+const exportService = require('./exportService');
+const reportService = require('./reportService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often the worker looks for queued jobs and expired files
+const POLL_INTERVAL_MS = 5000;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// A worker processing a job touches its heartbeat this often, even while a
+// slow query or report is producing no progress
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// A job still `processing` with no heartbeat for this long is assumed to
+// belong to a worker that died and is queued again
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Queues exports and builds them in the background. Jobs are claimed with an
+// atomic update, so any number of app instances can run the worker; they
+// must share EXPORT_PATH for downloads to work from every instance.
+class ExportJobService {
+  constructor() {
+    this.exportDir = path.resolve(process.env.EXPORT_PATH || './exports');
+    this.retentionHours = Number(process.env.EXPORT_RETENTION_HOURS) || 24;
+    this.timer = null;
+    this.running = false;
+    this.lastCleanup = 0;
+  }
+
+  getFilePath(fileName) {
+    return path.join(this.exportDir, fileName);
+  }
+
+  // Queue an export of records through exportService
+  async queueDataExport({ type, format, dateRange, filters = {}, requestedBy }) {
+    exportService.getFormat(format);
+    exportService.buildQuery(type, { dateRange, filters });
+
+    return ExportJob.create({
+      kind: 'data',
+      type,
+      format,
+      params: { dateRange, filters },
+      containsPersonalData: exportService.containsPersonalData(type),
+      requestedBy
+    });
+  }
+
+  // Queue one of the admin reports
+  async queueReport({ type, format, startDate, endDate, granularity, requestedBy }) {
+    reportService.getFormat(format);
+
+    return ExportJob.create({
+      kind: 'report',
+      type,
+      format,
+      params: { startDate, endDate, granularity },
+      containsPersonalData: reportService.containsPersonalData(type),
+      requestedBy
+    });
+  }
+
+  getJobs({ page = 1, limit = 20, status, kind, requestedBy } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+    if (requestedBy) filter.requestedBy = requestedBy;
+
+    return Promise.all([
+      ExportJob.find(filter)
+        .select('-downloads')
+        .populate('requestedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      ExportJob.countDocuments(filter)
+    ]);
+  }
+
+  // Open the generated file of a job for download and record who fetched it
+  async openDownload(jobId, { downloadedBy, ipAddress }) {
+    const job = await ExportJob.findById(jobId).select('+filePath');
+    if (!job) {
+      throw httpError(404, 'Export job not found');
+    }
+    if (job.status === 'expired' || (job.status === 'completed' && !job.isDownloadable)) {
+      throw httpError(410, 'Export file has expired');
+    }
+    if (job.status !== 'completed') {
+      throw httpError(409, `Export is not ready (status: ${job.status})`);
+    }
+
+    try {
+      await fs.promises.access(job.filePath);
+    } catch (error) {
+      throw httpError(410, 'Export file is no longer available');
+    }
+
+    await ExportJob.updateOne(
+      { _id: job._id },
+      { $push: { downloads: { downloadedBy, ipAddress } } }
+    );
+
+    return { job, stream: fs.createReadStream(job.filePath) };
+  }
+
+  // Take the oldest queued job, if any, so no other worker picks it up
+  claimNext() {
+    return ExportJob.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'processing', startedAt: new Date(), heartbeatAt: new Date(), error: null },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async process(job) {
+    const format = job.kind === 'data' ? exportService.getFormat(job.format) : reportService.getFormat(job.format);
+    const fileName = job.kind === 'data'
+      ? exportService.getFileName(job.type, job.format)
+      : reportService.getFileName(job.type, job.format);
+    const filePath = this.getFilePath(`${job._id}-${fileName}`);
+
+    const heartbeat = setInterval(() => {
+      ExportJob.updateOne({ _id: job._id, status: 'processing' }, { heartbeatAt: new Date() })
+        .catch(error => console.error('Export heartbeat failed:', error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+
+      let processed;
+      if (job.kind === 'data') {
+        processed = await this.writeDataExport(job, filePath);
+      } else {
+        const report = await reportService.generate(job.type, job.params);
+        await fs.promises.writeFile(filePath, reportService.render(report, job.format));
+        processed = 1;
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      const completedAt = new Date();
+
+      await ExportJob.updateOne({ _id: job._id }, {
+        status: 'completed',
+        fileName,
+        filePath,
+        contentType: format.contentType,
+        size,
+        'progress.processed': processed,
+        'progress.total': processed,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + this.retentionHours * HOUR_MS)
+      });
+    } catch (error) {
+      console.error(`Export job ${job._id} failed:`, error.message);
+      await fs.promises.rm(filePath, { force: true });
+      await ExportJob.updateOne({ _id: job._id }, { status: 'failed', error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async writeDataExport(job, filePath) {
+    const query = exportService.buildQuery(job.type, job.params || {});
+    const total = await exportService.countRows(job.type, query);
+    await ExportJob.updateOne({ _id: job._id }, { 'progress.total': total });
+
+    const output = fs.createWriteStream(filePath);
+    const failed = new Promise((resolve, reject) => output.once('error', reject));
+
+    return Promise.race([
+      exportService.exportToStream(job.type, job.format, output, {
+        query,
+        onProgress: (processed) => {
+          ExportJob.updateOne({ _id: job._id }, { 'progress.processed': processed, heartbeatAt: new Date() })
+            .catch(error => console.error('Export progress update failed:', error.message));
+        }
+      }),
+      failed
+    ]);
+  }
+
+  // Put jobs orphaned by a crashed worker back in the queue
+  requeueStale() {
+    const cutoff = new Date(Date.now() - STALE_JOB_MS);
+    return ExportJob.updateMany(
+      // Jobs claimed before heartbeats were recorded have none
+      { status: 'processing', $or: [{ heartbeatAt: { $lt: cutoff } }, { heartbeatAt: null }] },
+      { status: 'queued', 'progress.processed': 0 }
+    );
+  }
+
+  // Delete files past their retention window
+  async cleanupExpired() {
+    const jobs = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } }).select('+filePath');
+
+    for (const job of jobs) {
+      if (job.filePath) {
+        await fs.promises.rm(job.filePath, { force: true });
+      }
+      await ExportJob.updateOne({ _id: job._id }, { status: 'expired', $unset: { filePath: 1 } });
+    }
+
+    return jobs.length;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      if (Date.now() - this.lastCleanup >= CLEANUP_INTERVAL_MS) {
+        this.lastCleanup = Date.now();
+        await this.requeueStale();
+        await this.cleanupExpired();
+      }
+
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.process(job);
+      }
+    } catch (error) {
+      console.error('Export worker error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Start polling for queued jobs. Safe to call more than once.
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ExportJobService();
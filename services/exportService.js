@@ -0,0 +1,465 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const MentorApplication = require('../models/MentorApplication');
+const Job = require('../models/Job');
+const Booking = require('../models/Booking');
+const Company = require('../models/Company');
+const Course = require('../models/Course');
+const JobApplication = require('../models/JobApplication');
+
+const CURSOR_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Column `type` drives cell formatting: string, number, currency, date, boolean.
+// `width` is in characters for XLSX and a relative weight for PDF tables.
+// `personalData` marks exports that contain names or contact details of users.
+const EXPORT_TYPES = {
+  users: {
+    title: 'Users',
+    personalData: true,
+    model: User,
+    select: 'name email phone roles isActive isEmailVerified lastLogin createdAt',
+    filterFields: ['isActive', 'isEmailVerified', 'roles'],
+    columns: [
+      { header: 'Name', key: 'name', width: 24 },
+      { header: 'Email', key: 'email', width: 30 },
+      { header: 'Phone', key: 'phone', width: 16 },
+      { header: 'Roles', key: 'roles', width: 20, value: doc => (doc.roles || []).join(', ') },
+      { header: 'Active', key: 'isActive', type: 'boolean', width: 8 },
+      { header: 'Email Verified', key: 'isEmailVerified', type: 'boolean', width: 14 },
+      { header: 'Last Login', key: 'lastLogin', type: 'date', width: 18 },
+      { header: 'Joined', key: 'createdAt', type: 'date', width: 18 }
+    ]
+  },
+  mentors: {
+    title: 'Mentor Applications',
+    personalData: true,
+    model: MentorApplication,
+    select: 'applicantId currentPosition company experienceYears expertise status submittedAt reviewedAt createdAt',
+    populate: [{ path: 'applicantId', select: 'name email' }],
+    filterFields: ['status'],
+    columns: [
+      { header: 'Applicant', key: 'applicant', width: 24, value: doc => doc.applicantId?.name },
+      { header: 'Email', key: 'email', width: 30, value: doc => doc.applicantId?.email },
+      { header: 'Position', key: 'currentPosition', width: 24 },
+      { header: 'Company', key: 'company', width: 22 },
+      { header: 'Experience (yrs)', key: 'experienceYears', type: 'number', width: 14 },
+      { header: 'Expertise', key: 'expertise', width: 30, value: doc => (doc.expertise || []).join(', ') },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Submitted', key: 'submittedAt', type: 'date', width: 18 },
+      { header: 'Reviewed', key: 'reviewedAt', type: 'date', width: 18 }
+    ]
+  },
+  jobs: {
+    title: 'Jobs',
+    model: Job,
+    select: 'position company location jobType experienceLevel salaryRange budget status isRemote isUrgent views applicants postedBy postedDate createdAt',
+    filterFields: ['status', 'jobType', 'experienceLevel', 'isRemote', 'isUrgent'],
+    columns: [
+      { header: 'Position', key: 'position', width: 28 },
+      { header: 'Company', key: 'company', width: 22 },
+      { header: 'Location', key: 'location', width: 18 },
+      { header: 'Type', key: 'jobType', width: 12 },
+      { header: 'Level', key: 'experienceLevel', width: 12 },
+      { header: 'Salary Range', key: 'salaryRange', width: 16 },
+      { header: 'Budget', key: 'budget', type: 'currency', width: 12 },
+      { header: 'Status', key: 'status', width: 10 },
+      { header: 'Remote', key: 'isRemote', type: 'boolean', width: 8 },
+      { header: 'Urgent', key: 'isUrgent', type: 'boolean', width: 8 },
+      { header: 'Views', key: 'views', type: 'number', width: 8 },
+      { header: 'Applicants', key: 'applicants', type: 'number', width: 10, value: doc => (doc.applicants || []).length },
+      { header: 'Posted By', key: 'postedBy', width: 22, value: doc => doc.postedBy?.name },
+      { header: 'Posted', key: 'postedDate', type: 'date', width: 18 }
+    ]
+  },
+  bookings: {
+    title: 'Bookings',
+    personalData: true,
+    model: Booking,
+    select: 'userId mentorId sessionType duration date time status price rating createdAt',
+    filterFields: ['status', 'sessionType'],
+    columns: [
+      { header: 'Mentee', key: 'mentee', width: 22, value: doc => doc.userId?.name },
+      { header: 'Mentee Email', key: 'menteeEmail', width: 28, value: doc => doc.userId?.email },
+      { header: 'Mentor', key: 'mentor', width: 22, value: doc => doc.mentorId?.name },
+      { header: 'Session Type', key: 'sessionType', width: 18 },
+      { header: 'Duration', key: 'duration', width: 10 },
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Time', key: 'time', width: 8 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Price', key: 'price', type: 'currency', width: 12 },
+      { header: 'Rating', key: 'rating', type: 'number', width: 8 },
+      { header: 'Created', key: 'createdAt', type: 'date', width: 18 }
+    ]
+  },
+  companies: {
+    title: 'Companies',
+    model: Company,
+    select: 'name industry size headquarters contactEmail isVerified verificationStatus totalJobs activeJobs isActive createdAt',
+    filterFields: ['isVerified', 'verificationStatus', 'isActive', 'industry'],
+    columns: [
+      { header: 'Name', key: 'name', width: 26 },
+      { header: 'Industry', key: 'industry', width: 18 },
+      { header: 'Size', key: 'size', width: 10 },
+      { header: 'Headquarters', key: 'headquarters', width: 22 },
+      { header: 'Contact Email', key: 'contactEmail', width: 28 },
+      { header: 'Verified', key: 'isVerified', type: 'boolean', width: 9 },
+      { header: 'Verification', key: 'verificationStatus', width: 12 },
+      { header: 'Total Jobs', key: 'totalJobs', type: 'number', width: 10 },
+      { header: 'Active Jobs', key: 'activeJobs', type: 'number', width: 10 },
+      { header: 'Active', key: 'isActive', type: 'boolean', width: 8 },
+      { header: 'Created', key: 'createdAt', type: 'date', width: 18 }
+    ]
+  },
+  courses: {
+    title: 'Courses',
+    model: Course,
+    select: 'title instructor category level price isFree rating reviewCount enrolledUsers.user createdAt',
+    filterFields: ['category', 'level', 'isFree'],
+    columns: [
+      { header: 'Title', key: 'title', width: 30 },
+      { header: 'Instructor', key: 'instructor', width: 22 },
+      { header: 'Category', key: 'category', width: 16 },
+      { header: 'Level', key: 'level', width: 12 },
+      { header: 'Price', key: 'price', type: 'currency', width: 10 },
+      { header: 'Free', key: 'isFree', type: 'boolean', width: 7 },
+      { header: 'Rating', key: 'rating', type: 'number', width: 8 },
+      { header: 'Reviews', key: 'reviewCount', type: 'number', width: 8 },
+      { header: 'Enrolled', key: 'enrolled', type: 'number', width: 9, value: doc => (doc.enrolledUsers || []).length },
+      { header: 'Created', key: 'createdAt', type: 'date', width: 18 }
+    ]
+  },
+  applications: {
+    title: 'Job Applications',
+    personalData: true,
+    model: JobApplication,
+    select: 'applicantName applicantEmail jobTitle company status appliedAt reviewedAt interviewDate',
+    filterFields: ['status', 'jobId', 'company'],
+    dateField: 'appliedAt',
+    columns: [
+      { header: 'Applicant', key: 'applicantName', width: 24 },
+      { header: 'Email', key: 'applicantEmail', width: 28 },
+      { header: 'Job', key: 'jobTitle', width: 26 },
+      { header: 'Company', key: 'company', width: 22 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Applied', key: 'appliedAt', type: 'date', width: 18 },
+      { header: 'Reviewed', key: 'reviewedAt', type: 'date', width: 18 },
+      { header: 'Interview', key: 'interviewDate', type: 'date', width: 18 }
+    ]
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Respect backpressure so large exports are not buffered in memory. Rejects if
+// the output goes away (e.g. the client disconnects) instead of waiting forever.
+const waitForDrain = (stream) => {
+  if (!stream.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export output closed before completion'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+// Spreadsheet apps run text starting with these as a formula; a leading
+// apostrophe keeps user-entered values like "=HYPERLINK(...)" as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = value => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ExportService {
+  getTypes() {
+    return Object.keys(EXPORT_TYPES);
+  }
+
+  getFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  getFormat(format) {
+    const definition = EXPORT_FORMATS[format];
+    if (!definition) {
+      throw badRequest(`Invalid format. Valid formats: ${this.getFormats().join(', ')}`);
+    }
+    return definition;
+  }
+
+  getDefinition(type) {
+    const definition = EXPORT_TYPES[type];
+    if (!definition) {
+      throw badRequest(`Invalid export type. Valid types: ${this.getTypes().join(', ')}`);
+    }
+    return definition;
+  }
+
+  containsPersonalData(type) {
+    return !!this.getDefinition(type).personalData;
+  }
+
+  // Build the Mongo filter from a date range and whitelisted field filters
+  buildQuery(type, { dateRange, filters = {} } = {}) {
+    const definition = this.getDefinition(type);
+    const dateField = definition.dateField || 'createdAt';
+    const query = {};
+
+    if (dateRange && (dateRange.startDate || dateRange.endDate)) {
+      query[dateField] = {};
+      if (dateRange.startDate) query[dateField].$gte = new Date(dateRange.startDate);
+      if (dateRange.endDate) query[dateField].$lte = new Date(dateRange.endDate);
+    }
+
+    Object.entries(filters).forEach(([field, value]) => {
+      if (!definition.filterFields.includes(field)) {
+        throw badRequest(`Cannot filter ${type} by ${field}. Allowed filters: ${definition.filterFields.join(', ')}`);
+      }
+      if (value !== null && typeof value === 'object') {
+        throw badRequest(`Filter ${field} must be a plain value`);
+      }
+      query[field] = value;
+    });
+
+    return query;
+  }
+
+  countRows(type, query) {
+    return this.getDefinition(type).model.countDocuments(query);
+  }
+
+  // Download file name, e.g. users-export-1700000000000.xlsx
+  getFileName(type, format) {
+    return `${type}-export-${Date.now()}.${this.getFormat(format).extension}`;
+  }
+
+  createCursor(definition, query) {
+    let find = definition.model.find(query).select(definition.select).sort({ _id: 1 });
+    (definition.populate || []).forEach(populate => {
+      find = find.populate(populate);
+    });
+    return find.lean().cursor({ batchSize: CURSOR_BATCH_SIZE });
+  }
+
+  // Raw, typed value of a column for one document
+  getValue(column, doc) {
+    const value = column.value ? column.value(doc) : doc[column.key];
+    if (value === undefined || value === null || value === '') return null;
+
+    switch (column.type) {
+      case 'number':
+      case 'currency':
+        return Number(value);
+      case 'date':
+        return value instanceof Date ? value : new Date(value);
+      case 'boolean':
+        return Boolean(value);
+      default:
+        return String(value);
+    }
+  }
+
+  // Text rendering of a typed value for CSV and PDF output
+  formatValue(column, value) {
+    if (value === null) return '';
+
+    switch (column.type) {
+      case 'currency':
+        return value.toFixed(2);
+      case 'date':
+        return Number.isNaN(value.getTime()) ? '' : value.toISOString().replace('T', ' ').slice(0, 16);
+      case 'boolean':
+        return value ? 'Yes' : 'No';
+      default:
+        return String(value);
+    }
+  }
+
+  // Stream an export of `type` as `format` into a writable stream. Resolves with
+  // the number of rows written once the output has been fully flushed.
+  async exportToStream(type, format, output, { query = {}, onProgress } = {}) {
+    const definition = this.getDefinition(type);
+    this.getFormat(format);
+
+    const cursor = this.createCursor(definition, query);
+    const writers = {
+      csv: this.writeCsv,
+      excel: this.writeXlsx,
+      pdf: this.writePdf
+    };
+
+    try {
+      return await writers[format].call(this, definition, cursor, output, onProgress);
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  async writeCsv(definition, cursor, output, onProgress) {
+    const { columns } = definition;
+    let rows = 0;
+
+    output.write(columns.map(column => escapeCsv(column.header)).join(',') + '\n');
+
+    for await (const doc of cursor) {
+      const line = columns.map(column => escapeCsv(this.formatValue(column, neutralizeFormula(this.getValue(column, doc))))).join(',');
+      output.write(line + '\n');
+      rows++;
+      if (onProgress && rows % CURSOR_BATCH_SIZE === 0) onProgress(rows);
+      await waitForDrain(output);
+    }
+
+    output.end();
+    await once(output, 'finish');
+    return rows;
+  }
+
+  async writeXlsx(definition, cursor, output, onProgress) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: true,
+      useSharedStrings: false
+    });
+    workbook.creator = 'Empedia Admin';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(definition.title, {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = definition.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width,
+      style: column.type === 'currency'
+        ? { numFmt: '#,##0.00' }
+        : column.type === 'date'
+          ? { numFmt: 'yyyy-mm-dd hh:mm' }
+          : {}
+    }));
+
+    const header = sheet.getRow(1);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+    header.alignment = { vertical: 'middle' };
+    header.commit();
+
+    let rows = 0;
+    for await (const doc of cursor) {
+      const values = {};
+      definition.columns.forEach(column => {
+        values[column.key] = neutralizeFormula(this.getValue(column, doc));
+      });
+      sheet.addRow(values).commit();
+      rows++;
+      if (onProgress && rows % CURSOR_BATCH_SIZE === 0) onProgress(rows);
+      await waitForDrain(output);
+    }
+
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: definition.columns.length } };
+    sheet.commit();
+    await workbook.commit();
+    return rows;
+  }
+
+  async writePdf(definition, cursor, output, onProgress) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    doc.pipe(output);
+
+    const { columns } = definition;
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = columns.map(column => (column.width / totalWeight) * tableWidth);
+    const rowHeight = 16;
+    const fontSize = 7;
+    let page = 1;
+    let y;
+
+    const drawRow = (cells, options = {}) => {
+      if (options.fill) {
+        doc.rect(left, y, tableWidth, rowHeight).fill(options.fill);
+      }
+      doc.fillColor(options.color || '#000000').font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + 2, y + 4, {
+          width: widths[index] - 4,
+          height: rowHeight - 4,
+          lineBreak: false,
+          ellipsis: true
+        });
+        x += widths[index];
+      });
+      y += rowHeight;
+    };
+
+    const drawFooter = () => {
+      const bottom = doc.page.height - doc.page.margins.bottom;
+      doc.fillColor('#666666').font('Helvetica').fontSize(8)
+        .text(`Page ${page}`, left, bottom - 10, { width: tableWidth, align: 'right', lineBreak: false });
+    };
+
+    const startPage = (isFirst) => {
+      if (!isFirst) {
+        drawFooter();
+        doc.addPage();
+        page++;
+      }
+      y = doc.page.margins.top;
+      if (isFirst) {
+        doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14).text(`${definition.title} Export`, left, y);
+        doc.font('Helvetica').fontSize(8).fillColor('#666666')
+          .text(`Generated ${new Date().toISOString().replace('T', ' ').slice(0, 19)} UTC`, left, y + 18);
+        y += 36;
+      }
+      drawRow(columns.map(column => column.header), { bold: true, fill: '#1F4E79', color: '#FFFFFF' });
+    };
+
+    const pageBottom = doc.page.height - doc.page.margins.bottom - 16;
+    startPage(true);
+
+    let rows = 0;
+    for await (const record of cursor) {
+      if (y + rowHeight > pageBottom) {
+        startPage(false);
+      }
+      const cells = columns.map(column => this.formatValue(column, this.getValue(column, record)));
+      drawRow(cells, rows % 2 ? { fill: '#F2F2F2' } : {});
+      rows++;
+      if (onProgress && rows % CURSOR_BATCH_SIZE === 0) onProgress(rows);
+      await waitForDrain(output);
+    }
+
+    drawFooter();
+    doc.end();
+    await once(output, 'finish');
+    return rows;
+  }
+}
+
+module.exports = new ExportService();
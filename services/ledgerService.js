@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const { LedgerEntryStatuses } = require('../models/LedgerEntry');
+const { PayoutStatuses } = require('../models/Payout');
+const settingsService = require('./settingsService');
+const paymentService = require('./paymentService');
+const reportService = require('./reportService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Mentor earnings. Completing a paid session credits the mentor with what
+// was collected less the platform commission (platformCommissionPercent).
+// Credits are held for payoutHoldDays in case of disputes, then become
+// payable and are swept into payout batches by an admin.
+class LedgerService {
+  // Credit the mentor for a completed booking. Free and unpaid sessions earn
+  // nothing; completing a booking twice credits it once.
+  async creditBooking(booking) {
+    if (!booking.paymentId) return null;
+
+    const payment = await Payment.findById(booking.paymentId);
+    if (!payment || !payment.isSettled) return null;
+
+    const grossAmount = roundMoney(payment.amount - payment.amountRefunded);
+    if (grossAmount <= 0) return null;
+
+    const [commissionPercent, holdDays] = await Promise.all([
+      settingsService.getValue('platformCommissionPercent'),
+      settingsService.getValue('payoutHoldDays')
+    ]);
+    const commissionAmount = roundMoney(grossAmount * commissionPercent / 100);
+    const completedAt = booking.completedAt || new Date();
+
+    try {
+      return await LedgerEntry.create({
+        mentorId: payment.mentorId,
+        bookingId: booking._id,
+        paymentId: payment._id,
+        sessionType: booking.sessionType,
+        sessionDate: booking.startAt,
+        grossAmount,
+        commissionPercent,
+        commissionAmount,
+        amount: roundMoney(grossAmount - commissionAmount),
+        currency: payment.currency,
+        availableAt: new Date(completedAt.getTime() + holdDays * DAY_MS)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ bookingId: booking._id });
+      }
+      throw error;
+    }
+  }
+
+  // A mentor's totals per currency: held in the dispute window, payable,
+  // in an unpaid batch, and paid out
+  async getBalances(mentorId, now = new Date()) {
+    const sumWhen = condition => ({ $sum: { $cond: [condition, '$amount', 0] } });
+    const isPending = { $eq: ['$status', LedgerEntryStatuses.PENDING] };
+
+    const balances = await LedgerEntry.aggregate([
+      { $match: { mentorId: new mongoose.Types.ObjectId(mentorId) } },
+      {
+        $group: {
+          _id: '$currency',
+          sessions: { $sum: 1 },
+          grossAmount: { $sum: '$grossAmount' },
+          commissionAmount: { $sum: '$commissionAmount' },
+          totalEarned: { $sum: '$amount' },
+          held: sumWhen({ $and: [isPending, { $gt: ['$availableAt', now] }] }),
+          payable: sumWhen({ $and: [isPending, { $lte: ['$availableAt', now] }] }),
+          inPayout: sumWhen({ $eq: ['$status', LedgerEntryStatuses.BATCHED] }),
+          paid: sumWhen({ $eq: ['$status', LedgerEntryStatuses.PAID] })
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return balances.map(({ _id, sessions, ...totals }) => ({
+      currency: _id,
+      sessions,
+      ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundMoney(value)]))
+    }));
+  }
+
+  // Per-session credits for a mentor; resolves to [entries, total]
+  getEntries(mentorId, { status, page = 1, limit = 20 } = {}) {
+    const query = { mentorId };
+    if (status) query.status = status;
+
+    return Promise.all([
+      LedgerEntry.find(query)
+        .populate('bookingId', 'date time timezone sessionType topic status')
+        .populate('payoutId', 'reference status paidAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      LedgerEntry.countDocuments(query)
+    ]);
+  }
+
+  // Payable totals per mentor, largest first
+  async getPayableBalances({ currency = paymentService.currency, minimumAmount = 0, cutoff = new Date() } = {}) {
+    const balances = await LedgerEntry.aggregate([
+      {
+        $match: {
+          status: LedgerEntryStatuses.PENDING,
+          availableAt: { $lte: cutoff },
+          currency: currency.toUpperCase()
+        }
+      },
+      {
+        $group: {
+          _id: '$mentorId',
+          amount: { $sum: '$amount' },
+          entryCount: { $sum: 1 },
+          oldestAvailableAt: { $min: '$availableAt' }
+        }
+      },
+      { $match: { amount: { $gte: minimumAmount, $gt: 0 } } },
+      { $sort: { amount: -1 } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, email: 1, phone: 1 } }],
+          as: 'mentor'
+        }
+      },
+      { $unwind: { path: '$mentor', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    return balances.map(({ _id, amount, ...rest }) => ({
+      mentorId: _id,
+      amount: roundMoney(amount),
+      currency: currency.toUpperCase(),
+      ...rest
+    }));
+  }
+
+  newReference(date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return `PO-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  // Sweep every payable balance (at least `minimumAmount`) into a new batch.
+  // Entries are claimed with a single conditional update, so concurrent
+  // batches can never include the same entry.
+  async createPayoutBatch({ currency = paymentService.currency, minimumAmount = 0, createdBy }) {
+    const cutoff = new Date();
+    const balances = await this.getPayableBalances({ currency, minimumAmount, cutoff });
+    if (!balances.length) {
+      throw httpError(400, 'There are no payable balances to pay out');
+    }
+
+    const payoutId = new mongoose.Types.ObjectId();
+    await LedgerEntry.updateMany(
+      {
+        mentorId: { $in: balances.map(balance => balance.mentorId) },
+        status: LedgerEntryStatuses.PENDING,
+        availableAt: { $lte: cutoff },
+        currency: currency.toUpperCase()
+      },
+      { $set: { status: LedgerEntryStatuses.BATCHED, payoutId } }
+    );
+
+    const claimed = await LedgerEntry.aggregate([
+      { $match: { payoutId } },
+      { $group: { _id: '$mentorId', amount: { $sum: '$amount' }, entryCount: { $sum: 1 } } },
+      { $sort: { amount: -1 } }
+    ]);
+    if (!claimed.length) {
+      throw httpError(409, 'Payable balances were taken by another payout; please try again');
+    }
+
+    const items = claimed.map(item => ({ mentorId: item._id, amount: roundMoney(item.amount), entryCount: item.entryCount }));
+    return Payout.create({
+      _id: payoutId,
+      reference: this.newReference(cutoff),
+      currency: currency.toUpperCase(),
+      cutoff,
+      items,
+      totalAmount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+      createdBy
+    });
+  }
+
+  // Admin listing; resolves to [payouts, total]
+  getPayouts({ status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+
+    return Promise.all([
+      Payout.find(query)
+        .select('-items')
+        .populate('createdBy', 'name email')
+        .populate('paidBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Payout.countDocuments(query)
+    ]);
+  }
+
+  async getPayout(payoutId) {
+    const payout = await Payout.findById(payoutId)
+      .populate('items.mentorId', 'name email phone')
+      .populate('createdBy', 'name email')
+      .populate('paidBy', 'name email');
+    if (!payout) {
+      throw httpError(404, 'Payout not found');
+    }
+    return payout;
+  }
+
+  // One row per mentor, for the bank transfer
+  async exportPayoutCSV(payoutId) {
+    const payout = await this.getPayout(payoutId);
+    const rows = payout.items.map(item => ({
+      reference: payout.reference,
+      mentorId: item.mentorId ? String(item.mentorId._id) : '',
+      mentorName: item.mentorId ? item.mentorId.name : '',
+      mentorEmail: item.mentorId ? item.mentorId.email : '',
+      mentorPhone: item.mentorId ? item.mentorId.phone : '',
+      amount: item.amount.toFixed(2),
+      currency: payout.currency,
+      sessions: item.entryCount
+    }));
+
+    return {
+      fileName: `payout-${payout.reference}.csv`,
+      csv: reportService.toCSV(rows)
+    };
+  }
+
+  async markPaid(payoutId, { paidBy, paymentReference, notes }) {
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: PayoutStatuses.GENERATED },
+      {
+        $set: {
+          status: PayoutStatuses.PAID,
+          paidAt: new Date(),
+          paidBy,
+          paymentReference: paymentReference || null,
+          ...(notes !== undefined && { notes })
+        }
+      },
+      { new: true }
+    );
+
+    if (!payout) {
+      const exists = await Payout.exists({ _id: payoutId });
+      throw exists ? httpError(409, 'Payout has already been marked paid') : httpError(404, 'Payout not found');
+    }
+
+    await LedgerEntry.updateMany(
+      { payoutId: payout._id, status: LedgerEntryStatuses.BATCHED },
+      { $set: { status: LedgerEntryStatuses.PAID } }
+    );
+
+    return payout;
+  }
+
+  // A mentor's share of each batch they were included in
+  async getMentorPayouts(mentorId) {
+    const payouts = await Payout.find({ 'items.mentorId': mentorId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return payouts.map(payout => {
+      const item = payout.items.find(candidate => String(candidate.mentorId) === String(mentorId));
+      return {
+        _id: payout._id,
+        reference: payout.reference,
+        status: payout.status,
+        currency: payout.currency,
+        amount: item.amount,
+        sessions: item.entryCount,
+        createdAt: payout.createdAt,
+        paidAt: payout.paidAt,
+        paymentReference: payout.paymentReference
+      };
+    });
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+const trimSlash = url => url.replace(/\/+$/, '');
+
+// Each provider creates a room for a booking and can revoke it again.
+// createRoom() resolves to { roomId, url }; revokeRoom() takes the roomId.
+const providers = {
+  // Jitsi Meet rooms exist as soon as someone opens their URL, so a long
+  // random room name is all a link needs and no account is required. Point
+  // JITSI_BASE_URL at a self-hosted server to keep calls in-house.
+  jitsi: {
+    name: 'jitsi',
+    baseUrl: trimSlash(process.env.JITSI_BASE_URL || 'https://meet.jit.si'),
+
+    isEnabled() {
+      return true;
+    },
+
+    async createRoom() {
+      const roomId = `Empedia-${crypto.randomBytes(16).toString('hex')}`;
+      return { roomId, url: `${this.baseUrl}/${roomId}` };
+    },
+
+    // Nothing to tear down: once the booking forgets the room name nobody
+    // can find the room again
+    async revokeRoom() {}
+  }
+};
+
+// Add or replace a provider, e.g. Zoom or Google Meet
+exports.registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+exports.getProvider = name => providers[name];
+
+exports.getProviderNames = () => Object.keys(providers);
@@ -0,0 +1,131 @@
+const Booking = require('../models/Booking');
+const { BookingStatuses, BookingPaymentStatuses, SessionTypes } = require('../models/Booking');
+const meetingProviders = require('./meetingProviders');
+
+const MINUTE_MS = 60 * 1000;
+
+// Session types held over video
+const VIDEO_SESSION_TYPES = [SessionTypes.VIDEO_CALL, SessionTypes.MOCK_INTERVIEW];
+
+// Statuses of a session that is going ahead
+const JOINABLE_STATUSES = [BookingStatuses.CONFIRMED, BookingStatuses.RESCHEDULED];
+
+const MEETING_FIELDS = '+meetingLink +meetingProvider +meetingRoomId';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Accept either a populated document or a bare ObjectId
+const idOf = value => (value && value._id ? value._id : value);
+
+// Video rooms for booked sessions, through the configured provider
+// (MEETING_PROVIDER, default "jitsi"). Links are stored with select: false and
+// written with direct updates, so they never appear in booking responses; the
+// two participants fetch them from getAccess() shortly before the session.
+class MeetingService {
+  constructor() {
+    this.providerName = process.env.MEETING_PROVIDER || 'jitsi';
+    this.leadMinutes = parseInt(process.env.MEETING_LINK_LEAD_MINUTES) || 15;
+  }
+
+  getProvider(name = this.providerName) {
+    const provider = meetingProviders.getProvider(name);
+    if (!provider || !provider.isEnabled()) {
+      throw httpError(503, `Meeting provider "${name}" is not available`);
+    }
+    return provider;
+  }
+
+  isVideoSession(booking) {
+    return VIDEO_SESSION_TYPES.includes(booking.sessionType);
+  }
+
+  // Give a video session its room. Failures are logged rather than thrown so
+  // they never undo a confirmation; getAccess() creates the room on demand.
+  async createLink(booking) {
+    if (!this.isVideoSession(booking)) return null;
+
+    try {
+      const provider = this.getProvider();
+      const room = await provider.createRoom(booking);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { meetingLink: room.url, meetingProvider: provider.name, meetingRoomId: room.roomId } }
+      );
+      return room;
+    } catch (error) {
+      console.error(`Meeting link error (booking ${booking._id}):`, error.message);
+      return null;
+    }
+  }
+
+  // Revoke the booking's room, if it has one. Resolves to whether it had one.
+  async revokeLink(booking) {
+    const current = await Booking.findById(booking._id).select(MEETING_FIELDS).lean();
+    if (!current || !current.meetingRoomId) return false;
+
+    const provider = meetingProviders.getProvider(current.meetingProvider);
+    try {
+      if (provider) await provider.revokeRoom(current.meetingRoomId);
+    } catch (error) {
+      console.error(`Meeting revoke error (booking ${booking._id}):`, error.message);
+    }
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { meetingLink: null, meetingProvider: null, meetingRoomId: null } }
+    );
+    return true;
+  }
+
+  // A moved session gets a new room so the old link stops working
+  async regenerateLink(booking) {
+    const hadLink = await this.revokeLink(booking);
+    return hadLink ? this.createLink(booking) : null;
+  }
+
+  // The link for one of the booking's participants, from `leadMinutes`
+  // before the start until the session ends
+  async getAccess(booking, user, now = new Date()) {
+    const participants = [booking.populated('mentorId') || idOf(booking.mentorId), booking.populated('userId') || idOf(booking.userId)];
+    if (!participants.some(id => String(id) === String(user._id))) {
+      throw httpError(403, 'Only the mentor and mentee of this session can join it');
+    }
+    if (!this.isVideoSession(booking)) {
+      throw httpError(400, `${booking.sessionType} sessions do not have a video meeting`);
+    }
+    if (!JOINABLE_STATUSES.includes(booking.status) || booking.paymentStatus === BookingPaymentStatuses.UNPAID) {
+      throw httpError(409, 'The meeting link is only available for confirmed sessions');
+    }
+
+    const availableFrom = new Date(booking.startAt.getTime() - this.leadMinutes * MINUTE_MS);
+    if (now < availableFrom) {
+      throw httpError(403, `The meeting link will be available from ${availableFrom.toISOString()}`);
+    }
+    if (now > booking.endAt) {
+      throw httpError(410, 'This session has ended');
+    }
+
+    let meeting = await Booking.findById(booking._id).select(MEETING_FIELDS).lean();
+    if (!meeting.meetingLink) {
+      const room = await this.createLink(booking);
+      if (!room) {
+        throw httpError(503, 'The meeting room could not be created; please try again');
+      }
+      meeting = { meetingLink: room.url, meetingProvider: this.providerName };
+    }
+
+    return {
+      url: meeting.meetingLink,
+      provider: meeting.meetingProvider,
+      availableFrom,
+      startsAt: booking.startAt,
+      endsAt: booking.endAt
+    };
+  }
+}
+
+module.exports = new MeetingService();
@@ -0,0 +1,207 @@
+const ContentReport = require('../models/ContentReport');
+const { ReportContentTypes, ReportStatuses, ResolutionActions } = require('../models/ContentReport');
+const Job = require('../models/Job');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const settingsService = require('./settingsService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// How to find, hide, restore and delete each kind of reportable content
+const handlers = {
+  [ReportContentTypes.JOB]: {
+    async find(id) {
+      const job = await Job.findById(id).select('postedBy isHidden');
+      return job && { ownerId: idOf(job.postedBy), isHidden: job.isHidden };
+    },
+    setHidden: (id, isHidden) => Job.updateOne({ _id: id }, { isHidden }),
+    remove: (id) => Job.deleteOne({ _id: id })
+  },
+
+  [ReportContentTypes.COURSE]: {
+    async find(id) {
+      const course = await Course.findById(id).select('createdBy isHidden');
+      return course && { ownerId: idOf(course.createdBy), isHidden: course.isHidden };
+    },
+    setHidden: (id, isHidden) => Course.updateOne({ _id: id }, { isHidden }),
+    remove: (id) => Course.deleteOne({ _id: id })
+  },
+
+  // contentId is the mentor's user ID
+  [ReportContentTypes.MENTOR_PROFILE]: {
+    async find(id) {
+      const mentor = await User.findOne({ _id: id, roles: 'mentor' }).select('mentorProfile.isHidden');
+      return mentor && { ownerId: mentor._id, isHidden: !!mentor.mentorProfile?.isHidden };
+    },
+    setHidden: (id, isHidden) => User.updateOne({ _id: id }, { 'mentorProfile.isHidden': isHidden }),
+    remove() {
+      throw httpError(400, 'Mentor profiles cannot be deleted; hide the profile instead');
+    }
+  },
+
+  // contentId is the ID of an entry in a mentor's mentorProfile.reviews
+  [ReportContentTypes.REVIEW]: {
+    async find(id) {
+      const mentor = await User.findOne({ 'mentorProfile.reviews._id': id }).select('mentorProfile.reviews');
+      if (!mentor) return null;
+      const review = mentor.mentorProfile.reviews.id(id);
+      return { ownerId: review.userId, isHidden: !!review.isHidden };
+    },
+    setHidden: (id, isHidden) => User.updateOne(
+      { 'mentorProfile.reviews._id': id },
+      { 'mentorProfile.reviews.$.isHidden': isHidden }
+    ),
+    remove: (id) => User.updateOne(
+      { 'mentorProfile.reviews._id': id },
+      { $pull: { 'mentorProfile.reviews': { _id: id } } }
+    )
+  },
+
+  // contentId is the booking whose rating and feedback are reported
+  [ReportContentTypes.BOOKING_FEEDBACK]: {
+    async find(id) {
+      const booking = await Booking.findById(id).select('userId rating feedback feedbackHidden');
+      if (!booking || (booking.rating === null && !booking.feedback)) return null;
+      return { ownerId: idOf(booking.userId), isHidden: booking.feedbackHidden };
+    },
+    setHidden: (id, isHidden) => Booking.updateOne({ _id: id }, { feedbackHidden: isHidden }),
+    remove: (id) => Booking.updateOne({ _id: id }, { rating: null, feedback: null, feedbackHidden: false })
+  }
+};
+
+class ModerationService {
+  getHandler(contentType) {
+    const handler = handlers[contentType];
+    if (!handler) {
+      throw httpError(400, `Unsupported content type: ${contentType}`);
+    }
+    return handler;
+  }
+
+  async findContent(contentType, contentId) {
+    return this.getHandler(contentType).find(contentId);
+  }
+
+  // File a report, hiding the content once enough reports are pending
+  async createReport({ reporterId, contentType, contentId, reason, description, evidence }) {
+    const content = await this.findContent(contentType, contentId);
+    if (!content) {
+      throw httpError(404, 'Reported content not found');
+    }
+
+    if (content.ownerId && content.ownerId.toString() === reporterId.toString()) {
+      throw httpError(400, 'You cannot report your own content');
+    }
+
+    let report;
+    try {
+      report = await ContentReport.create({
+        contentType,
+        contentId,
+        contentOwnerId: content.ownerId || null,
+        reporterId,
+        reason,
+        description,
+        evidence
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(400, 'You have already reported this content');
+      }
+      throw error;
+    }
+
+    let autoHidden = false;
+    const threshold = await settingsService.getValue('contentReportThreshold');
+    if (threshold > 0 && !content.isHidden) {
+      const pending = await ContentReport.countPending(contentType, contentId);
+      if (pending >= threshold) {
+        await this.getHandler(contentType).setHidden(contentId, true);
+        report.triggeredAutoHide = true;
+        await report.save();
+        autoHidden = true;
+      }
+    }
+
+    return { report, autoHidden };
+  }
+
+  // Apply a moderation action to the content itself
+  async applyAction(contentType, contentId, action) {
+    const handler = this.getHandler(contentType);
+
+    switch (action) {
+      case ResolutionActions.HIDDEN:
+        return handler.setHidden(contentId, true);
+      case ResolutionActions.RESTORED:
+        return handler.setHidden(contentId, false);
+      case ResolutionActions.DELETED:
+        return handler.remove(contentId);
+      default:
+        return null;
+    }
+  }
+
+  // Close a report and every other pending report on the same content
+  async resolveReport(report, { status, action = ResolutionActions.NONE, notes, resolvedBy }) {
+    if (!report.isPending) {
+      throw httpError(400, 'Report has already been resolved');
+    }
+
+    if (status === ReportStatuses.DISMISSED && [ResolutionActions.HIDDEN, ResolutionActions.DELETED].includes(action)) {
+      throw httpError(400, 'A dismissed report cannot hide or delete content');
+    }
+
+    await this.applyAction(report.contentType, report.contentId, action);
+
+    const resolution = { action, notes, resolvedBy, resolvedAt: new Date() };
+    await ContentReport.updateMany(
+      {
+        contentType: report.contentType,
+        contentId: report.contentId,
+        status: { $in: [ReportStatuses.OPEN, ReportStatuses.IN_REVIEW] }
+      },
+      { status, resolution }
+    );
+
+    return ContentReport.findById(report._id);
+  }
+
+  // Delete content outright and close its pending reports
+  async deleteContent(contentType, contentId, { reason, deletedBy } = {}) {
+    const content = await this.findContent(contentType, contentId);
+    if (!content) {
+      return null;
+    }
+
+    await this.applyAction(contentType, contentId, ResolutionActions.DELETED);
+
+    const result = await ContentReport.updateMany(
+      {
+        contentType,
+        contentId,
+        status: { $in: [ReportStatuses.OPEN, ReportStatuses.IN_REVIEW] }
+      },
+      {
+        status: ReportStatuses.ACTIONED,
+        resolution: {
+          action: ResolutionActions.DELETED,
+          notes: reason,
+          resolvedBy: deletedBy,
+          resolvedAt: new Date()
+        }
+      }
+    );
+
+    return { reportsClosed: result.modifiedCount };
+  }
+}
+
+module.exports = new ModerationService();
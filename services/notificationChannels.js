@@ -0,0 +1,75 @@
+const Notification = require('../models/Notification');
+const smsService = require('./smsService');
+const emailService = require('./emailService');
+
+// Placeholder addresses created during phone sign-up cannot receive mail
+const isDeliverableEmail = email => !!email && !/^temp_\d+@temp\.com$/.test(email);
+
+// Each channel decides whether a user can receive on it and how to deliver
+// the part of a rendered template that applies to it.
+const channels = {
+  inApp: {
+    isEnabledFor(user) {
+      return user.preferences?.notificationsEnabled !== false;
+    },
+    async deliver(user, content) {
+      return Notification.create({
+        userId: user._id,
+        title: content.title,
+        message: content.message,
+        type: content.type,
+        category: content.category,
+        link: content.link,
+        data: content.data,
+        channels: {
+          inApp: true,
+          email: channels.email.isEnabledFor(user),
+          push: user.preferences?.pushNotifications !== false
+        }
+      });
+    }
+  },
+
+  sms: {
+    isEnabledFor(user) {
+      return user.preferences?.notificationsEnabled !== false && !!user.phone && user.phoneVerified !== false;
+    },
+    async deliver(user, content) {
+      const result = await smsService.sendCustomMessage(user.phone, content.sms || content.message);
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to send SMS');
+      }
+      return result;
+    }
+  },
+
+  email: {
+    isEnabledFor(user) {
+      return user.preferences?.notificationsEnabled !== false &&
+        user.preferences?.emailNotifications !== false &&
+        isDeliverableEmail(user.email);
+    },
+    async deliver(user, content) {
+      const email = content.email || {};
+      const result = await emailService.sendEmail({
+        to: user.email,
+        subject: email.subject || content.title,
+        text: email.text || content.message,
+        attachments: email.attachments
+      });
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to send email');
+      }
+      return result;
+    }
+  }
+};
+
+// Add or replace a channel, e.g. a push provider
+exports.registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+exports.getChannel = name => channels[name];
+
+exports.getChannelNames = () => Object.keys(channels);
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Role-wide recipient targets accepted in a recipients array.
+// A value of null means every active user.
+const ROLE_TARGETS = {
+  'all': null,
+  'all-users': null,
+  'all-mentors': 'mentor',
+  'all-job-posters': 'jobPoster',
+  'all-jobposters': 'jobPoster',
+  'all-admins': 'admin'
+};
+
+const BATCH_SIZE = 500;
+
+class NotificationService {
+  // "All Mentors", "all_mentors" and "role:mentor" all name the same target
+  normalizeTarget(recipient) {
+    const value = String(recipient).trim();
+
+    if (value.toLowerCase().startsWith('role:')) {
+      return { role: value.slice(5).trim() };
+    }
+
+    const key = value.toLowerCase().replace(/[\s_]+/g, '-');
+    if (Object.prototype.hasOwnProperty.call(ROLE_TARGETS, key)) {
+      return { role: ROLE_TARGETS[key], everyone: ROLE_TARGETS[key] === null };
+    }
+
+    if (mongoose.Types.ObjectId.isValid(value)) {
+      return { userId: value };
+    }
+
+    return { invalid: value };
+  }
+
+  // Turn a recipients array into a User query
+  buildRecipientQuery(recipients = []) {
+    const userIds = [];
+    const roles = [];
+    const invalid = [];
+    let everyone = false;
+
+    recipients.forEach(recipient => {
+      const target = this.normalizeTarget(recipient);
+      if (target.everyone) everyone = true;
+      else if (target.role) roles.push(target.role);
+      else if (target.userId) userIds.push(target.userId);
+      else invalid.push(target.invalid);
+    });
+
+    const query = { isActive: true };
+
+    if (!everyone) {
+      const conditions = [];
+      if (userIds.length) conditions.push({ _id: { $in: userIds } });
+      if (roles.length) conditions.push({ roles: { $in: roles } });
+
+      if (!conditions.length) {
+        return { query: null, invalid };
+      }
+      query.$or = conditions;
+    }
+
+    return { query, invalid };
+  }
+
+  // Delivery channels for a user, or null when they have opted out entirely
+  resolveChannels(user) {
+    const preferences = user.preferences || {};
+
+    if (preferences.notificationsEnabled === false) {
+      return null;
+    }
+
+    return {
+      inApp: true,
+      email: preferences.emailNotifications !== false,
+      push: preferences.pushNotifications !== false
+    };
+  }
+
+  // Fan a notification out to every resolved recipient
+  async send({ recipients, title, message, type, category, link, data, sentBy }) {
+    const { query, invalid } = this.buildRecipientQuery(recipients);
+    const batchId = crypto.randomBytes(8).toString('hex');
+    const result = { batchId, delivered: 0, skipped: 0, invalidRecipients: invalid };
+
+    if (!query) {
+      return result;
+    }
+
+    const cursor = User.find(query).select('_id preferences').lean().cursor();
+    let batch = [];
+
+    const flush = async () => {
+      if (!batch.length) return;
+      await Notification.insertMany(batch, { ordered: false });
+      result.delivered += batch.length;
+      batch = [];
+    };
+
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+      const channels = this.resolveChannels(user);
+
+      if (!channels) {
+        result.skipped += 1;
+        continue;
+      }
+
+      batch.push({
+        userId: user._id,
+        title,
+        message,
+        type,
+        category,
+        link,
+        data,
+        channels,
+        sentBy: sentBy || null,
+        batchId
+      });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    return result;
+  }
+
+  // Notify a single user, honouring their preferences
+  async notifyUser(userId, payload) {
+    const user = await User.findById(userId).select('_id preferences').lean();
+    if (!user) {
+      return null;
+    }
+
+    const channels = this.resolveChannels(user);
+    if (!channels) {
+      return null;
+    }
+
+    return Notification.create({ ...payload, userId: user._id, channels });
+  }
+}
+
+module.exports = new NotificationService();
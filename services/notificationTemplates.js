@@ -0,0 +1,188 @@
+const { Events } = require('./eventBus');
+
+// Accept either a populated document or a bare ObjectId
+const idOf = value => (value && value._id ? value._id : value);
+const nameOf = (value, fallback) => (value && value.name ? value.name : fallback);
+
+// Session start on the booking's clock, e.g. "2026-11-02 at 09:30 (Asia/Kolkata)"
+const whenOf = booking => `${booking.date} at ${booking.time}` + (booking.timezone ? ` (${booking.timezone})` : '');
+
+// "in 24 hours", "in 15 minutes"
+const leadTimeOf = minutes => {
+  if (minutes > 2880 && minutes % 1440 === 0) return `in ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return `in ${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Per-event templates.
+//   channels:   channels to try, each still subject to the user's preferences
+//   recipients: user ids to notify for a given payload
+//   when:       optional guard; the event is ignored when it returns false
+//   render:     content for the recipient; `sms` and `email` override the
+//               default title/message on those channels
+const templates = {
+  [Events.BOOKING_CONFIRMED]: {
+    channels: ['inApp', 'sms', 'email'],
+    recipients: ({ booking }) => [idOf(booking.userId)],
+    render: ({ booking, payment }) => {
+      const mentorName = nameOf(booking.mentorId, 'Your mentor');
+      return {
+        title: 'Booking confirmed',
+        message: payment
+          ? `Payment received. Your ${booking.sessionType} with ${mentorName} on ${whenOf(booking)} is confirmed.`
+          : `${mentorName} confirmed your ${booking.sessionType} on ${whenOf(booking)}.`,
+        type: 'success',
+        category: 'booking',
+        data: { bookingId: booking._id },
+        sms: `Empedia: your ${booking.sessionType} with ${mentorName} on ${whenOf(booking)} is confirmed.`
+      };
+    }
+  },
+
+  [Events.BOOKING_CANCELLED]: {
+    channels: ['inApp', 'sms', 'email'],
+    recipients: ({ booking }) => [idOf(booking.userId), idOf(booking.mentorId)],
+    render: ({ booking, refund }, user) => {
+      // Only the mentee hears about their refund
+      const refundNote = refund && String(user._id) === String(idOf(booking.userId))
+        ? ` A refund of ${refund.amount} ${refund.currency} has been ${refund.status === 'succeeded' ? 'issued' : 'initiated'}.`
+        : '';
+      return {
+        title: 'Booking cancelled',
+        message: `The ${booking.sessionType} on ${whenOf(booking)} was cancelled` +
+          (booking.cancellationReason ? `: ${booking.cancellationReason}` : '.') + refundNote,
+        type: 'warning',
+        category: 'booking',
+        data: { bookingId: booking._id, refundId: refund ? refund._id : null },
+        sms: `Empedia: the ${booking.sessionType} on ${whenOf(booking)} was cancelled.${refundNote}`
+      };
+    }
+  },
+
+  [Events.BOOKING_RESCHEDULED]: {
+    channels: ['inApp', 'sms', 'email'],
+    recipients: ({ booking }) => [idOf(booking.userId), idOf(booking.mentorId)],
+    render: ({ booking, previousDate, previousTime }) => ({
+      title: 'Booking rescheduled',
+      message: `The ${booking.sessionType} originally on ${previousDate} at ${previousTime} ` +
+        `is now on ${whenOf(booking)}.`,
+      type: 'info',
+      category: 'booking',
+      data: { bookingId: booking._id },
+      sms: `Empedia: your ${booking.sessionType} moved to ${whenOf(booking)}.`
+    })
+  },
+
+  [Events.BOOKING_REMINDER]: {
+    channels: ['inApp', 'sms'],
+    recipients: ({ booking }) => [idOf(booking.userId), idOf(booking.mentorId)],
+    render: ({ booking, offsetMinutes }, user) => {
+      const isMentor = String(user._id) === String(idOf(booking.mentorId));
+      const withName = isMentor ? nameOf(booking.userId, 'your mentee') : nameOf(booking.mentorId, 'your mentor');
+      return {
+        title: 'Upcoming session',
+        message: `Your ${booking.sessionType} with ${withName} starts ${leadTimeOf(offsetMinutes)}, on ${whenOf(booking)}.`,
+        type: 'info',
+        category: 'booking',
+        data: { bookingId: booking._id },
+        sms: `Empedia reminder: your ${booking.sessionType} with ${withName} starts ${leadTimeOf(offsetMinutes)} (${whenOf(booking)}).`
+      };
+    }
+  },
+
+  [Events.BOOKING_EXPIRED]: {
+    channels: ['inApp'],
+    recipients: ({ booking }) => [idOf(booking.userId), idOf(booking.mentorId)],
+    render: ({ booking }) => ({
+      title: 'Booking expired',
+      message: `The ${booking.sessionType} requested for ${whenOf(booking)} expired because it was not confirmed before it was due to start.`,
+      type: 'warning',
+      category: 'booking',
+      data: { bookingId: booking._id }
+    })
+  },
+
+  [Events.PAYMENT_FAILED]: {
+    channels: ['inApp', 'email'],
+    recipients: ({ payment }) => [idOf(payment.userId)],
+    render: ({ payment }) => ({
+      title: 'Payment failed',
+      message: `Your payment of ${payment.amount} ${payment.currency} did not go through` +
+        (payment.failureReason ? `: ${payment.failureReason}` : '.') +
+        ' Your booking is still pending; you can try paying again.',
+      type: 'error',
+      category: 'booking',
+      data: { bookingId: idOf(payment.bookingId), paymentId: payment._id }
+    })
+  },
+
+  [Events.JOB_APPLICATION_STATUS_CHANGED]: {
+    channels: ['inApp', 'sms', 'email'],
+    when: ({ application }) => ['shortlisted', 'offered'].includes(application.status),
+    recipients: ({ application }) => [idOf(application.applicantId)],
+    render: ({ application }) => {
+      const offered = application.status === 'offered';
+      return {
+        title: offered ? 'You received an offer' : 'You have been shortlisted',
+        message: offered
+          ? `${application.company} has made you an offer for ${application.jobTitle}.`
+          : `Your application for ${application.jobTitle} at ${application.company} has been shortlisted.`,
+        type: 'success',
+        category: 'job_application',
+        data: { applicationId: application._id, jobId: idOf(application.jobId), status: application.status }
+      };
+    }
+  },
+
+  [Events.MENTOR_APPLICATION_APPROVED]: {
+    channels: ['inApp', 'sms', 'email'],
+    recipients: ({ application }) => [idOf(application.applicantId)],
+    render: ({ application }) => ({
+      title: 'Mentor application approved',
+      message: 'Congratulations! Your mentor application has been approved and your mentor profile is now live.',
+      type: 'success',
+      category: 'mentor_application',
+      data: { applicationId: application._id }
+    })
+  },
+
+  [Events.MENTOR_APPLICATION_REJECTED]: {
+    channels: ['inApp', 'email'],
+    recipients: ({ application }) => [idOf(application.applicantId)],
+    render: ({ application }) => ({
+      title: 'Mentor application update',
+      message: 'Your mentor application was not approved' +
+        (application.rejectionReason ? `: ${application.rejectionReason}` : '.'),
+      type: 'warning',
+      category: 'mentor_application',
+      data: { applicationId: application._id }
+    })
+  },
+
+  [Events.COURSE_CREATION_APPROVED]: {
+    channels: ['inApp', 'email'],
+    recipients: ({ courseCreation }) => [idOf(courseCreation.creatorId)],
+    render: ({ courseCreation }) => ({
+      title: 'Course approved',
+      message: `Your course "${courseCreation.title}" has been approved.`,
+      type: 'success',
+      category: 'course',
+      data: { courseCreationId: courseCreation._id }
+    })
+  },
+
+  [Events.COURSE_CREATION_REJECTED]: {
+    channels: ['inApp', 'email'],
+    recipients: ({ courseCreation }) => [idOf(courseCreation.creatorId)],
+    render: ({ courseCreation }) => ({
+      title: 'Course not approved',
+      message: `Your course "${courseCreation.title}" was not approved` +
+        (courseCreation.rejectionReason ? `: ${courseCreation.rejectionReason}` : '.'),
+      type: 'warning',
+      category: 'course',
+      data: { courseCreationId: courseCreation._id }
+    })
+  }
+};
+
+module.exports = templates;
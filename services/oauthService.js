@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { OAuthIntents } = require('../models/OAuthState');
+const oauthProviders = require('./oauthProviders');
+const settingsService = require('./settingsService');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sha256 = value => crypto.createHash('sha256').update(String(value)).digest();
+
+const base64url = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const LINKEDIN_URL = /^https?:\/\/(www\.)?linkedin\.com\/.+/;
+
+// Sign-in and account linking through external identity providers. A
+// provider's account is matched by its stable id first, then by an account
+// with the same verified email, and only then turned into a new user.
+class OAuthService {
+  getProvider(name) {
+    const provider = oauthProviders.getProvider(name);
+    if (!provider || !provider.isEnabled()) {
+      throw httpError(404, 'Unknown sign-in provider');
+    }
+    return provider;
+  }
+
+  getEnabledProviders() {
+    return oauthProviders.getProviderNames().filter(name => oauthProviders.getProvider(name).isEnabled());
+  }
+
+  // Begin a sign-in or link: remember the attempt and return the URL that
+  // sends the user to the provider
+  async start(providerName, { intent = OAuthIntents.LOGIN, user = null } = {}) {
+    const provider = this.getProvider(providerName);
+
+    const state = crypto.randomBytes(32).toString('hex');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    await OAuthState.create({
+      stateHash: sha256(state).toString('hex'),
+      provider: provider.name,
+      intent,
+      userId: user ? user._id : null,
+      redirectUri: provider.redirectUri,
+      codeVerifier: provider.usePkce ? codeVerifier : null,
+      nonce,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    return {
+      provider: provider.name,
+      authorizationUrl: provider.getAuthorizationUrl({
+        state,
+        nonce,
+        codeChallenge: base64url(sha256(codeVerifier))
+      }),
+      expiresIn: STATE_TTL_MS / 1000
+    };
+  }
+
+  // Use up the attempt a returning user's state belongs to
+  async claimState(provider, state, intent) {
+    const attempt = await OAuthState.findOneAndDelete({
+      stateHash: sha256(state).toString('hex'),
+      provider: provider.name,
+      intent,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!attempt) {
+      throw httpError(400, 'Sign-in attempt is invalid or has expired. Please start again.');
+    }
+    return attempt;
+  }
+
+  async fetchProfile(provider, code, attempt) {
+    const profile = await provider.exchangeCode({ code, codeVerifier: attempt.codeVerifier });
+    if (!profile.providerUserId) {
+      throw httpError(400, 'The sign-in provider did not identify the account');
+    }
+    return { ...profile, email: profile.email ? profile.email.toLowerCase() : null };
+  }
+
+  // Complete a sign-in. Resolves to { user, isNewUser }.
+  async login(providerName, { code, state }) {
+    const provider = this.getProvider(providerName);
+    const attempt = await this.claimState(provider, state, OAuthIntents.LOGIN);
+    const profile = await this.fetchProfile(provider, code, attempt);
+
+    let user = await User.findBySocialIdentity(provider.name, profile.providerUserId);
+    let isNewUser = false;
+
+    if (!user) {
+      if (!profile.email || !profile.emailVerified) {
+        throw httpError(400, 'Your account with this provider has no verified email address');
+      }
+
+      user = await User.findByEmail(profile.email);
+      if (user && !user.isEmailVerified) {
+        // Whoever registered the address never proved they own it; linking
+        // would hand their password and sessions the provider's account
+        throw httpError(409, 'An account with this email address is waiting for verification. ' +
+          `Verify the address or reset your password, then link your ${provider.name} account from your profile.`);
+      }
+      if (!user) {
+        const allowRegistration = await settingsService.getValue('allowRegistration');
+        if (allowRegistration === false) {
+          throw httpError(403, 'New registrations are currently disabled');
+        }
+        user = new User({
+          email: profile.email,
+          password: crypto.randomBytes(32).toString('hex'), // Random password
+          isEmailVerified: true
+        });
+        isNewUser = true;
+      }
+      this.addIdentity(user, provider.name, profile);
+    }
+
+    if (!user.isActive) {
+      throw httpError(403, 'User account is deactivated.');
+    }
+
+    this.prefillProfile(user, profile);
+    await user.save();
+    return { user, isNewUser };
+  }
+
+  // Complete linking an identity to the signed-in user
+  async link(providerName, { code, state }, user) {
+    const provider = this.getProvider(providerName);
+    const attempt = await this.claimState(provider, state, OAuthIntents.LINK);
+    if (String(attempt.userId) !== String(user._id)) {
+      throw httpError(403, 'This link attempt was started by another user');
+    }
+    const profile = await this.fetchProfile(provider, code, attempt);
+
+    const owner = await User.findBySocialIdentity(provider.name, profile.providerUserId);
+    if (owner && String(owner._id) !== String(user._id)) {
+      throw httpError(409, 'This account is already linked to another user');
+    }
+    if (!owner && user.socialIdentities.some(identity => identity.provider === provider.name)) {
+      throw httpError(409, `Another ${provider.name} account is already linked. Unlink it first.`);
+    }
+
+    if (!owner) {
+      this.addIdentity(user, provider.name, profile);
+    }
+    this.prefillProfile(user, profile);
+    await user.save();
+    return user;
+  }
+
+  // Remove a linked identity, as long as the user can still sign in
+  // another way afterwards
+  async unlink(providerName, user) {
+    const remaining = user.socialIdentities.filter(identity => identity.provider !== providerName);
+    if (remaining.length === user.socialIdentities.length) {
+      throw httpError(404, `No ${providerName} account is linked`);
+    }
+
+    const canUsePhone = !!user.phone && user.phoneVerified;
+    const canUseEmail = user.isEmailVerified && !/^temp_\d+@temp\.com$/.test(user.email);
+    if (!canUsePhone && !canUseEmail && remaining.length === 0) {
+      throw httpError(400, 'Add a verified phone number or email address before unlinking your last sign-in method');
+    }
+
+    user.socialIdentities = remaining;
+    await user.save();
+    return user;
+  }
+
+  addIdentity(user, provider, profile) {
+    user.socialIdentities.push({
+      provider,
+      providerUserId: String(profile.providerUserId),
+      email: profile.email
+    });
+  }
+
+  // Fill in profile fields the user has left blank; never overwrites
+  prefillProfile(user, profile) {
+    if (!user.name && profile.name) {
+      user.name = profile.name.slice(0, 100);
+    }
+    if (!user.profileImage && profile.picture) {
+      user.profileImage = profile.picture;
+    }
+    if (profile.position && !(user.mentorProfile && user.mentorProfile.position)) {
+      user.set('mentorProfile.position', profile.position.slice(0, 200));
+    }
+    if (profile.profileUrl && LINKEDIN_URL.test(profile.profileUrl) &&
+        !(user.mentorProfile && user.mentorProfile.linkedinUrl)) {
+      user.set('mentorProfile.linkedinUrl', profile.profileUrl);
+    }
+  }
+}
+
+module.exports = new OAuthService();
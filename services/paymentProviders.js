@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Providers take amounts in the currency's smallest unit (paise, cents)
+const toMinorUnits = amount => Math.round(amount * 100);
+const toMajorUnits = amount => amount / 100;
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const signatureMatches = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const webhookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Each provider creates orders, issues refunds and turns its webhooks into
+// one event shape:
+//   { id, type, orderId, paymentId, refundId, amount, failureReason }
+// where type is 'payment.succeeded', 'payment.failed', 'refund.succeeded',
+// 'refund.failed', or null for events the payment service does not act on.
+// refund() resolves to { refundId, status: 'succeeded' | 'pending' | 'failed' }.
+const providers = {
+  // In-process provider for development and tests. Nothing leaves the app;
+  // payments are settled by calling simulate() (POST /payments/:id/simulate).
+  // Anyone could pay that way, so it is only on when ENABLE_FAKE_PAYMENTS=true
+  // and never in production.
+  fake: {
+    name: 'fake',
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    isEnabled() {
+      return process.env.ENABLE_FAKE_PAYMENTS === 'true' && process.env.NODE_ENV !== 'production';
+    },
+
+    async createOrder() {
+      return { orderId: `fake_order_${crypto.randomBytes(8).toString('hex')}` };
+    },
+
+    getCheckout(payment) {
+      return {
+        provider: this.name,
+        orderId: payment.providerOrderId,
+        amount: toMinorUnits(payment.amount),
+        currency: payment.currency
+      };
+    },
+
+    async refund() {
+      return { refundId: `fake_rfnd_${crypto.randomBytes(8).toString('hex')}`, status: 'succeeded' };
+    },
+
+    // Build a signed webhook request as the provider would send it
+    simulate(payment, { succeed = true, failureReason } = {}) {
+      const body = JSON.stringify({
+        id: `fake_evt_${crypto.randomBytes(8).toString('hex')}`,
+        type: succeed ? 'payment.succeeded' : 'payment.failed',
+        orderId: payment.providerOrderId,
+        paymentId: succeed ? `fake_pay_${crypto.randomBytes(8).toString('hex')}` : null,
+        amount: toMinorUnits(payment.amount),
+        failureReason: succeed ? null : (failureReason || 'Payment declined')
+      });
+      return { rawBody: Buffer.from(body), headers: { 'x-fake-signature': sign(this.webhookSecret, body) } };
+    },
+
+    parseWebhook(rawBody, headers) {
+      if (!signatureMatches(sign(this.webhookSecret, rawBody), headers['x-fake-signature'])) {
+        throw webhookError('Invalid webhook signature');
+      }
+      const event = JSON.parse(rawBody.toString());
+      return { ...event, amount: toMajorUnits(event.amount) };
+    }
+  },
+
+  // Razorpay Orders API. Checkout runs in the client with the returned order;
+  // captures, failures and refunds are reported to the webhook.
+  razorpay: {
+    name: 'razorpay',
+    baseURL: 'https://api.razorpay.com/v1',
+
+    isEnabled() {
+      return !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && process.env.RAZORPAY_WEBHOOK_SECRET);
+    },
+
+    async createOrder({ amount, currency, receipt, notes }) {
+      const response = await axios.post(`${this.baseURL}/orders`, {
+        amount: toMinorUnits(amount),
+        currency,
+        receipt,
+        notes
+      }, {
+        auth: {
+          username: process.env.RAZORPAY_KEY_ID,
+          password: process.env.RAZORPAY_KEY_SECRET
+        }
+      });
+
+      return { orderId: response.data.id };
+    },
+
+    async refund(payment, amount) {
+      const response = await axios.post(`${this.baseURL}/payments/${payment.providerPaymentId}/refund`, {
+        amount: toMinorUnits(amount)
+      }, {
+        auth: {
+          username: process.env.RAZORPAY_KEY_ID,
+          password: process.env.RAZORPAY_KEY_SECRET
+        }
+      });
+
+      const statuses = { processed: 'succeeded', failed: 'failed' };
+      return { refundId: response.data.id, status: statuses[response.data.status] || 'pending' };
+    },
+
+    getCheckout(payment) {
+      return {
+        provider: this.name,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        orderId: payment.providerOrderId,
+        amount: toMinorUnits(payment.amount),
+        currency: payment.currency
+      };
+    },
+
+    parseWebhook(rawBody, headers) {
+      const expected = sign(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody);
+      if (!signatureMatches(expected, headers['x-razorpay-signature'])) {
+        throw webhookError('Invalid webhook signature');
+      }
+
+      const body = JSON.parse(rawBody.toString());
+      const payload = body.payload || {};
+      const entity = payload.payment ? payload.payment.entity : {};
+      const refund = payload.refund ? payload.refund.entity : null;
+      const types = {
+        'payment.captured': 'payment.succeeded',
+        'order.paid': 'payment.succeeded',
+        'payment.failed': 'payment.failed',
+        'refund.processed': 'refund.succeeded',
+        'refund.failed': 'refund.failed'
+      };
+      const source = refund || entity;
+
+      return {
+        // Retries of one delivery carry the same event id
+        id: headers['x-razorpay-event-id'] || `${body.event}:${source.id}`,
+        type: types[body.event] || null,
+        orderId: entity.order_id,
+        paymentId: refund ? refund.payment_id : entity.id,
+        refundId: refund ? refund.id : null,
+        amount: source.amount !== undefined ? toMajorUnits(source.amount) : undefined,
+        failureReason: entity.error_description || null
+      };
+    }
+  }
+};
+
+// Add or replace a provider, e.g. for another gateway
+exports.registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+exports.getProvider = name => providers[name];
+
+exports.getProviderNames = () => Object.keys(providers);
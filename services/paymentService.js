@@ -0,0 +1,430 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Booking = require('../models/Booking');
+const { PaymentStatuses } = require('../models/Payment');
+const { RefundStatuses, RefundInitiators } = require('../models/Refund');
+const { BookingStatuses, BookingPaymentStatuses } = require('../models/Booking');
+const paymentProviders = require('./paymentProviders');
+const meetingService = require('./meetingService');
+const eventBus = require('./eventBus');
+const { Events } = require('./eventBus');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Accept either a populated document or a bare ObjectId
+const idOf = value => (value && value._id ? value._id : value);
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const isParticipant = (user, payment) =>
+  user.roles.includes('admin') ||
+  [payment.userId, payment.mentorId].some(id => String(idOf(id)) === String(user._id));
+
+// Collects booking payments through the configured provider (PAYMENT_PROVIDER,
+// default "fake", which needs ENABLE_FAKE_PAYMENTS=true). A payment intent is
+// an order created with the provider; the provider's webhook settles it and
+// confirms the booking.
+class PaymentService {
+  constructor() {
+    this.providerName = process.env.PAYMENT_PROVIDER || 'fake';
+    this.currency = (process.env.PAYMENT_CURRENCY || 'INR').toUpperCase();
+  }
+
+  getProvider(name = this.providerName) {
+    const provider = paymentProviders.getProvider(name);
+    if (!provider || !provider.isEnabled()) {
+      throw httpError(503, `Payment provider "${name}" is not available`);
+    }
+    return provider;
+  }
+
+  // Start (or resume) checkout for a pending booking owned by `user`
+  async createIntent(bookingId, user) {
+    const booking = await Booking.findOne({ _id: bookingId, isActive: true });
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (String(idOf(booking.userId)) !== String(user._id)) {
+      throw httpError(403, 'You can only pay for your own bookings');
+    }
+    if (booking.paymentStatus === BookingPaymentStatuses.NOT_REQUIRED || booking.price <= 0) {
+      throw httpError(400, 'This booking does not require payment');
+    }
+    if (booking.paymentStatus !== BookingPaymentStatuses.UNPAID) {
+      throw httpError(409, 'This booking has already been paid for');
+    }
+    if (booking.status !== BookingStatuses.PENDING) {
+      throw httpError(400, 'Only pending bookings can be paid for');
+    }
+
+    const provider = this.getProvider();
+
+    // Reuse an open intent for the same amount so retried checkouts share one order
+    const existing = await Payment.findOne({
+      bookingId: booking._id,
+      provider: provider.name,
+      status: PaymentStatuses.CREATED,
+      amount: booking.price,
+      currency: this.currency
+    });
+    if (existing) {
+      return { payment: existing, checkout: provider.getCheckout(existing) };
+    }
+
+    let order;
+    try {
+      order = await provider.createOrder({
+        amount: booking.price,
+        currency: this.currency,
+        receipt: String(booking._id),
+        notes: { bookingId: String(booking._id) }
+      });
+    } catch (error) {
+      console.error('Payment provider error:', error.response?.data || error.message);
+      throw httpError(502, 'Could not start payment with the payment provider');
+    }
+
+    const payment = await Payment.create({
+      bookingId: booking._id,
+      userId: idOf(booking.userId),
+      mentorId: idOf(booking.mentorId),
+      sessionType: booking.sessionType,
+      amount: booking.price,
+      currency: this.currency,
+      provider: provider.name,
+      providerOrderId: order.orderId
+    });
+
+    return { payment, checkout: provider.getCheckout(payment) };
+  }
+
+  // Verify and apply a provider webhook. Unknown orders and events are
+  // acknowledged without action so the provider stops retrying them.
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = paymentProviders.getProvider(providerName);
+    if (!provider || !provider.isEnabled()) {
+      throw httpError(404, 'Unknown payment provider');
+    }
+    if (!rawBody) {
+      throw httpError(400, 'Missing webhook body');
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhook(rawBody, headers);
+    } catch (error) {
+      throw error.statusCode ? error : httpError(400, 'Malformed webhook payload');
+    }
+    if (event.type && event.type.startsWith('refund.')) {
+      return this.applyRefundEvent(provider, event);
+    }
+    if (!event.type || !event.orderId) {
+      return { applied: false };
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, providerOrderId: event.orderId });
+    if (!payment) {
+      console.warn(`Webhook for unknown ${provider.name} order ${event.orderId}`);
+      return { applied: false };
+    }
+
+    const updated = event.type === 'payment.succeeded'
+      ? await this.markSucceeded(payment, event)
+      : await this.markFailed(payment, event);
+
+    return { applied: !!updated, payment: updated || payment };
+  }
+
+  // A payment may succeed after an earlier attempt on the order failed, or
+  // after the booking was cancelled while checkout was still open. A capture
+  // for any other amount than the order's is left for an admin to reconcile.
+  async markSucceeded(payment, event) {
+    if (typeof event.amount !== 'number' || roundMoney(event.amount) !== roundMoney(payment.amount)) {
+      console.error(`Payment ${payment._id} captured ${event.amount} ${payment.currency}, expected ${payment.amount}`);
+      return null;
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: [PaymentStatuses.CREATED, PaymentStatuses.FAILED, PaymentStatuses.CANCELLED] },
+        processedEvents: { $ne: event.id }
+      },
+      {
+        $set: {
+          status: PaymentStatuses.SUCCEEDED,
+          providerPaymentId: event.paymentId,
+          paidAt: new Date(),
+          failureReason: null
+        },
+        $push: { processedEvents: event.id }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.settleBooking(updated);
+    return updated;
+  }
+
+  async markFailed(payment, event) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: PaymentStatuses.CREATED, processedEvents: { $ne: event.id } },
+      {
+        $set: {
+          status: PaymentStatuses.FAILED,
+          providerPaymentId: event.paymentId || null,
+          failedAt: new Date(),
+          failureReason: event.failureReason || 'Payment failed'
+        },
+        $push: { processedEvents: event.id }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    eventBus.publish(Events.PAYMENT_FAILED, { payment: updated });
+    return updated;
+  }
+
+  // Mark the booking paid and confirm it if it is still waiting. Money that
+  // arrives for a booking that is no longer waiting, or was already paid
+  // through another order, is sent straight back.
+  async settleBooking(payment) {
+    const booking = await Booking.findById(payment.bookingId);
+    if (!booking) return;
+
+    const paidElsewhere = booking.paymentId && String(booking.paymentId) !== String(payment._id);
+    if (!paidElsewhere) {
+      booking.paymentStatus = BookingPaymentStatuses.PAID;
+      booking.paymentId = payment._id;
+    }
+
+    if (paidElsewhere || booking.status !== BookingStatuses.PENDING || !booking.isActive) {
+      await booking.save();
+      await this.refund(payment, payment.amount, {
+        reason: paidElsewhere
+          ? 'Booking was already paid for'
+          : `Payment received for a booking that is ${booking.isActive ? booking.status : 'deleted'}`,
+        initiatedBy: RefundInitiators.SYSTEM,
+        refundPercent: 100
+      });
+      return;
+    }
+
+    await booking.confirm();
+    await meetingService.createLink(booking);
+    eventBus.publish(Events.BOOKING_CONFIRMED, { booking, payment });
+  }
+
+  // Return up to `amount` of a settled payment to the payer, less anything
+  // already refunded or on its way. Resolves to the Refund, or null when
+  // nothing is left to refund.
+  async refund(payment, amount, { reason, initiatedBy, refundPercent = null }) {
+    const pending = await Refund.find({ paymentId: payment._id, status: RefundStatuses.PENDING }).select('amount');
+    const inFlight = pending.reduce((sum, refund) => sum + refund.amount, 0);
+    const refundAmount = roundMoney(Math.min(amount, payment.refundableAmount - inFlight));
+    if (refundAmount <= 0) return null;
+
+    const refund = await Refund.create({
+      paymentId: payment._id,
+      bookingId: payment.bookingId,
+      userId: payment.userId,
+      mentorId: payment.mentorId,
+      sessionType: payment.sessionType,
+      amount: refundAmount,
+      currency: payment.currency,
+      refundPercent,
+      reason,
+      initiatedBy,
+      provider: payment.provider
+    });
+
+    return this.submitRefund(refund, payment);
+  }
+
+  // Ask the provider to send the money. Provider errors leave the refund
+  // failed so it can be retried; they never undo the cancellation.
+  async submitRefund(refund, payment) {
+    let result = null;
+    refund.attempts += 1;
+
+    try {
+      result = await this.getProvider(payment.provider).refund(payment, refund.amount);
+      refund.providerRefundId = result.refundId;
+      if (result.status === 'failed') {
+        refund.status = RefundStatuses.FAILED;
+        refund.failureReason = 'Refund was rejected by the payment provider';
+      }
+    } catch (error) {
+      console.error('Payment provider refund error:', error.response?.data || error.message);
+      refund.status = RefundStatuses.FAILED;
+      refund.failureReason = error.response?.data?.error?.description || error.message;
+    }
+    await refund.save();
+
+    return result && result.status === 'succeeded' ? this.completeRefund(refund) : refund;
+  }
+
+  // Retry a refund the provider did not accept
+  async retryRefund(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw httpError(404, 'Refund not found');
+    }
+    if (refund.status !== RefundStatuses.FAILED) {
+      throw httpError(400, 'Only failed refunds can be retried');
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    refund.status = RefundStatuses.PENDING;
+    refund.failureReason = null;
+    return this.submitRefund(refund, payment);
+  }
+
+  // Mark a refund processed and apply it to its payment and booking, once
+  async completeRefund(refund) {
+    const processed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $ne: RefundStatuses.SUCCEEDED } },
+      { $set: { status: RefundStatuses.SUCCEEDED, processedAt: new Date(), failureReason: null } },
+      { new: true }
+    );
+    if (!processed) return refund;
+
+    const payment = await Payment.findOneAndUpdate({ _id: processed.paymentId }, [
+      {
+        $set: {
+          amountRefunded: { $round: [{ $add: ['$amountRefunded', processed.amount] }, 2] },
+          refundedAt: processed.processedAt
+        }
+      },
+      {
+        $set: {
+          status: {
+            $cond: [{ $gte: ['$amountRefunded', '$amount'] }, PaymentStatuses.REFUNDED, PaymentStatuses.PARTIALLY_REFUNDED]
+          }
+        }
+      }
+    ], { new: true });
+
+    await Booking.updateOne({ _id: processed.bookingId, paymentId: processed.paymentId }, {
+      paymentStatus: payment.status === PaymentStatuses.REFUNDED
+        ? BookingPaymentStatuses.REFUNDED
+        : BookingPaymentStatuses.PARTIALLY_REFUNDED
+    });
+
+    return processed;
+  }
+
+  async applyRefundEvent(provider, event) {
+    const refund = await Refund.findOne({ provider: provider.name, providerRefundId: event.refundId });
+    if (!refund) {
+      console.warn(`Webhook for unknown ${provider.name} refund ${event.refundId}`);
+      return { applied: false };
+    }
+
+    if (event.type === 'refund.succeeded') {
+      const processed = await this.completeRefund(refund);
+      return { applied: processed !== refund, refund: processed };
+    }
+
+    const failed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: RefundStatuses.PENDING },
+      { $set: { status: RefundStatuses.FAILED, failureReason: event.failureReason || 'Refund failed' } },
+      { new: true }
+    );
+    return { applied: !!failed, refund: failed || refund };
+  }
+
+  // Admin listing of refunds; resolves to [refunds, total]
+  getRefunds({ status, initiatedBy, bookingId, page = 1, limit = 20 }) {
+    const query = {};
+    if (status) query.status = status;
+    if (initiatedBy) query.initiatedBy = initiatedBy;
+    if (bookingId) query.bookingId = bookingId;
+
+    return Promise.all([
+      Refund.find(query)
+        .populate('userId', 'name email')
+        .populate('mentorId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Refund.countDocuments(query)
+    ]);
+  }
+
+  // Abandon open intents, e.g. when the booking is cancelled before payment
+  cancelOpenIntents(bookingId) {
+    return Payment.updateMany(
+      { bookingId, status: PaymentStatuses.CREATED },
+      { $set: { status: PaymentStatuses.CANCELLED } }
+    );
+  }
+
+  // Settle a fake-provider payment as the provider would, through the webhook path
+  async simulate(paymentId, user, options) {
+    const payment = await this.getPayment(paymentId, user);
+    if (payment.provider !== 'fake') {
+      throw httpError(400, 'Only payments made with the fake provider can be simulated');
+    }
+
+    const provider = this.getProvider('fake');
+    const { rawBody, headers } = provider.simulate(payment, options);
+    const result = await this.handleWebhook(provider.name, rawBody, headers);
+    return result.payment;
+  }
+
+  async getPayment(paymentId, user) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw httpError(404, 'Payment not found');
+    }
+    if (!isParticipant(user, payment)) {
+      throw httpError(403, 'Not authorized to view this payment');
+    }
+    return payment;
+  }
+
+  async getBookingPayments(bookingId, user) {
+    const booking = await Booking.findById(bookingId).select('userId mentorId');
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (!isParticipant(user, booking)) {
+      throw httpError(403, 'Not authorized to view payments for this booking');
+    }
+    return Payment.find({ bookingId }).sort({ createdAt: -1 });
+  }
+
+  // Admin listing with filters; resolves to [payments, total]
+  getPayments({ status, provider, userId, mentorId, bookingId, startDate, endDate, page = 1, limit = 20 }) {
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    if (userId) query.userId = userId;
+    if (mentorId) query.mentorId = mentorId;
+    if (bookingId) query.bookingId = bookingId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    return Promise.all([
+      Payment.find(query)
+        .populate('userId', 'name email')
+        .populate('mentorId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Payment.countDocuments(query)
+    ]);
+  }
+}
+
+module.exports = new PaymentService();
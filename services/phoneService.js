@@ -0,0 +1,187 @@
+const settingsService = require('./settingsService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Countries we can sign users up from, keyed by ISO 3166-1 alpha-2 code.
+//   callingCode: international dialling prefix
+//   mobile:      national significant number of a mobile line
+//   trunkPrefix: dialled before national numbers at home and dropped in E.164
+//   areaCodes:   tells apart countries sharing a calling code; the entry
+//                without it takes the rest
+// Entries sharing a calling code are tried in order.
+const COUNTRIES = {
+  IN: { name: 'India', callingCode: '91', mobile: /^[6-9]\d{9}$/, trunkPrefix: '0' },
+  CA: {
+    name: 'Canada',
+    callingCode: '1',
+    mobile: /^[2-9]\d{2}[2-9]\d{6}$/,
+    trunkPrefix: '1',
+    areaCodes: [
+      '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+      '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548',
+      '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753',
+      '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+    ]
+  },
+  US: { name: 'United States', callingCode: '1', mobile: /^[2-9]\d{2}[2-9]\d{6}$/, trunkPrefix: '1' },
+  GB: { name: 'United Kingdom', callingCode: '44', mobile: /^7\d{9}$/, trunkPrefix: '0' },
+  IE: { name: 'Ireland', callingCode: '353', mobile: /^8[35-9]\d{7}$/, trunkPrefix: '0' },
+  DE: { name: 'Germany', callingCode: '49', mobile: /^1[5-7]\d{8,9}$/, trunkPrefix: '0' },
+  FR: { name: 'France', callingCode: '33', mobile: /^[67]\d{8}$/, trunkPrefix: '0' },
+  NL: { name: 'Netherlands', callingCode: '31', mobile: /^6\d{8}$/, trunkPrefix: '0' },
+  ES: { name: 'Spain', callingCode: '34', mobile: /^[67]\d{8}$/ },
+  IT: { name: 'Italy', callingCode: '39', mobile: /^3\d{8,9}$/ },
+  CH: { name: 'Switzerland', callingCode: '41', mobile: /^7[5-9]\d{7}$/, trunkPrefix: '0' },
+  SE: { name: 'Sweden', callingCode: '46', mobile: /^7[02369]\d{7}$/, trunkPrefix: '0' },
+  AE: { name: 'United Arab Emirates', callingCode: '971', mobile: /^5[024568]\d{7}$/, trunkPrefix: '0' },
+  SA: { name: 'Saudi Arabia', callingCode: '966', mobile: /^5\d{8}$/, trunkPrefix: '0' },
+  QA: { name: 'Qatar', callingCode: '974', mobile: /^[3567]\d{7}$/ },
+  KW: { name: 'Kuwait', callingCode: '965', mobile: /^[569]\d{7}$/ },
+  OM: { name: 'Oman', callingCode: '968', mobile: /^[79]\d{7}$/ },
+  BH: { name: 'Bahrain', callingCode: '973', mobile: /^3\d{7}$/ },
+  SG: { name: 'Singapore', callingCode: '65', mobile: /^[89]\d{7}$/ },
+  MY: { name: 'Malaysia', callingCode: '60', mobile: /^1\d{8,9}$/, trunkPrefix: '0' },
+  JP: { name: 'Japan', callingCode: '81', mobile: /^[789]0\d{8}$/, trunkPrefix: '0' },
+  AU: { name: 'Australia', callingCode: '61', mobile: /^4\d{8}$/, trunkPrefix: '0' },
+  NZ: { name: 'New Zealand', callingCode: '64', mobile: /^2\d{7,9}$/, trunkPrefix: '0' },
+  NP: { name: 'Nepal', callingCode: '977', mobile: /^9[78]\d{8}$/ },
+  BD: { name: 'Bangladesh', callingCode: '880', mobile: /^1[3-9]\d{8}$/, trunkPrefix: '0' },
+  LK: { name: 'Sri Lanka', callingCode: '94', mobile: /^7\d{8}$/, trunkPrefix: '0' },
+  PK: { name: 'Pakistan', callingCode: '92', mobile: /^3\d{9}$/, trunkPrefix: '0' },
+  ZA: { name: 'South Africa', callingCode: '27', mobile: /^[678]\d{8}$/, trunkPrefix: '0' },
+  NG: { name: 'Nigeria', callingCode: '234', mobile: /^[789][01]\d{8}$/, trunkPrefix: '0' },
+  KE: { name: 'Kenya', callingCode: '254', mobile: /^[17]\d{8}$/, trunkPrefix: '0' }
+};
+
+// Country assumed for numbers given without a calling code. Clients written
+// before international support send bare Indian numbers.
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// Spaces, dashes, dots and brackets people type between digits
+const stripFormatting = value => String(value).trim().replace(/[\s\-.()]/g, '');
+
+const matchesCountry = (country, nationalNumber) => {
+  if (!country.mobile.test(nationalNumber)) return false;
+  return !country.areaCodes || country.areaCodes.includes(nationalNumber.slice(0, 3));
+};
+
+class PhoneService {
+  getCountries() {
+    return Object.entries(COUNTRIES).map(([code, { name, callingCode }]) => ({ code, name, callingCode }));
+  }
+
+  getCountryCodes() {
+    return Object.keys(COUNTRIES);
+  }
+
+  // Parse a mobile number in international form ("+44 7700 900123",
+  // "0044...") or in the national form of `country` ("98765 43210",
+  // "098765 43210"). Returns { e164, country, callingCode, nationalNumber },
+  // or null when it is not a mobile number of a supported country.
+  parse(input, country = DEFAULT_COUNTRY) {
+    if (input === undefined || input === null) return null;
+    let digits = stripFormatting(input);
+
+    if (digits.startsWith('00')) {
+      digits = `+${digits.slice(2)}`;
+    }
+    if (digits.startsWith('+')) {
+      return this.parseInternational(digits.slice(1));
+    }
+    if (!/^\d+$/.test(digits)) return null;
+
+    const home = COUNTRIES[String(country).toUpperCase()];
+    if (!home) return null;
+
+    let nationalNumber = digits;
+    if (home.trunkPrefix && nationalNumber.startsWith(home.trunkPrefix) &&
+        !this.findCountry(home.callingCode, nationalNumber)) {
+      nationalNumber = nationalNumber.slice(home.trunkPrefix.length);
+    }
+    const match = this.findCountry(home.callingCode, nationalNumber);
+    if (match) return match;
+
+    // "919876543210": the calling code typed without its plus sign
+    return digits.startsWith(home.callingCode)
+      ? this.findCountry(home.callingCode, digits.slice(home.callingCode.length))
+      : null;
+  }
+
+  parseInternational(digits) {
+    if (!/^\d+$/.test(digits)) return null;
+    // Calling codes are prefix-free, so at most one length can match
+    for (let length = 1; length <= 3; length++) {
+      const match = this.findCountry(digits.slice(0, length), digits.slice(length));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  findCountry(callingCode, nationalNumber) {
+    const code = Object.keys(COUNTRIES).find(key =>
+      COUNTRIES[key].callingCode === callingCode && matchesCountry(COUNTRIES[key], nationalNumber)
+    );
+    if (!code) return null;
+    return {
+      e164: `+${callingCode}${nationalNumber}`,
+      country: code,
+      callingCode,
+      nationalNumber
+    };
+  }
+
+  // E.164 form of a number, or null
+  normalize(input, country) {
+    const parsed = this.parse(input, country);
+    return parsed ? parsed.e164 : null;
+  }
+
+  // Country of an E.164 number, or null
+  countryOf(e164) {
+    const parsed = this.parse(e164);
+    return parsed ? parsed.country : null;
+  }
+
+  // Countries sign-in is open to; an empty allow-list opens every supported one
+  async getAllowedCountries() {
+    const allowed = await settingsService.getValue('allowedPhoneCountries');
+    return Array.isArray(allowed) && allowed.length ? allowed : this.getCountryCodes();
+  }
+
+  // Parse a number for sign-in, rejecting invalid numbers and countries
+  // outside the allow-list
+  async parseForSignIn(input, country) {
+    const parsed = this.parse(input, country);
+    if (!parsed) {
+      throw httpError(400, 'Please provide a valid mobile number');
+    }
+    const allowed = await this.getAllowedCountries();
+    if (!allowed.includes(parsed.country)) {
+      throw httpError(403, `Sign-in with ${COUNTRIES[parsed.country].name} phone numbers is not available`);
+    }
+    return parsed;
+  }
+
+  // Forms an Indian number may have been stored in before numbers were
+  // normalized, when sign-in prefixed whatever was typed with +91
+  legacyFormsOf(e164) {
+    const parsed = this.parse(e164);
+    if (!parsed || parsed.country !== 'IN') return [];
+    const number = parsed.nationalNumber;
+    return [`+910${number}`, `+9191${number}`, number, `0${number}`, `91${number}`];
+  }
+
+  // E.164 form of a stored number, reading legacy Indian forms as such
+  canonicalize(stored) {
+    const parsed = this.parse(stored, 'IN');
+    if (parsed) return parsed.e164;
+    return String(stored).startsWith('+91') ? this.normalize(String(stored).slice(3), 'IN') : null;
+  }
+}
+
+module.exports = new PhoneService();
+module.exports.COUNTRIES = COUNTRIES;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const RateLimit = require('../models/RateLimit');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Limits per action and dimension: at most `limit` requests in any
+// `windowMs`. Going over locks the key out for `lockoutMs`, doubling with
+// each further lockout within STRIKE_DECAY_MS, up to MAX_LOCKOUT_MS.
+const RULES = {
+  'otp-send': {
+    phone: { limit: 3, windowMs: 10 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    ip: { limit: 10, windowMs: 10 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    device: { limit: 5, windowMs: 10 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS }
+  },
+  'otp-verify': {
+    phone: { limit: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    ip: { limit: 20, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    device: { limit: 10, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS }
+  },
+  'password-login': {
+    email: { limit: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    ip: { limit: 20, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS },
+    device: { limit: 10, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS }
+  },
+  // Sign-up, verification, password reset and magic-link emails
+  'email-link': {
+    email: { limit: 3, windowMs: 15 * MINUTE_MS, lockoutMs: 30 * MINUTE_MS },
+    ip: { limit: 10, windowMs: 15 * MINUTE_MS, lockoutMs: 30 * MINUTE_MS },
+    device: { limit: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 30 * MINUTE_MS }
+  }
+};
+
+const STRIKE_DECAY_MS = 24 * HOUR_MS;
+const MAX_LOCKOUT_MS = 24 * HOUR_MS;
+
+const rateLimitError = (retryAfterMs) => {
+  const error = new Error('Too many attempts. Please try again later.');
+  error.statusCode = 429;
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  return error;
+};
+
+// Subjects are hashed so the store holds no phone numbers or addresses
+const keyFor = (action, dimension, subject) =>
+  `${action}:${dimension}:${crypto.createHash('sha256').update(String(subject)).digest('hex')}`;
+
+// Sliding-window limiter with escalating lockouts, shared by every server
+// instance through MongoDB. Updates are single atomic pipelines, so
+// concurrent requests cannot slip past the limit.
+class RateLimitService {
+  getRule(action, dimension) {
+    const rule = RULES[action] && RULES[action][dimension];
+    if (!rule) {
+      throw new Error(`No rate limit rule for ${action}:${dimension}`);
+    }
+    return rule;
+  }
+
+  // Stable identifier for the calling device: the app's X-Device-Id header
+  // when sent, otherwise the browser's user agent and language
+  deviceFingerprint(req) {
+    const deviceId = req.get('x-device-id');
+    const source = deviceId
+      ? `id:${deviceId}`
+      : `ua:${req.get('user-agent') || ''}|${req.get('accept-language') || ''}`;
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  // The dimensions of a request worth limiting on
+  subjectsFor(req, { phone, email } = {}) {
+    return {
+      ...(phone && { phone }),
+      ...(email && { email: String(email).toLowerCase() }),
+      ip: req.ip,
+      device: this.deviceFingerprint(req)
+    };
+  }
+
+  // Record one request for `action` against each subject ({ phone, email, ip, device }).
+  // Throws a 429 error with `retryAfter` (seconds) if any of them is locked
+  // out or has just gone over its limit.
+  async consume(action, subjects, now = new Date()) {
+    const entries = Object.entries(subjects).filter(([, subject]) => subject);
+    const keys = entries.map(([dimension, subject]) => keyFor(action, dimension, subject));
+
+    // Locked-out keys are refused without counting the request
+    const locked = await RateLimit.find({ key: { $in: keys }, lockedUntil: { $gt: now } }).select('lockedUntil').lean();
+    if (locked.length) {
+      throw rateLimitError(Math.max(...locked.map(entry => entry.lockedUntil - now)));
+    }
+
+    let retryAfterMs = 0;
+    for (const [index, [dimension]] of entries.entries()) {
+      const lockout = await this.hit(keys[index], this.getRule(action, dimension), now);
+      retryAfterMs = Math.max(retryAfterMs, lockout);
+    }
+
+    if (retryAfterMs > 0) {
+      throw rateLimitError(retryAfterMs);
+    }
+  }
+
+  // Add a hit to one key; resolves to the lockout started, in ms (0 if none)
+  async hit(key, { limit, windowMs, lockoutMs }, now) {
+    const windowStart = new Date(now.getTime() - windowMs);
+    const entry = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            key,
+            hits: {
+              $concatArrays: [
+                { $filter: { input: { $ifNull: ['$hits', []] }, cond: { $gt: ['$$this', windowStart] } } },
+                [now]
+              ]
+            },
+            strikes: { $ifNull: ['$strikes', 0] },
+            expiresAt: { $max: [{ $ifNull: ['$expiresAt', now] }, new Date(now.getTime() + windowMs)] }
+          }
+        }
+      ],
+      { upsert: true, new: true }
+    );
+    if (entry.hits.length <= limit) return 0;
+
+    const strikes = entry.lastLockedAt && now - entry.lastLockedAt < STRIKE_DECAY_MS ? entry.strikes + 1 : 1;
+    const duration = Math.min(lockoutMs * 2 ** (strikes - 1), MAX_LOCKOUT_MS);
+    const lockedUntil = new Date(now.getTime() + duration);
+
+    await RateLimit.updateOne(
+      { key },
+      {
+        $set: {
+          hits: [],
+          strikes,
+          lockedUntil,
+          lastLockedAt: now,
+          expiresAt: new Date(lockedUntil.getTime() + STRIKE_DECAY_MS)
+        }
+      }
+    );
+    return duration;
+  }
+
+  // Forget the window for these subjects, e.g. after a successful sign-in.
+  // Lockout history is kept so repeat offenders still escalate.
+  async reset(action, subjects) {
+    const keys = Object.entries(subjects)
+      .filter(([, subject]) => subject)
+      .map(([dimension, subject]) => keyFor(action, dimension, subject));
+    await RateLimit.updateMany({ key: { $in: keys } }, { $set: { hits: [] } });
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,655 @@
+const User = require('../models/User');
+const MentorApplication = require('../models/MentorApplication');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { SettledPaymentStatuses } = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { RefundStatuses } = require('../models/Refund');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Admin reports. `personalData` marks reports that name individual users.
+const REPORT_TYPES = {
+  users: { title: 'User Report', fileName: 'user-report', build: 'buildUserReport' },
+  mentors: { title: 'Mentor Report', fileName: 'mentor-report', build: 'buildMentorReport' },
+  jobs: { title: 'Job Report', fileName: 'job-report', build: 'buildJobReport' },
+  bookings: { title: 'Booking Report', fileName: 'booking-report', build: 'buildBookingReport' },
+  revenue: { title: 'Revenue Report', fileName: 'revenue-report', build: 'buildRevenueReport', personalData: true }
+};
+
+const REPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+const REVENUE_GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_REVENUE_PERIOD_DAYS = 30;
+const TOP_MENTOR_LIMIT = 10;
+const REFUND_LINE_LIMIT = 100;
+
+// Totals accumulated for every revenue breakdown
+const REVENUE_TOTALS = {
+  grossRevenue: { $sum: '$sale' },
+  refunds: { $sum: '$refund' },
+  netRevenue: { $sum: '$lines.amount' },
+  bookings: { $sum: '$isSale' },
+  cancellations: { $sum: '$isRefund' }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of a total as a percentage
+const percentOf = (value, total) => (total ? round((value / total) * 100) : 0);
+
+// Percentage change; null when there is nothing to compare against
+const growth = (current, previous) => (previous ? round(((current - previous) / Math.abs(previous)) * 100) : null);
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class ReportService {
+  getTypes() {
+    return Object.keys(REPORT_TYPES);
+  }
+
+  getFormats() {
+    return Object.keys(REPORT_FORMATS);
+  }
+
+  getFormat(format) {
+    const definition = REPORT_FORMATS[format];
+    if (!definition) {
+      throw badRequest(`Invalid report format. Valid formats: ${this.getFormats().join(', ')}`);
+    }
+    return definition;
+  }
+
+  getDefinition(type) {
+    const definition = REPORT_TYPES[type];
+    if (!definition) {
+      throw badRequest(`Invalid report type. Valid types: ${this.getTypes().join(', ')}`);
+    }
+    return definition;
+  }
+
+  containsPersonalData(type) {
+    return !!this.getDefinition(type).personalData;
+  }
+
+  // Download file name, e.g. user-report.csv
+  getFileName(type, format) {
+    return `${this.getDefinition(type).fileName}.${this.getFormat(format).extension}`;
+  }
+
+  async generate(type, params = {}) {
+    const definition = this.getDefinition(type);
+    return this[definition.build](params);
+  }
+
+  // Render a report in the requested format
+  render(report, format) {
+    this.getFormat(format);
+    return format === 'csv' ? this.reportToCSV(report) : JSON.stringify(report, null, 2);
+  }
+
+  // Registrations, activation and verification
+  async buildUserReport({ startDate, endDate } = {}) {
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    }
+    
+    // Get user statistics
+    const totalUsers = await User.countDocuments(dateFilter);
+    const activeUsers = await User.countDocuments({ ...dateFilter, isActive: true });
+    const inactiveUsers = await User.countDocuments({ ...dateFilter, isActive: false });
+    const verifiedUsers = await User.countDocuments({ ...dateFilter, isVerified: true });
+    
+    // Get users by role
+    const usersByRole = await User.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    
+    // Get registration trends (last 30 days)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    const registrationTrends = await User.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: thirtyDaysAgo }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$createdAt' },
+            month: { $month: '$createdAt' },
+            day: { $dayOfMonth: '$createdAt' }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+    ]);
+    
+    return {
+      summary: {
+        totalUsers,
+        activeUsers,
+        inactiveUsers,
+        verifiedUsers,
+        activationRate: totalUsers > 0 ? ((activeUsers / totalUsers) * 100).toFixed(2) : 0,
+        verificationRate: totalUsers > 0 ? ((verifiedUsers / totalUsers) * 100).toFixed(2) : 0
+      },
+      usersByRole: usersByRole.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
+      registrationTrends,
+      generatedAt: new Date(),
+      dateRange: { startDate, endDate }
+    };
+  }
+
+  // Mentor application pipeline and approval rates
+  async buildMentorReport({ startDate, endDate } = {}) {
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    }
+    
+    // Get mentor application statistics
+    const totalApplications = await MentorApplication.countDocuments(dateFilter);
+    const pendingApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'pending' });
+    const approvedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'approved' });
+    const rejectedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'rejected' });
+    const waitlistedApplications = await MentorApplication.countDocuments({ ...dateFilter, status: 'waitlisted' });
+    
+    // Get applications by expertise area
+    const applicationsByExpertise = await MentorApplication.aggregate([
+      { $match: dateFilter },
+      { $unwind: '$expertiseAreas' },
+      { $group: { _id: '$expertiseAreas', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    // Get approval trends
+    const approvalTrends = await MentorApplication.aggregate([
+      {
+        $match: {
+          ...dateFilter,
+          status: { $in: ['approved', 'rejected'] }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$updatedAt' },
+            month: { $month: '$updatedAt' },
+            status: '$status'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+    
+    return {
+      summary: {
+        totalApplications,
+        pendingApplications,
+        approvedApplications,
+        rejectedApplications,
+        waitlistedApplications,
+        approvalRate: totalApplications > 0 ? ((approvedApplications / totalApplications) * 100).toFixed(2) : 0,
+        rejectionRate: totalApplications > 0 ? ((rejectedApplications / totalApplications) * 100).toFixed(2) : 0
+      },
+      applicationsByExpertise,
+      approvalTrends,
+      generatedAt: new Date(),
+      dateRange: { startDate, endDate }
+    };
+  }
+
+  // Job postings and application activity
+  async buildJobReport({ startDate, endDate } = {}) {
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    }
+    
+    // Get job statistics
+    const totalJobs = await Job.countDocuments(dateFilter);
+    const activeJobs = await Job.countDocuments({ ...dateFilter, status: 'active' });
+    const pendingJobs = await Job.countDocuments({ ...dateFilter, status: 'pending' });
+    const rejectedJobs = await Job.countDocuments({ ...dateFilter, status: 'rejected' });
+    const expiredJobs = await Job.countDocuments({ ...dateFilter, status: 'expired' });
+    const featuredJobs = await Job.countDocuments({ ...dateFilter, isFeatured: true });
+    
+    // Get jobs by category
+    const jobsByCategory = await Job.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    // Get jobs by employment type
+    const jobsByType = await Job.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$employmentType', count: { $sum: 1 } } }
+    ]);
+    
+    // Get jobs by salary range
+    const jobsBySalaryRange = await Job.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $lt: ['$salary.min', 30000] }, then: 'Under 30k' },
+                { case: { $lt: ['$salary.min', 50000] }, then: '30k-50k' },
+                { case: { $lt: ['$salary.min', 80000] }, then: '50k-80k' },
+                { case: { $lt: ['$salary.min', 120000] }, then: '80k-120k' }
+              ],
+              default: '120k+'
+            }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Get application statistics
+    const applicationStats = await JobApplication.aggregate([
+      {
+        $lookup: {
+          from: 'jobs',
+          localField: 'jobId',
+          foreignField: '_id',
+          as: 'job'
+        }
+      },
+      { $unwind: '$job' },
+      { $match: { 'job.createdAt': dateFilter.createdAt || { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          totalApplications: { $sum: 1 },
+          avgApplicationsPerJob: { $avg: 1 }
+        }
+      }
+    ]);
+    
+    return {
+      summary: {
+        totalJobs,
+        activeJobs,
+        pendingJobs,
+        rejectedJobs,
+        expiredJobs,
+        featuredJobs,
+        approvalRate: totalJobs > 0 ? ((activeJobs / totalJobs) * 100).toFixed(2) : 0,
+        featuredRate: totalJobs > 0 ? ((featuredJobs / totalJobs) * 100).toFixed(2) : 0
+      },
+      jobsByCategory,
+      jobsByType,
+      jobsBySalaryRange,
+      applicationStats: applicationStats[0] || { totalApplications: 0, avgApplicationsPerJob: 0 },
+      generatedAt: new Date(),
+      dateRange: { startDate, endDate }
+    };
+  }
+
+  // Session volume, outcomes and ratings
+  async buildBookingReport({ startDate, endDate } = {}) {
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    }
+    
+    // Get booking statistics
+    const totalBookings = await Booking.countDocuments(dateFilter);
+    const confirmedBookings = await Booking.countDocuments({ ...dateFilter, status: 'confirmed' });
+    const pendingBookings = await Booking.countDocuments({ ...dateFilter, status: 'pending' });
+    const cancelledBookings = await Booking.countDocuments({ ...dateFilter, status: 'cancelled' });
+    const completedBookings = await Booking.countDocuments({ ...dateFilter, status: 'completed' });
+    
+    // Get bookings by session type
+    const bookingsByType = await Booking.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$sessionType', count: { $sum: 1 } } }
+    ]);
+    
+    // Get booking trends (daily for last 30 days)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    const bookingTrends = await Booking.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: thirtyDaysAgo }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$createdAt' },
+            month: { $month: '$createdAt' },
+            day: { $dayOfMonth: '$createdAt' }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+    ]);
+    
+    // Get average session duration and rating
+    const sessionStats = await Booking.aggregate([
+      {
+        $match: {
+          ...dateFilter,
+          status: 'completed'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          avgDuration: { $avg: '$duration' },
+          avgRating: { $avg: { $cond: [{ $eq: ['$feedbackHidden', true] }, null, '$rating'] } },
+          totalRevenue: { $sum: '$price' }
+        }
+      }
+    ]);
+    
+    return {
+      summary: {
+        totalBookings,
+        confirmedBookings,
+        pendingBookings,
+        cancelledBookings,
+        completedBookings,
+        confirmationRate: totalBookings > 0 ? ((confirmedBookings / totalBookings) * 100).toFixed(2) : 0,
+        completionRate: confirmedBookings > 0 ? ((completedBookings / confirmedBookings) * 100).toFixed(2) : 0,
+        cancellationRate: totalBookings > 0 ? ((cancelledBookings / totalBookings) * 100).toFixed(2) : 0
+      },
+      bookingsByType,
+      bookingTrends,
+      sessionStats: sessionStats[0] || { avgDuration: 0, avgRating: 0, totalRevenue: 0 },
+      generatedAt: new Date(),
+      dateRange: { startDate, endDate }
+    };
+  }
+
+  // Revenue collected through booking payments, compared with the previous
+  // period of the same length. Each payment is a sale line on the day it was
+  // paid; each processed refund is a negative line on the day it went out.
+  async buildRevenueReport({ startDate, endDate, granularity } = {}) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_REVENUE_PERIOD_DAYS * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      throw badRequest('Invalid date range');
+    }
+
+    const unit = granularity || this.defaultGranularity(start, end);
+    if (!REVENUE_GRANULARITIES.includes(unit)) {
+      throw badRequest(`Invalid granularity. Valid values: ${REVENUE_GRANULARITIES.join(', ')}`);
+    }
+
+    const previousStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+    const [current, previous] = await Promise.all([
+      this.aggregateRevenue(start, end, unit, { includeEnd: true }),
+      this.aggregateRevenue(previousStart, start, unit, { includeEnd: false })
+    ]);
+
+    const mentorIds = [...new Set(current.byMentor.concat(previous.byMentor).map(item => item._id.toString()))];
+    const mentors = await User.find({ _id: { $in: mentorIds } }).select('name email').lean();
+    const mentorsById = new Map(mentors.map(mentor => [mentor._id.toString(), mentor]));
+    const previousByMentor = new Map(previous.byMentor.map(item => [item._id.toString(), item]));
+
+    const mentorShare = current.byMentor.slice(0, TOP_MENTOR_LIMIT).map(item => {
+      const before = previousByMentor.get(item._id.toString());
+      const share = percentOf(item.netRevenue, current.summary.netRevenue);
+      const previousShare = before ? percentOf(before.netRevenue, previous.summary.netRevenue) : 0;
+      const mentor = mentorsById.get(item._id.toString()) || {};
+
+      return {
+        mentorId: item._id,
+        mentorName: mentor.name,
+        mentorEmail: mentor.email,
+        netRevenue: item.netRevenue,
+        bookings: item.bookings,
+        share,
+        previousNetRevenue: before ? before.netRevenue : 0,
+        previousShare,
+        shareChange: round(share - previousShare)
+      };
+    });
+
+    return {
+      summary: {
+        grossRevenue: current.summary.grossRevenue,
+        refunds: current.summary.refunds,
+        netRevenue: current.summary.netRevenue,
+        totalTransactions: current.summary.bookings,
+        cancellations: current.summary.cancellations,
+        avgTransactionValue: current.summary.bookings ? round(current.summary.grossRevenue / current.summary.bookings) : 0,
+        previousNetRevenue: previous.summary.netRevenue,
+        revenueGrowth: growth(current.summary.netRevenue, previous.summary.netRevenue)
+      },
+      previousPeriod: {
+        ...previous.summary,
+        startDate: previousStart,
+        endDate: start
+      },
+      granularity: unit,
+      revenueTrends: current.trends,
+      revenueByType: current.byType,
+      refunds: current.refunds,
+      mentorShare,
+      generatedAt: new Date(),
+      dateRange: { startDate: start, endDate: end }
+    };
+  }
+
+  defaultGranularity(start, end) {
+    const days = (end.getTime() - start.getTime()) / DAY_MS;
+    if (days <= 62) return 'day';
+    if (days <= 366) return 'week';
+    return 'month';
+  }
+
+  // Sale and refund lines falling inside [start, end] (or [start, end) when
+  // includeEnd is false), summarised several ways in one pass
+  async aggregateRevenue(start, end, unit, { includeEnd }) {
+    const range = { $gte: start, [includeEnd ? '$lte' : '$lt']: end };
+
+    const [result] = await Payment.aggregate([
+      { $match: { status: { $in: SettledPaymentStatuses }, paidAt: range } },
+      {
+        $project: {
+          bookingId: 1,
+          mentorId: 1,
+          sessionType: 1,
+          lines: { kind: 'sale', amount: '$amount', at: '$paidAt' }
+        }
+      },
+      {
+        $unionWith: {
+          coll: Refund.collection.name,
+          pipeline: [
+            { $match: { status: RefundStatuses.SUCCEEDED, processedAt: range } },
+            {
+              $project: {
+                bookingId: 1,
+                paymentId: 1,
+                mentorId: 1,
+                sessionType: 1,
+                reason: 1,
+                initiatedBy: 1,
+                lines: { kind: 'refund', amount: { $multiply: ['$amount', -1] }, at: '$processedAt' }
+              }
+            }
+          ]
+        }
+      },
+      {
+        $addFields: {
+          sale: { $cond: [{ $eq: ['$lines.kind', 'sale'] }, '$lines.amount', 0] },
+          refund: { $cond: [{ $eq: ['$lines.kind', 'refund'] }, '$lines.amount', 0] },
+          isSale: { $cond: [{ $eq: ['$lines.kind', 'sale'] }, 1, 0] },
+          isRefund: { $cond: [{ $eq: ['$lines.kind', 'refund'] }, 1, 0] }
+        }
+      },
+      {
+        $facet: {
+          summary: [
+            { $group: { _id: null, ...REVENUE_TOTALS } }
+          ],
+          trends: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$lines.at', unit, ...(unit === 'week' && { startOfWeek: 'monday' }) } },
+                ...REVENUE_TOTALS
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          byType: [
+            { $group: { _id: '$sessionType', ...REVENUE_TOTALS } },
+            { $sort: { netRevenue: -1 } }
+          ],
+          byMentor: [
+            { $group: { _id: '$mentorId', ...REVENUE_TOTALS } },
+            { $sort: { netRevenue: -1 } }
+          ],
+          refunds: [
+            { $match: { isRefund: 1 } },
+            { $sort: { 'lines.at': -1 } },
+            { $limit: REFUND_LINE_LIMIT },
+            {
+              $project: {
+                _id: 0,
+                refundId: '$_id',
+                paymentId: 1,
+                bookingId: 1,
+                mentorId: 1,
+                sessionType: 1,
+                amount: '$lines.amount',
+                refundedAt: '$lines.at',
+                reason: 1,
+                initiatedBy: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const summary = result.summary[0] || { grossRevenue: 0, refunds: 0, netRevenue: 0, bookings: 0, cancellations: 0 };
+    delete summary._id;
+
+    return {
+      summary,
+      trends: result.trends.map(({ _id, ...totals }) => ({ period: _id, ...totals })),
+      byType: result.byType.map(({ _id, ...totals }) => ({ sessionType: _id, ...totals })),
+      byMentor: result.byMentor,
+      refunds: result.refunds
+    };
+  }
+
+
+  // One CSV section per part of the report: arrays become tables, objects a
+  // single row, and top-level values are gathered into a leading section
+  reportToCSV(report) {
+    const meta = {};
+    const sections = [];
+
+    Object.entries(report).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        sections.push(`# ${key}\n${this.toCSV(value)}`);
+      } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        sections.push(`# ${key}\n${this.toCSV([value])}`);
+      } else {
+        meta[key] = value;
+      }
+    });
+
+    if (Object.keys(meta).length) {
+      sections.unshift(this.toCSV([meta]));
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // Flatten a list of objects into CSV, one column per nested key
+  toCSV(data) {
+    if (!data || data.length === 0) {
+      return '';
+    }
+    
+    // Flatten nested objects and get all possible keys. ObjectIds are
+    // written as their hex string rather than walked into.
+    const flattenObject = (obj, prefix = '') => {
+      let result = {};
+      for (let key in obj) {
+        if (obj[key] === null || obj[key] === undefined) {
+          result[prefix + key] = '';
+        } else if (obj[key]._bsontype === 'ObjectId' || obj[key]._bsontype === 'ObjectID') {
+          result[prefix + key] = String(obj[key]);
+        } else if (typeof obj[key] === 'object' && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
+          Object.assign(result, flattenObject(obj[key], prefix + key + '.'));
+        } else if (Array.isArray(obj[key])) {
+          result[prefix + key] = obj[key].join('; ');
+        } else if (obj[key] instanceof Date) {
+          result[prefix + key] = obj[key].toISOString();
+        } else {
+          result[prefix + key] = obj[key];
+        }
+      }
+      return result;
+    };
+    
+    // Flatten all objects and collect all unique keys
+    const flattenedData = data.map(item => flattenObject(item));
+    const allKeys = [...new Set(flattenedData.flatMap(item => Object.keys(item)))];
+    
+    // Create CSV header
+    const header = allKeys.join(',');
+    
+    // Create CSV rows
+    const rows = flattenedData.map(item => {
+      return allKeys.map(key => {
+        const value = item[key] ?? '';
+        // Escape quotes and wrap in quotes if contains comma, quote, or newline
+        if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
+          return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+      }).join(',');
+    });
+    
+    return [header, ...rows].join('\n');
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,159 @@
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { PermissionResources, PermissionActions } = require('../models/Permission');
+
+// Built-in roles. Admins without assigned roles fall back to the one named
+// after their Admin.role; superadmins bypass permission checks entirely.
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Day-to-day platform administration',
+    permissions: [
+      'dashboard.read',
+      'users.read', 'users.write',
+      'mentors.read', 'mentors.write', 'mentors.approve',
+      'jobs.read', 'jobs.write', 'jobs.approve', 'jobs.delete',
+      'companies.read', 'companies.write', 'companies.approve',
+      'courses.read', 'courses.write', 'courses.approve', 'courses.delete',
+      'bookings.read', 'bookings.write',
+      'payments.read', 'payments.write',
+      'content.read', 'content.write', 'content.delete',
+      'notifications.read', 'notifications.write', 'notifications.delete',
+      'reports.read',
+      'audit_logs.read'
+    ]
+  },
+  moderator: {
+    description: 'Reviews submissions and reported content',
+    permissions: [
+      'dashboard.read',
+      'users.read',
+      'mentors.read', 'mentors.approve',
+      'jobs.read', 'jobs.approve',
+      'companies.read', 'companies.approve',
+      'courses.read', 'courses.approve',
+      'bookings.read',
+      'content.read', 'content.write'
+    ]
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class RoleService {
+  // Create any missing built-in permissions and roles. Safe to run on every start.
+  async ensureDefaults() {
+    try {
+      for (const resource of PermissionResources) {
+        for (const action of PermissionActions) {
+          await Permission.updateOne(
+            { resource, action },
+            {
+              $setOnInsert: {
+                name: `${resource}.${action}`,
+                description: `${action} access to ${resource.replace(/_/g, ' ')}`,
+                isSystem: true
+              }
+            },
+            { upsert: true }
+          );
+        }
+      }
+
+      const permissions = await Permission.find({ isSystem: true });
+      const idsByKey = new Map(permissions.map(permission => [permission.key, permission._id]));
+
+      for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+        await Role.updateOne(
+          { name },
+          {
+            $setOnInsert: {
+              description: definition.description,
+              permissions: definition.permissions.map(key => idsByKey.get(key)),
+              isSystem: true
+            }
+          },
+          { upsert: true }
+        );
+      }
+    } catch (error) {
+      console.error('Role seeding error:', error.message);
+    }
+  }
+
+  // Resolve role ids, rejecting unknown ones
+  async findRoles(roleIds) {
+    const uniqueIds = [...new Set(roleIds.map(String))];
+    const roles = await Role.find({ _id: { $in: uniqueIds } });
+
+    if (roles.length !== uniqueIds.length) {
+      throw badRequest('One or more roles do not exist');
+    }
+
+    return roles;
+  }
+
+  // Resolve permission ids, rejecting unknown ones
+  async findPermissions(permissionIds) {
+    const uniqueIds = [...new Set(permissionIds.map(String))];
+    const permissions = await Permission.find({ _id: { $in: uniqueIds } });
+
+    if (permissions.length !== uniqueIds.length) {
+      throw badRequest('One or more permissions do not exist');
+    }
+
+    return permissions;
+  }
+
+  // An admin may only hand out permissions they hold themselves
+  async assertCanGrant(admin, permissions) {
+    if (admin.role === 'superadmin') return;
+
+    const granted = await admin.getPermissionKeys();
+    const missing = permissions
+      .map(permission => `${permission.resource}.${permission.action}`)
+      .filter(key => !granted.has(key));
+
+    if (missing.length) {
+      const error = new Error(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  // Check that an admin may assign the given roles to another admin
+  async assertCanAssignRoles(admin, roleIds) {
+    const roles = await this.findRoles(roleIds);
+    const permissionIds = roles.flatMap(role => role.permissions);
+    const permissions = permissionIds.length ? await Permission.find({ _id: { $in: permissionIds } }) : [];
+
+    await this.assertCanGrant(admin, permissions);
+    return roles;
+  }
+
+  // Check that an admin may give another admin the built-in role named by
+  // Admin.role, which applies whenever they have no assigned roles
+  async assertCanGrantBuiltInRole(admin, roleName) {
+    if (admin.role === 'superadmin') return;
+
+    const role = await Role.findOne({ name: roleName, isSystem: true }).populate('permissions', 'resource action');
+    await this.assertCanGrant(admin, role ? role.permissions : []);
+  }
+
+  // Check the permissions an admin would end up with: the assigned roles, or
+  // the built-in role when none are assigned or the built-in role changes.
+  // Resolves to the assigned roles.
+  async assertCanSetRoles(admin, { role, roles, roleChanged = false }) {
+    const assignedRoles = roles && roles.length ? await this.assertCanAssignRoles(admin, roles) : [];
+    if (roleChanged || !assignedRoles.length) {
+      await this.assertCanGrantBuiltInRole(admin, role);
+    }
+    return assignedRoles;
+  }
+}
+
+module.exports = new RoleService();
+module.exports.DEFAULT_ROLES = DEFAULT_ROLES;
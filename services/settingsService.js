@@ -0,0 +1,121 @@
+const Setting = require('../models/Setting');
+
+// Values used until an admin saves the first version
+const DEFAULT_SETTINGS = {
+  siteName: 'Empedia',
+  maintenanceMode: false,
+  maintenanceMessage: 'The platform is undergoing scheduled maintenance. Please try again shortly.',
+  allowRegistration: true,
+  emailNotifications: true,
+  smsNotifications: true,
+  maxFileSize: 10, // MB
+  allowedFileTypes: ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx'],
+  sessionTimeout: '1h',
+  contentReportThreshold: 5, // pending reports that auto-hide content; 0 disables
+  platformCommissionPercent: 20, // kept from each paid session before crediting the mentor
+  payoutHoldDays: 7, // dispute window before mentor earnings become payable
+  bookingReminderOffsets: [1440, 15], // minutes before a session to remind both participants
+  allowedPhoneCountries: [], // ISO country codes phone sign-in is open to; empty allows every supported country
+  passwordPolicy: {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumbers: true,
+    requireSpecialChars: false
+  }
+};
+
+// How long a process may serve cached settings before re-reading them. Keeps
+// every server instance within a few seconds of the latest saved version.
+const CACHE_TTL = parseInt(process.env.SETTINGS_CACHE_TTL) || 5000;
+
+class SettingsService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  }
+
+  // Current settings merged over the defaults
+  async get() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.cache;
+    }
+
+    const latest = await Setting.findLatest().lean();
+    this.cache = {
+      ...this.getDefaults(),
+      ...(latest ? latest.values : {}),
+      version: latest ? latest.version : 0
+    };
+    this.cachedAt = Date.now();
+
+    return this.cache;
+  }
+
+  // Read a single setting, falling back to its default if the store is unreachable
+  async getValue(key) {
+    try {
+      const settings = await this.get();
+      return settings[key];
+    } catch (error) {
+      console.error('Settings read error:', error.message);
+      return this.getDefaults()[key];
+    }
+  }
+
+  // Save a new version containing the given changes
+  async update(changes, { updatedBy, note } = {}) {
+    const allowedKeys = Object.keys(DEFAULT_SETTINGS);
+    const unknownKeys = Object.keys(changes).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length) {
+      const error = new Error(`Unknown settings: ${unknownKeys.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const latest = await Setting.findLatest().lean();
+    const currentValues = { ...this.getDefaults(), ...(latest ? latest.values : {}) };
+    const changedKeys = Object.keys(changes).filter(
+      key => JSON.stringify(currentValues[key]) !== JSON.stringify(changes[key])
+    );
+
+    if (!changedKeys.length) {
+      return { settings: await this.get(), changed: false };
+    }
+
+    const setting = new Setting({
+      version: (latest ? latest.version : 0) + 1,
+      values: { ...currentValues, ...changes },
+      changedKeys,
+      updatedBy,
+      note
+    });
+    await setting.save();
+
+    this.invalidate();
+    return { settings: await this.get(), changed: true };
+  }
+
+  // Saved versions, newest first
+  getHistory({ page = 1, limit = 10 } = {}) {
+    return Promise.all([
+      Setting.find({})
+        .populate('updatedBy', 'name email')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Setting.countDocuments()
+    ]);
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+}
+
+module.exports = new SettingsService();
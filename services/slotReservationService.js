@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const SlotReservation = require('../models/SlotReservation');
+const { BLOCK_MINUTES } = require('../models/SlotReservation');
+
+const BLOCK_MS = BLOCK_MINUTES * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const slotTaken = () => httpError(409, 'This time slot is no longer available');
+
+// Claims mentor time atomically. A session occupies its own duration plus the
+// mentor's buffer after it, rounded out to whole blocks; two sessions clash
+// exactly when they would claim a common block.
+class SlotReservationService {
+  constructor() {
+    this.holdMinutes = parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+  }
+
+  // Start instants of the blocks covering [start, start + duration + buffer)
+  getBlocks(start, durationMinutes, bufferMinutes = 0) {
+    const startMs = start.valueOf();
+    const endMs = startMs + (durationMinutes + bufferMinutes) * 60 * 1000;
+    const blocks = [];
+    for (let block = Math.floor(startMs / BLOCK_MS) * BLOCK_MS; block < endMs; block += BLOCK_MS) {
+      blocks.push(new Date(block));
+    }
+    return blocks;
+  }
+
+  // Lapsed holds are removed eagerly; the TTL monitor only runs once a minute
+  clearExpired(mentorId, blocks) {
+    return SlotReservation.deleteMany({
+      mentorId,
+      blockStart: { $in: blocks },
+      expiresAt: { $ne: null, $lte: new Date() }
+    });
+  }
+
+  // Insert all blocks or none. `owner` is { bookingId } or { holdId }.
+  async claim(mentorId, blocks, owner, extra = {}) {
+    if (!blocks.length) return;
+    await this.clearExpired(mentorId, blocks);
+
+    try {
+      await SlotReservation.insertMany(
+        blocks.map(blockStart => ({ mentorId, blockStart, ...owner, ...extra })),
+        { ordered: true }
+      );
+    } catch (error) {
+      await SlotReservation.deleteMany({ mentorId, blockStart: { $in: blocks }, ...owner });
+      if (error.code === 11000) throw slotTaken();
+      throw error;
+    }
+  }
+
+  // Hold a slot for a user while they complete checkout
+  async createHold({ mentorId, userId, start, durationMinutes, bufferMinutes }) {
+    const holdId = new mongoose.Types.ObjectId();
+    const expiresAt = new Date(Date.now() + this.holdMinutes * 60 * 1000);
+
+    // A user keeps at most one hold per mentor
+    await SlotReservation.deleteMany({ mentorId, userId, holdId: { $ne: null } });
+    await this.claim(mentorId, this.getBlocks(start, durationMinutes, bufferMinutes), { holdId }, { userId, expiresAt });
+
+    return { holdId, expiresAt };
+  }
+
+  async releaseHold(holdId, userId) {
+    const result = await SlotReservation.deleteMany({ holdId, userId });
+    return result.deletedCount > 0;
+  }
+
+  // Reserve the time of a new booking, turning the user's hold into the
+  // reservation when they have one covering exactly that time
+  async reserveBooking(booking, { start, durationMinutes, bufferMinutes, holdId }) {
+    const blocks = this.getBlocks(start, durationMinutes, bufferMinutes);
+
+    if (holdId) {
+      const held = await SlotReservation.find({
+        holdId,
+        userId: booking.userId,
+        mentorId: booking.mentorId,
+        expiresAt: { $gt: new Date() }
+      }).select('blockStart');
+
+      const heldTimes = new Set(held.map(block => block.blockStart.getTime()));
+      if (heldTimes.size !== blocks.length || !blocks.every(block => heldTimes.has(block.getTime()))) {
+        throw httpError(409, 'Your hold on this slot has expired or does not match the requested time');
+      }
+
+      const result = await SlotReservation.updateMany(
+        { holdId, expiresAt: { $gt: new Date() } },
+        { $set: { bookingId: booking._id, holdId: null, expiresAt: null } }
+      );
+      if (result.modifiedCount !== blocks.length) {
+        await this.releaseBooking(booking._id);
+        throw httpError(409, 'Your hold on this slot has expired');
+      }
+      return;
+    }
+
+    await this.claim(booking.mentorId, blocks, { bookingId: booking._id }, { userId: booking.userId });
+  }
+
+  // Move a booking's reservation to a new time. Blocks shared by the old and
+  // new time stay claimed throughout, so the booking never loses its slot.
+  async moveBooking(booking, { start, durationMinutes, bufferMinutes }) {
+    const mentorId = booking.populated('mentorId') || booking.mentorId;
+    const blocks = this.getBlocks(start, durationMinutes, bufferMinutes);
+    const current = await SlotReservation.find({ bookingId: booking._id }).select('blockStart');
+    const currentTimes = new Set(current.map(block => block.blockStart.getTime()));
+
+    // New blocks are claimed as a short hold first so a crash cannot leave them orphaned
+    const pendingId = new mongoose.Types.ObjectId();
+    const added = blocks.filter(block => !currentTimes.has(block.getTime()));
+    await this.claim(mentorId, added, { holdId: pendingId }, {
+      userId: booking.populated('userId') || booking.userId,
+      expiresAt: new Date(Date.now() + this.holdMinutes * 60 * 1000)
+    });
+
+    const keep = new Set(blocks.map(block => block.getTime()));
+    await SlotReservation.deleteMany({
+      bookingId: booking._id,
+      blockStart: { $nin: [...keep].map(time => new Date(time)) }
+    });
+    await SlotReservation.updateMany(
+      { holdId: pendingId },
+      { $set: { bookingId: booking._id, holdId: null, expiresAt: null } }
+    );
+  }
+
+  async releaseBooking(bookingId) {
+    await SlotReservation.deleteMany({ bookingId });
+  }
+
+  // Claimed blocks of a mentor in [from, to), for hiding taken slots
+  getClaimedBlocks(mentorId, from, to) {
+    return SlotReservation.find({
+      mentorId,
+      blockStart: { $gte: from, $lt: to },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('blockStart').lean();
+  }
+}
+
+module.exports = new SlotReservationService();
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const signatureMatches = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const webhookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Reason a provider's API gave for rejecting a request, if it gave one
+const providerMessage = (error) => {
+  const data = error.response?.data;
+  if (!data) return error.message;
+  if (Array.isArray(data.message)) return data.message.join(', ');
+  return data.message || JSON.stringify(data);
+};
+
+// Each provider sends one message to an E.164 number:
+//   send({ to, body, kind }) resolves to { messageId, status }
+// where status is 'sent', or 'delivered' when the provider already knows it
+// arrived, and rejects when the provider refused or could not be reached so
+// the next provider can be tried. supports(to) limits a provider to the
+// numbers it can reach. Providers that report delivery implement
+// parseStatus({ url, params, headers }), returning
+//   { messageId, status: 'sent' | 'delivered' | 'failed' | null, error }
+const providers = {
+  // Writes messages to SMS_SINK_FILE, or the console when it is unset, and
+  // sends nothing. The default outside production so development machines
+  // and test runs never text real people.
+  sink: {
+    name: 'sink',
+    file: process.env.SMS_SINK_FILE || null,
+
+    isEnabled() {
+      return process.env.NODE_ENV !== 'production';
+    },
+
+    async send({ to, body, kind }) {
+      const messageId = `sink_${crypto.randomBytes(8).toString('hex')}`;
+      if (this.file) {
+        const line = JSON.stringify({ id: messageId, to, kind, body, at: new Date().toISOString() });
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, `${line}\n`);
+      } else {
+        console.log(`[sms:sink] to ${to}: ${body}`);
+      }
+      return { messageId, status: 'delivered' };
+    }
+  },
+
+  // Fast2SMS bulk API; reaches Indian numbers only
+  fast2sms: {
+    name: 'fast2sms',
+    apiKey: process.env.FAST2SMS_API_KEY,
+    baseURL: 'https://www.fast2sms.com/dev/bulkV2',
+
+    isEnabled() {
+      return !!this.apiKey;
+    },
+
+    supports(to) {
+      return /^\+91\d{10}$/.test(to);
+    },
+
+    async send({ to, body, kind, otp }) {
+      const numbers = to.slice(3);
+      const payload = kind === 'otp' && otp
+        ? { route: 'otp', variables_values: otp, numbers }
+        : { route: 'q', message: body, language: 'english', flash: 0, numbers };
+
+      try {
+        const response = await axios.post(this.baseURL, payload, {
+          headers: {
+            'authorization': this.apiKey,
+            'Content-Type': 'application/json'
+          },
+          timeout: REQUEST_TIMEOUT_MS
+        });
+
+        if (response.data.return !== true) {
+          throw new Error(response.data.message || 'Fast2SMS rejected the message');
+        }
+        return { messageId: response.data.request_id || null, status: 'sent' };
+      } catch (error) {
+        throw new Error(`Fast2SMS: ${providerMessage(error)}`);
+      }
+    }
+  },
+
+  // Twilio Programmable Messaging. Sends from TWILIO_FROM or through
+  // TWILIO_MESSAGING_SERVICE_SID, and reports delivery to
+  // POST /api/v1/sms/webhooks/twilio when PUBLIC_API_URL is set.
+  twilio: {
+    name: 'twilio',
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+
+    isEnabled() {
+      return !!(this.accountSid && this.authToken && (this.from || this.messagingServiceSid));
+    },
+
+    statusCallbackUrl() {
+      const base = process.env.PUBLIC_API_URL;
+      return base ? `${base.replace(/\/+$/, '')}/api/v1/sms/webhooks/${this.name}` : null;
+    },
+
+    async send({ to, body }) {
+      const form = new URLSearchParams({ To: to, Body: body });
+      if (this.messagingServiceSid) {
+        form.append('MessagingServiceSid', this.messagingServiceSid);
+      } else {
+        form.append('From', this.from);
+      }
+      const callback = this.statusCallbackUrl();
+      if (callback) {
+        form.append('StatusCallback', callback);
+      }
+
+      try {
+        const response = await axios.post(
+          `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+          form.toString(),
+          {
+            auth: { username: this.accountSid, password: this.authToken },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: REQUEST_TIMEOUT_MS
+          }
+        );
+        return { messageId: response.data.sid, status: 'sent' };
+      } catch (error) {
+        throw new Error(`Twilio: ${providerMessage(error)}`);
+      }
+    },
+
+    // Twilio signs the callback URL followed by every posted field, sorted
+    // by name, with the auth token
+    parseStatus({ url, params, headers }) {
+      const payload = Object.keys(params).sort()
+        .reduce((acc, key) => acc + key + params[key], url);
+      const expected = crypto.createHmac('sha1', this.authToken || '').update(payload).digest('base64');
+      if (!this.authToken || !signatureMatches(expected, headers['x-twilio-signature'])) {
+        throw webhookError('Invalid webhook signature');
+      }
+
+      const statuses = {
+        sent: 'sent',
+        delivered: 'delivered',
+        undelivered: 'failed',
+        failed: 'failed'
+      };
+      return {
+        messageId: params.MessageSid,
+        status: statuses[params.MessageStatus] || null,
+        error: params.ErrorCode ? `Twilio error ${params.ErrorCode}` : null
+      };
+    }
+  }
+};
+
+// Add or replace a provider, e.g. MSG91 or Amazon SNS
+exports.registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+exports.getProvider = name => providers[name];
+
+exports.getProviderNames = () => Object.keys(providers);
@@ -1,72 +1,204 @@
-const axios = require('axios');
+const SmsMessage = require('../models/SmsMessage');
+const { SmsStatuses, SmsKinds } = require('../models/SmsMessage');
+const smsProviders = require('./smsProviders');
+const phoneService = require('./phoneService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Statuses a message may move to from each reported status; delivery
+// reports can arrive out of order and must not undo a final outcome
+const PRIOR_STATUSES = {
+  [SmsStatuses.SENT]: [SmsStatuses.QUEUED],
+  [SmsStatuses.DELIVERED]: [SmsStatuses.QUEUED, SmsStatuses.SENT],
+  [SmsStatuses.FAILED]: [SmsStatuses.QUEUED, SmsStatuses.SENT]
+};
+
+const STATUS_TIMESTAMPS = {
+  [SmsStatuses.SENT]: 'sentAt',
+  [SmsStatuses.DELIVERED]: 'deliveredAt',
+  [SmsStatuses.FAILED]: 'failedAt'
+};
+
+const parseProviderList = value => value.split(',').map(name => name.trim()).filter(Boolean);
+
+// Per-country provider order from SMS_ROUTES, e.g.
+// "IN=fast2sms,twilio;US=twilio;CA=twilio"
+const parseRoutes = (value) => {
+  const routes = {};
+  (value || '').split(';').forEach(route => {
+    const [country, providers] = route.split('=');
+    if (country && providers) {
+      routes[country.trim().toUpperCase()] = parseProviderList(providers);
+    }
+  });
+  return routes;
+};
+
+const otpBody = otp => `Your Empedia verification code is ${otp}. It expires in 10 minutes.`;
 
 class SMSService {
   constructor() {
-    this.apiKey = process.env.FAST2SMS_API_KEY || 'LlXzPbZUoK37w3rkoiU0zbaspTTHSAcmoI82vjPKz7DpF5VUGkXavOgCEMRs';
-    this.baseURL = 'https://www.fast2sms.com/dev/bulkV2';
+    this.routes = parseRoutes(process.env.SMS_ROUTES);
+  }
+
+  // Providers tried in order until one accepts a message to `to`: the
+  // route for its country in SMS_ROUTES, else SMS_PROVIDERS, a
+  // comma-separated list. Without either, production uses the real
+  // gateways and everywhere else the sink.
+  getProviderOrder(to) {
+    const country = to ? phoneService.countryOf(to) : null;
+    if (country && this.routes[country]) {
+      return this.routes[country];
+    }
+    return parseProviderList(process.env.SMS_PROVIDERS
+      || (process.env.NODE_ENV === 'production' ? 'fast2sms,twilio' : 'sink'));
+  }
+
+  // Providers able to send to this number right now
+  getProvidersFor(to) {
+    return this.getProviderOrder(to)
+      .map(name => smsProviders.getProvider(name))
+      .filter(provider => provider && provider.isEnabled() && (!provider.supports || provider.supports(to)));
   }
 
   async sendOTP(phoneNumber, otp) {
+    return this.send({
+      to: phoneNumber,
+      kind: SmsKinds.OTP,
+      body: otpBody(otp),
+      storedBody: otpBody('*'.repeat(String(otp).length)),
+      otp
+    });
+  }
+
+  async sendCustomMessage(phoneNumber, message) {
+    return this.send({ to: phoneNumber, kind: SmsKinds.MESSAGE, body: message });
+  }
+
+  // Record the message, then fail over through the providers until one
+  // accepts it. Resolves to { success, message, data } and never throws, so
+  // callers can treat SMS as best effort.
+  async send({ to, kind, body, storedBody, otp }) {
+    // Numbers saved before normalization still reach their owner
+    to = phoneService.canonicalize(to) || to;
+
+    let record;
     try {
-      const response = await axios.post(this.baseURL, {
-        route: 'otp',
-        variables_values: otp,
-        numbers: phoneNumber.replace('+91', ''), // Remove country code if present
-      }, {
-        headers: {
-          'authorization': this.apiKey,
-          'Content-Type': 'application/json'
+      record = await SmsMessage.create({ to, kind, body: storedBody || body });
+
+      const providers = this.getProvidersFor(to);
+      if (providers.length === 0) {
+        throw new Error(`No SMS provider is configured for ${to}`);
+      }
+
+      for (const provider of providers) {
+        try {
+          const result = await provider.send({ to, body, kind, otp });
+          const status = result.status === SmsStatuses.DELIVERED ? SmsStatuses.DELIVERED : SmsStatuses.SENT;
+
+          record.attempts.push({ provider: provider.name });
+          record.provider = provider.name;
+          record.providerMessageId = result.messageId || null;
+          record.status = status;
+          record.sentAt = new Date();
+          if (status === SmsStatuses.DELIVERED) {
+            record.deliveredAt = record.sentAt;
+          }
+          await record.save();
+
+          return {
+            success: true,
+            message: kind === SmsKinds.OTP ? 'OTP sent successfully' : 'Message sent successfully',
+            data: { messageId: record._id, provider: provider.name, status }
+          };
+        } catch (error) {
+          console.error(`SMS provider ${provider.name} failed:`, error.message);
+          record.attempts.push({ provider: provider.name, error: error.message });
         }
-      });
-
-      if (response.data.return === true) {
-        return {
-          success: true,
-          message: 'OTP sent successfully',
-          data: response.data
-        };
-      } else {
-        throw new Error(response.data.message || 'Failed to send OTP');
       }
+
+      throw new Error('All SMS providers failed');
     } catch (error) {
-      console.error('SMS Service Error:', error.response?.data || error.message);
+      console.error('SMS Service Error:', error.message);
+      if (record) {
+        record.status = SmsStatuses.FAILED;
+        record.error = error.message;
+        record.failedAt = new Date();
+        await record.save().catch(saveError => console.error('Failed to record SMS failure:', saveError.message));
+      }
       return {
         success: false,
-        message: error.response?.data?.message || error.message || 'Failed to send OTP',
-        error: error.response?.data || error.message
+        message: kind === SmsKinds.OTP ? 'Failed to send OTP' : 'Failed to send message',
+        error: error.message
       };
     }
   }
 
-  async sendCustomMessage(phoneNumber, message) {
-    try {
-      const response = await axios.post(this.baseURL, {
-        route: 'q',
-        message: message,
-        language: 'english',
-        flash: 0,
-        numbers: phoneNumber.replace('+91', '')
-      }, {
-        headers: {
-          'authorization': this.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+  // Apply a provider's delivery report. `url` is the public URL the report
+  // was posted to, which some providers sign.
+  async handleStatusWebhook(providerName, { url, params, headers }) {
+    const provider = smsProviders.getProvider(providerName);
+    if (!provider || !provider.parseStatus) {
+      throw httpError(404, 'Unknown SMS provider');
+    }
 
-      return {
-        success: response.data.return === true,
-        message: response.data.message,
-        data: response.data
-      };
+    let report;
+    try {
+      report = provider.parseStatus({ url, params: params || {}, headers });
     } catch (error) {
-      console.error('SMS Service Error:', error.response?.data || error.message);
-      return {
-        success: false,
-        message: 'Failed to send message',
-        error: error.response?.data || error.message
-      };
+      throw error.statusCode ? error : httpError(400, 'Malformed status report');
+    }
+    if (!report.messageId || !report.status) {
+      return { applied: false };
+    }
+
+    const update = {
+      status: report.status,
+      [STATUS_TIMESTAMPS[report.status]]: new Date()
+    };
+    if (report.error) {
+      update.error = report.error;
+    }
+
+    const message = await SmsMessage.findOneAndUpdate(
+      {
+        provider: provider.name,
+        providerMessageId: report.messageId,
+        status: { $in: PRIOR_STATUSES[report.status] }
+      },
+      { $set: update },
+      { new: true }
+    );
+    return { applied: !!message, message };
+  }
+
+  async getMessages({ status, kind, to, provider, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+    if (to) filter.to = to;
+    if (provider) filter.provider = provider;
+
+    return Promise.all([
+      SmsMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SmsMessage.countDocuments(filter)
+    ]);
+  }
+
+  async getMessage(messageId) {
+    const message = await SmsMessage.findById(messageId);
+    if (!message) {
+      throw httpError(404, 'SMS message not found');
     }
+    return message;
   }
 }
 
-module.exports = new SMSService();
\ No newline at end of file
+module.exports = new SMSService();
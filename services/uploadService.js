@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Folder every upload is stored under, per environment
+const ROOT_FOLDER = process.env.CLOUDINARY_FOLDER || 'empedia';
+
+// Stores files users upload (profile pictures, resumes, portfolios) on
+// Cloudinary and hands back their URL. Configured from CLOUDINARY_URL, or
+// CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET.
+// Size and type limits are enforced before a file gets here, by the upload
+// middleware from the maxFileSize/allowedFileTypes settings.
+class UploadService {
+  constructor() {
+    if (!process.env.CLOUDINARY_URL && process.env.CLOUDINARY_CLOUD_NAME) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+        secure: true
+      });
+    }
+  }
+
+  isConfigured() {
+    const config = cloudinary.config();
+    return !!(config.cloud_name && config.api_key && config.api_secret);
+  }
+
+  // Store a file multer kept in memory. Resolves to
+  // { url, publicId, originalName, format, bytes }.
+  async upload(file, { folder, userId }) {
+    if (!this.isConfigured()) {
+      throw httpError(503, 'File uploads are not available');
+    }
+
+    const baseName = path.basename(file.originalname, path.extname(file.originalname))
+      .replace(/[^\w-]+/g, '-').slice(0, 60) || 'file';
+
+    let result;
+    try {
+      result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream({
+          folder: `${ROOT_FOLDER}/${folder}/${userId}`,
+          public_id: `${baseName}-${crypto.randomBytes(6).toString('hex')}`,
+          resource_type: 'auto'
+        }, (error, uploaded) => (error ? reject(error) : resolve(uploaded)));
+        stream.end(file.buffer);
+      });
+    } catch (error) {
+      console.error('Cloudinary upload error:', error.message);
+      throw httpError(502, 'The file could not be stored; please try again');
+    }
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      originalName: file.originalname,
+      format: result.format || path.extname(file.originalname).slice(1).toLowerCase(),
+      bytes: result.bytes
+    };
+  }
+}
+
+module.exports = new UploadService();
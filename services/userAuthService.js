@@ -0,0 +1,210 @@
+const User = require('../models/User');
+const emailService = require('./emailService');
+const settingsService = require('./settingsService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Web app that opens the emailed links and hands their token to the API
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const linkFor = (path, token) => `${appUrl()}${path}?token=${encodeURIComponent(token)}`;
+
+// Placeholder addresses created during phone sign-up cannot receive mail
+const isPlaceholderEmail = email => /^temp_\d+@temp\.com$/.test(email || '');
+
+// Email and password sign-in, email verification, password reset and
+// passwordless magic links for users. Every flow ends with a user the
+// controller issues the usual access and refresh tokens to.
+class UserAuthService {
+  // Check a new password against the admin-configured policy
+  async checkPasswordPolicy(password) {
+    const policy = await settingsService.getValue('passwordPolicy') || {};
+    const problems = [];
+
+    if (password.length < (policy.minLength || 6)) {
+      problems.push(`at least ${policy.minLength || 6} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('an uppercase letter');
+    if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('a lowercase letter');
+    if (policy.requireNumbers && !/\d/.test(password)) problems.push('a number');
+    if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(password)) problems.push('a special character');
+
+    if (problems.length) {
+      throw httpError(400, `Password must contain ${problems.join(', ')}`);
+    }
+  }
+
+  async register({ name, email, password }) {
+    const allowRegistration = await settingsService.getValue('allowRegistration');
+    if (allowRegistration === false) {
+      throw httpError(403, 'New registrations are currently disabled');
+    }
+    if (await User.findByEmail(email)) {
+      throw httpError(400, 'Email already exists');
+    }
+    await this.checkPasswordPolicy(password);
+
+    const user = new User({ name, email, password });
+    const token = user.generateEmailToken('emailVerification');
+    await user.save();
+
+    await this.sendVerificationEmail(user, token);
+    return user;
+  }
+
+  // Resolves to the user when the password matches; unknown addresses and
+  // wrong passwords get the same answer
+  async login(email, password) {
+    const user = await User.findByEmail(email).select('+password');
+    if (!user || isPlaceholderEmail(user.email) || !(await user.comparePassword(password))) {
+      throw httpError(401, 'Invalid email or password');
+    }
+    if (!user.isActive) {
+      throw httpError(403, 'User account is deactivated.');
+    }
+    if (!user.isEmailVerified) {
+      const error = httpError(403, 'Please verify your email address before signing in');
+      error.requiresEmailVerification = true;
+      throw error;
+    }
+    return user;
+  }
+
+  async sendVerificationEmail(user, token) {
+    const result = await emailService.sendEmail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        linkFor('/verify-email', token),
+        '',
+        'The link expires in 24 hours. If you did not create an Empedia account, you can ignore this email.'
+      ].join('\n')
+    });
+    if (!result.success) {
+      console.error(`Verification email to user ${user._id} failed:`, result.error);
+    }
+  }
+
+  // Send a fresh verification link. Says nothing about whether the address
+  // has an account.
+  async resendVerification(email) {
+    const user = await User.findByEmail(email);
+    if (!user || user.isEmailVerified || isPlaceholderEmail(user.email)) return;
+
+    const token = user.generateEmailToken('emailVerification');
+    await user.save();
+    await this.sendVerificationEmail(user, token);
+  }
+
+  async verifyEmail(token) {
+    const user = await User.claimEmailToken('emailVerification', token, { isEmailVerified: true });
+    if (!user) {
+      throw httpError(400, 'Invalid or expired verification link');
+    }
+    if (!user.isActive) {
+      throw httpError(403, 'User account is deactivated.');
+    }
+    return user;
+  }
+
+  // Email a password reset link. Says nothing about whether the address has
+  // an account.
+  async requestPasswordReset(email) {
+    const user = await User.findByEmail(email);
+    if (!user || isPlaceholderEmail(user.email) || !user.isActive) return;
+
+    const token = user.generateEmailToken('passwordReset');
+    await user.save();
+
+    const result = await emailService.sendEmail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Someone asked to reset the password for your Empedia account. To choose a new one, open this link:',
+        linkFor('/reset-password', token),
+        '',
+        'The link expires in 1 hour. If you did not ask for this, you can ignore this email and your password will stay the same.'
+      ].join('\n')
+    });
+    if (!result.success) {
+      console.error(`Password reset email to user ${user._id} failed:`, result.error);
+    }
+  }
+
+  // Set a new password from a reset link. Signs the user out everywhere,
+  // and the link proves they own the address.
+  async resetPassword(token, password) {
+    await this.checkPasswordPolicy(password);
+
+    const user = await User.claimEmailToken('passwordReset', token, { isEmailVerified: true });
+    if (!user) {
+      throw httpError(400, 'Invalid or expired reset link');
+    }
+
+    user.password = password;
+    user.clearEmailToken('magicLink');
+    user.refreshTokens = [];
+    await user.save();
+    return user;
+  }
+
+  // Email a one-time sign-in link to an existing account. Says nothing
+  // about whether the address has an account. Unverified accounts get none:
+  // whoever registered the address may not own it, and signing its owner in
+  // would leave the registrant's password working on their account.
+  async requestMagicLink(email) {
+    const user = await User.findByEmail(email);
+    if (!user || isPlaceholderEmail(user.email) || !user.isActive || !user.isEmailVerified) return;
+
+    const token = user.generateEmailToken('magicLink');
+    await user.save();
+
+    const result = await emailService.sendEmail({
+      to: user.email,
+      subject: 'Your Empedia sign-in link',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Open this link to sign in to Empedia:',
+        linkFor('/magic-link', token),
+        '',
+        'The link expires in 15 minutes and works once. If you did not ask for it, you can ignore this email.'
+      ].join('\n')
+    });
+    if (!result.success) {
+      console.error(`Magic link email to user ${user._id} failed:`, result.error);
+    }
+  }
+
+  async consumeMagicLink(token) {
+    const user = await User.claimEmailToken('magicLink', token, {}, { isEmailVerified: true });
+    if (!user) {
+      throw httpError(400, 'Invalid or expired sign-in link');
+    }
+    if (!user.isActive) {
+      throw httpError(403, 'User account is deactivated.');
+    }
+    return user;
+  }
+
+  // A user changed their address: it has to be confirmed again
+  async restartEmailVerification(user) {
+    if (isPlaceholderEmail(user.email)) return;
+
+    user.isEmailVerified = false;
+    const token = user.generateEmailToken('emailVerification');
+    await user.save();
+    await this.sendVerificationEmail(user, token);
+  }
+}
+
+module.exports = new UserAuthService();